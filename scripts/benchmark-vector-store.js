@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+// Benchmark of the embedded vector store: ingestion, index build, on-disk size, reload time,
+// and query latency and recall of the HNSW index against an exact scan.
+//
+//   node scripts/benchmark-vector-store.js [--chunks 100000] [--dimensions 768] [--queries 200] [--k 10]
+//
+// Embeddings are synthetic: points scattered around random cluster centres, which is closer to
+// real text embeddings than uniform noise. Runs in a temporary directory that is removed afterwards.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SimpleVectorStore = require('../src/services/simpleVectorStore');
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : parseInt(process.argv[index + 1]);
+};
+
+const CHUNKS = option('chunks', 100000);
+const DIMENSIONS = option('dimensions', 768);
+const QUERIES = option('queries', 200);
+const K = option('k', 10);
+const CLUSTERS = option('clusters', 1000);
+const BATCH_SIZE = 1000;
+
+// Deterministic pseudo-random numbers (mulberry32) and standard normal samples
+let seed = 42;
+const random = () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const centres = Array.from({ length: CLUSTERS }, () => Array.from({ length: DIMENSIONS }, gaussian));
+const samplePoint = () => {
+  const centre = centres[Math.floor(random() * CLUSTERS)];
+  return centre.map(value => value + 0.6 * gaussian());
+};
+
+// Stands in for the embedding service: texts are "chunk <n>" or "query <n>"
+const chunkVectors = new Map();
+const queryVectors = new Map();
+const embeddingService = {
+  modelId: 'benchmark:synthetic',
+  generateEmbeddings: async (texts) => texts.map(text => chunkVectors.get(text)),
+  generateEmbedding: async (text) => queryVectors.get(text)
+};
+
+const seconds = (start) => (Number(process.hrtime.bigint() - start) / 1e9).toFixed(1);
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+const percentile = (values, p) => values.slice().sort((a, b) => a - b)[Math.min(values.length - 1, Math.floor(values.length * p))];
+
+// The store logs every write; keep the benchmark output readable
+const quietly = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+async function measureQueries(store, exact) {
+  const latencies = [];
+  const results = [];
+  const limit = store.exactSearchLimit;
+  store.exactSearchLimit = exact ? Infinity : 0;
+
+  for (let q = 0; q < QUERIES; q++) {
+    const start = process.hrtime.bigint();
+    const hits = await store.similarity_search(`query ${q}`, K);
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+    results.push(hits.map(hit => hit.id));
+  }
+
+  store.exactSearchLimit = limit;
+  return { latencies, results };
+}
+
+async function main() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-benchmark-'));
+  process.chdir(workDir);
+  console.log(`Benchmarking ${CHUNKS} chunks of ${DIMENSIONS} dimensions (${CLUSTERS} clusters), ${QUERIES} queries, k=${K}\n`);
+
+  try {
+    const store = new SimpleVectorStore('benchmark', { embeddingService });
+    await quietly(() => store.initialize());
+
+    const start = process.hrtime.bigint();
+    for (let first = 0; first < CHUNKS; first += BATCH_SIZE) {
+      const documents = [];
+      for (let i = first; i < Math.min(first + BATCH_SIZE, CHUNKS); i++) {
+        const content = `chunk ${i}`;
+        chunkVectors.set(content, samplePoint());
+        documents.push({ content, documentId: `doc-${Math.floor(i / 100)}`, source: `doc-${Math.floor(i / 100)}.txt`, chunkIndex: i % 100 });
+      }
+      await quietly(() => store.addDocuments(documents));
+      chunkVectors.clear();
+    }
+    // The index is built in the background while chunks are appended
+    console.log(`Ingest (append to log):      ${seconds(start)} s`);
+    await store.waitForIndex();
+    console.log(`Ingest until fully indexed:  ${seconds(start)} s`);
+
+    await store.saveIndex();
+    const logSize = fs.statSync(store.logPath).size;
+    const indexSize = fs.statSync(store.indexPath).size;
+    console.log(`Log file:                    ${megabytes(logSize)}`);
+    console.log(`Index snapshot:              ${megabytes(indexSize)}`);
+
+    for (let q = 0; q < QUERIES; q++) {
+      queryVectors.set(`query ${q}`, samplePoint());
+    }
+
+    const approximate = await measureQueries(store, false);
+    const exact = await measureQueries(store, true);
+    const found = approximate.results.reduce((sum, ids, q) => sum + ids.filter(id => exact.results[q].includes(id)).length, 0);
+
+    console.log(`Query, HNSW (p50 / p95):     ${percentile(approximate.latencies, 0.5).toFixed(2)} / ${percentile(approximate.latencies, 0.95).toFixed(2)} ms`);
+    console.log(`Query, exact (p50 / p95):    ${percentile(exact.latencies, 0.5).toFixed(2)} / ${percentile(exact.latencies, 0.95).toFixed(2)} ms`);
+    console.log(`Recall@${K}:                  ${(found / (QUERIES * K)).toFixed(3)}`);
+
+    const reloadStart = process.hrtime.bigint();
+    const reloaded = new SimpleVectorStore('benchmark', { embeddingService });
+    await quietly(() => reloaded.initialize());
+    console.log(`Reload from disk:            ${seconds(reloadStart)} s (${reloaded.indexedSlots} of ${CHUNKS} chunks indexed from the snapshot)`);
+
+    const memory = process.memoryUsage();
+    console.log(`Memory (RSS / JS heap):      ${megabytes(memory.rss)} / ${megabytes(memory.heapUsed)}`);
+  } finally {
+    process.chdir(os.tmpdir());
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
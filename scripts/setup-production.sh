@@ -22,6 +22,7 @@ CHAT_MODEL=llama3.2:3b
 
 # ChromaDB Configuration
 CHROMA_URL=http://chromadb:8000
+VECTOR_BACKEND=chroma
 COLLECTION_NAME=specialist-agent
 
 # Conversation Context Configuration
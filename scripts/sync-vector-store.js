@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// Copy collections between vector backends with their embeddings, without embedding anything again:
+// to migrate to or from ChromaDB, or to copy chunks that only reached the embedded store.
+//
+//   node scripts/sync-vector-store.js --from embedded --to chroma [--collection <name>] [--prune] [--dry-run]
+//
+// Chunks missing from the target or different there are copied; --prune also removes chunks the
+// source does not have. Stop the server before syncing into the embedded store, whose files it
+// keeps open; chunks copied there are indexed when the server next loads the collection.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const collections = require('../src/services/collections');
+const chromaConnection = require('../src/services/chromaConnection');
+const { syncStores } = require('../src/services/vectorStoreSync');
+
+const BACKENDS = ['chroma', 'embedded'];
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+};
+const flag = (name) => process.argv.includes(`--${name}`);
+
+async function main() {
+  const from = option('from');
+  const to = option('to');
+  if (!BACKENDS.includes(from) || !BACKENDS.includes(to) || from === to) {
+    throw new Error('Usage: sync-vector-store.js --from chroma|embedded --to embedded|chroma [--collection <name>] [--prune] [--dry-run]');
+  }
+
+  if (!await chromaConnection.connect()) {
+    throw new Error(`ChromaDB at ${chromaConnection.url} is unavailable: ${chromaConnection.lastError}`);
+  }
+
+  await collections.loadFromStorage();
+  const name = option('collection');
+  const configs = name ? [collections.getConfig(name)] : collections.listCollections();
+  if (configs[0] === null) throw new Error(`Collection not found: ${name}`);
+
+  const prune = flag('prune');
+  const dryRun = flag('dry-run');
+  for (const config of configs) {
+    const source = collections.createVectorStore(config, { backend: from });
+    const target = collections.createVectorStore(config, { backend: to });
+    await source.initialize();
+    await target.initialize();
+
+    const result = await syncStores(source, target, {
+      prune,
+      dryRun,
+      onProgress: (done, total) => console.log(`  ${config.name}: ${done}/${total} chunks copied`)
+    });
+    const verb = dryRun ? 'would copy' : 'copied';
+    const removed = prune ? `, ${result.removed} removed` : '';
+    console.log(`${config.name}: ${result.chunks} chunks in ${from}, ${verb} ${result.copied} to ${to} (${result.unchanged} unchanged${removed})`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,22 +1,33 @@
-const express = require('express');
-const cors = require('cors');
 const dotenv = require('dotenv');
-const apiRoutes = require('./routes/api');
-const vectorStore = require('./services/vectorstore');
 
-// Load environment variables
+// Load environment variables before the services, which read their settings when loaded
 dotenv.config();
 
+const express = require('express');
+const cors = require('cors');
+const apiRoutes = require('./routes/api');
+const openaiRoutes = require('./routes/openai');
+const collections = require('./services/collections');
+const authService = require('./services/auth');
+const conversationContext = require('./services/conversationContext');
+const documentLoader = require('./utils/documentLoader');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins (default: any origin)
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim())
+  : null;
+
 // Middleware
-app.use(cors());
+app.use(cors(corsOrigins ? { origin: corsOrigins } : undefined));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api', apiRoutes);
+app.use('/v1', openaiRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -25,9 +36,40 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /api/health',
-      query: 'POST /api/query (supports sessionId for conversation context)',
-      ingest: 'POST /api/ingest (supports file upload or directory)',
+      query: 'POST /api/query (supports sessionId for conversation context, collection, ?stream=true for Server-Sent Events)',
+      ingest: 'POST /api/ingest (supports file upload, directory, url or sitemapUrl, collection)',
       ingestMultiple: 'POST /api/ingest/multiple (multiple file upload)',
+      ingestJobs: {
+        start: 'POST /api/ingest?async=true or /api/ingest/multiple?async=true (run ingestion in the background)',
+        list: 'GET /api/ingest/jobs (list ingestion jobs)',
+        get: 'GET /api/ingest/jobs/:id (progress, failures and result)',
+        cancel: 'POST /api/ingest/jobs/:id/cancel (cancel a running job)'
+      },
+      collections: {
+        list: 'GET /api/collections (list knowledge base collections)',
+        create: 'POST /api/collections (create a collection with its own chunking and embedding settings)',
+        get: 'GET /api/collections/:name (collection settings and statistics)',
+        update: 'PUT /api/collections/:name (update collection settings)',
+        delete: 'DELETE /api/collections/:name (delete a collection and its documents)',
+        reindex: 'POST /api/collections/:name/reindex (re-embed with another embedding model in the background), GET for progress, POST .../reindex/cancel'
+      },
+      documents: {
+        list: 'GET /api/documents (list ingested documents)',
+        get: 'GET /api/documents/:id (document metadata and chunks)',
+        update: 'PUT /api/documents/:id (replace content via file upload or JSON content)',
+        delete: 'DELETE /api/documents/:id (remove document and its chunks)'
+      },
+      keys: {
+        list: 'GET /api/keys (list API keys, admin scope)',
+        create: 'POST /api/keys (create an API key for a tenant with query, ingest and/or admin scopes)',
+        revoke: 'DELETE /api/keys/:id (revoke an API key)'
+      },
+      embeddingCache: 'GET/DELETE /api/embeddings/cache (embedding cache statistics, clear the cache)',
+      openai: {
+        chatCompletions: 'POST /v1/chat/completions (OpenAI-compatible chat; model is "<collection>" or "<collection>/<chat model>", supports stream)',
+        models: 'GET /v1/models (collections available as models)'
+      },
+      authentication: 'Authorization: Bearer <API key or JWT> or X-API-Key: <API key> (when AUTH_ENABLED=true)',
       conversation: {
         start: 'POST /api/conversation/start (create new session)',
         get: 'GET /api/conversation/:sessionId (get conversation history)',
@@ -36,7 +78,7 @@ app.get('/', (req, res) => {
         config: 'GET/POST /api/conversation/config (manage context settings)'
       }
     },
-    uploadFormats: ['.txt', '.md', '.pdf', '.docx'],
+    uploadFormats: documentLoader.getSupportedExtensions(),
     maxFileSize: '10MB',
     contextFeatures: {
       conversationMemory: 'Maintains conversation history across queries',
@@ -48,6 +90,7 @@ app.get('/', (req, res) => {
       singleFile: 'curl -X POST -F "file=@document.pdf" http://localhost:3000/api/ingest',
       multipleFiles: 'curl -X POST -F "files=@doc1.pdf" -F "files=@doc2.txt" http://localhost:3000/api/ingest/multiple',
       directory: 'curl -X POST -H "Content-Type: application/json" -d \'{"directoryPath": "./data/documents"}\' http://localhost:3000/api/ingest',
+      webPage: 'curl -X POST -H "Content-Type: application/json" -d \'{"url": "https://docs.example.com/", "maxDepth": 1}\' http://localhost:3000/api/ingest',
       conversation: 'curl -X POST -H "Content-Type: application/json" -d \'{"question": "Hello", "sessionId": "your-session-id"}\' http://localhost:3000/api/query'
     }
   });
@@ -56,9 +99,11 @@ app.get('/', (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
-  res.status(500).json({
+  // ChromaDB is down and VECTOR_BACKEND=chroma allows no fallback
+  const unavailable = err.code === 'VECTOR_BACKEND_UNAVAILABLE';
+  res.status(unavailable ? 503 : 500).json({
     success: false,
-    error: 'Internal server error',
+    error: unavailable ? 'Vector store unavailable' : 'Internal server error',
     message: err.message,
   });
 });
@@ -74,8 +119,11 @@ app.use('*', (req, res) => {
 // Initialize vector store and start server
 async function initializeApp() {
   try {
-    await vectorStore.initialize();
+    await authService.initialize();
+    await collections.initialize();
     console.log('Vector store initialized');
+
+    await conversationContext.initialize();
     
     const server = app.listen(PORT, () => {
       console.log(`🚀 Specialist Agent running on port ${PORT}`);
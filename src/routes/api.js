@@ -3,13 +3,58 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const chatService = require('../services/chat');
-const vectorStore = require('../services/vectorstore');
 const conversationContext = require('../services/conversationContext');
+const collections = require('../services/collections');
+const chromaConnection = require('../services/chromaConnection');
+const authService = require('../services/auth');
+const ingestionJobs = require('../services/ingestionJobs');
+const reindexJobs = require('../services/reindexJobs');
+const { EXPANSION_MODES, isValidExpansionMode } = require('../services/contextExpansion');
+const embeddingCache = require('../services/embeddingCache');
+const WebCrawler = require('../services/webCrawler');
 const documentLoader = require('../utils/documentLoader');
 const TextSplitter = require('../utils/textSplitter');
+const { normalizeTags, normalizeUserMetadata } = require('../utils/chunkMetadata');
+const { validateFilter } = require('../utils/metadataFilter');
 
 const router = express.Router();
-const textSplitter = new TextSplitter(500, 100); // Smaller chunks to reduce memory usage
+
+// Health checks stay reachable without credentials
+const PUBLIC_PATHS = ['/health'];
+
+// Resolve the request's API key or JWT into req.auth ({ tenant, scopes, subject })
+const authenticate = (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  try {
+    req.auth = authService.authenticate({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key')
+    });
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: error.message });
+  }
+};
+
+// Reject requests without the scope; checked before uploads are written to disk
+const requireScope = (scope) => (req, res, next) => {
+  if (!authService.hasScope(req.auth, scope)) {
+    return res.status(403).json({ error: `The ${scope} scope is required` });
+  }
+  next();
+};
+
+// Server-wide settings and server file system access are limited to admins of the default tenant
+const requireOperator = (req, res, next) => {
+  if (!authService.isOperator(req.auth)) {
+    return res.status(403).json({ error: 'Admin access to the default tenant is required' });
+  }
+  next();
+};
+
+router.use(authenticate);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -29,13 +74,11 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.txt', '.md', '.pdf', '.docx'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    
-    if (allowedTypes.includes(ext)) {
+    if (documentLoader.isSupported(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error(`File type ${ext} not allowed. Allowed types: ${allowedTypes.join(', ')}`), false);
+      const ext = path.extname(file.originalname).toLowerCase() || file.mimetype;
+      cb(new Error(`File type ${ext} not allowed. Allowed types: ${documentLoader.getSupportedExtensions().join(', ')}`), false);
     }
   }
 });
@@ -52,31 +95,370 @@ const ensureUploadsDir = async () => {
 
 ensureUploadsDir();
 
+// Load an uploaded file, keeping its original name as the source so re-uploads can be matched
+const loadUploadedFile = async (file) => {
+  const document = await documentLoader.loadDocument(file.path, { mimeType: file.mimetype });
+  document.source = file.originalname;
+  document.title = path.parse(file.originalname).name;
+  return document;
+};
+
+// Remove the uploaded files of a request, once read or when it is rejected
+const discardUploads = async (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  for (const file of files) {
+    try {
+      await fs.unlink(file.path);
+    } catch (cleanupError) {
+      console.warn('Failed to clean up file:', cleanupError);
+    }
+  }
+};
+
+const parseJsonField = (name, value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+};
+
+// Parse tags and metadata from a JSON body or multipart form fields into req.ingestMetadata.
+// Form fields carry tags as "hr,policy" or a JSON array, and metadata as a JSON object.
+const parseIngestMetadata = async (req, res, next) => {
+  try {
+    let { tags, metadata } = req.body;
+
+    if (typeof tags === 'string' && tags.trim().startsWith('[')) {
+      tags = parseJsonField('tags', tags);
+    }
+    if (typeof metadata === 'string') {
+      metadata = parseJsonField('metadata', metadata);
+    }
+
+    req.ingestMetadata = {
+      tags: tags !== undefined ? normalizeTags(tags) : undefined,
+      metadata: metadata !== undefined ? normalizeUserMetadata(metadata) : undefined
+    };
+    next();
+  } catch (error) {
+    await discardUploads(req);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Resolve the "collection" body/form field or query parameter into req.collection (the tenant's default collection if absent)
+const resolveCollection = async (req, res, next) => {
+  try {
+    const name = req.body.collection || req.query.collection;
+    const collection = await collections.getCollection(name, req.auth.tenant);
+
+    if (!collection) {
+      await discardUploads(req);
+      return res.status(404).json({ error: `Collection not found: ${name}` });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Build req.textSplitter from the collection's chunking settings, overridden by the
+// chunkStrategy, chunkSize and chunkOverlap body/form fields of this request
+const resolveChunking = async (req, res, next) => {
+  try {
+    const { config } = req.collection;
+    const { chunkStrategy, chunkSize, chunkOverlap } = req.body;
+    // Form fields arrive as strings
+    const toNumber = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+    const settings = {
+      strategy: chunkStrategy || config.chunkStrategy || 'auto',
+      chunkSize: toNumber(chunkSize, config.chunkSize),
+      chunkOverlap: toNumber(chunkOverlap, config.chunkOverlap)
+    };
+    TextSplitter.validateSettings(settings);
+
+    req.textSplitter = new TextSplitter(settings);
+    next();
+  } catch (error) {
+    await discardUploads(req);
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Validate the directory ingestion options of a JSON body into req.directoryOptions
+const parseDirectoryOptions = async (req, res, next) => {
+  const { recursive, include, exclude, includeHidden, followSymlinks, maxFileSize, incremental } = req.body;
+  const toList = value => (value === undefined ? [] : [].concat(value));
+
+  let error = null;
+  for (const [name, value] of Object.entries({ recursive, includeHidden, followSymlinks, incremental })) {
+    if (value !== undefined && typeof value !== 'boolean') error = `${name} must be a boolean`;
+  }
+  for (const [name, value] of Object.entries({ include, exclude })) {
+    if (!toList(value).every(pattern => typeof pattern === 'string' && pattern.length > 0)) {
+      error = `${name} must be a glob pattern or an array of glob patterns`;
+    }
+  }
+  if (maxFileSize !== undefined && (!Number.isInteger(maxFileSize) || maxFileSize <= 0)) {
+    error = 'maxFileSize must be a positive integer (bytes)';
+  }
+
+  if (error) {
+    await discardUploads(req);
+    return res.status(400).json({ error });
+  }
+
+  req.directoryOptions = {
+    scan: { recursive, include: toList(include), exclude: toList(exclude), includeHidden, followSymlinks, maxFileSize },
+    incremental: incremental === true
+  };
+  next();
+};
+
+const INGEST_USAGE = {
+  fileUpload: 'POST /api/ingest with multipart/form-data file field',
+  directoryPath: 'POST /api/ingest with JSON body containing directoryPath',
+  url: 'POST /api/ingest with JSON body containing url (and optionally maxDepth, maxPages, allowedDomains)',
+  sitemapUrl: 'POST /api/ingest with JSON body containing sitemapUrl'
+};
+
+// Validate the web ingestion options of a JSON body into req.webOptions (null without url or sitemapUrl)
+const parseWebOptions = async (req, res, next) => {
+  const { url, sitemapUrl, maxDepth, maxPages, allowedDomains } = req.body;
+  const isHttpUrl = value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  };
+
+  req.webOptions = null;
+  if (url === undefined && sitemapUrl === undefined) return next();
+
+  let error = null;
+  if (url !== undefined && sitemapUrl !== undefined) {
+    error = 'Provide either url or sitemapUrl, not both';
+  } else if (!isHttpUrl(url !== undefined ? url : sitemapUrl)) {
+    error = `${url !== undefined ? 'url' : 'sitemapUrl'} must be an http or https URL`;
+  } else if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 5)) {
+    error = 'maxDepth must be an integer between 0 and 5';
+  } else if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > 1000)) {
+    error = 'maxPages must be an integer between 1 and 1000';
+  } else if (allowedDomains !== undefined &&
+    (!Array.isArray(allowedDomains) || !allowedDomains.every(domain => typeof domain === 'string' && domain.length > 0))) {
+    error = 'allowedDomains must be an array of host names';
+  }
+
+  if (error) {
+    await discardUploads(req);
+    return res.status(400).json({ error });
+  }
+
+  req.webOptions = { url, sitemapUrl, crawl: { maxDepth, maxPages, allowedDomains } };
+  next();
+};
+
+// Set up a crawler for the request and queue its start page or the pages of its sitemap
+const startCrawl = async (req) => {
+  const { url, sitemapUrl, crawl } = req.webOptions;
+  const crawler = new WebCrawler(crawl);
+  const entries = url ? await crawler.addStartUrls([url]) : await crawler.addSitemap(sitemapUrl);
+  return { crawler, entries, source: url ? `url: ${url}` : `sitemap: ${sitemapUrl}` };
+};
+
+// Scan a directory and work out which of its files to ingest, and which documents to remove in incremental mode
+const planDirectory = async (req, directoryPath) => {
+  const scan = await documentLoader.scanDirectory(directoryPath, req.directoryOptions.scan);
+  const plan = await req.collection.documentRegistry.planDirectoryIngest(directoryPath, scan.files, {
+    incremental: req.directoryOptions.incremental,
+    textSplitter: req.textSplitter,
+    ingestMetadata: applyIngestMetadata({}, req.ingestMetadata)
+  });
+  return { ...plan, skippedFiles: scan.skipped };
+};
+
+// Attach the request's tags and metadata to a loaded document
+const applyIngestMetadata = (document, { tags, metadata }) => ({
+  ...document,
+  tags: tags || [],
+  metadata: metadata || {}
+});
+
+// Clients opt into streaming with ?stream=true, { "stream": true } or Accept: text/event-stream
+const wantsEventStream = (req) => {
+  if (req.query.stream === 'true' || req.body.stream === true) return true;
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream sources, token deltas and the final answer as Server-Sent Events
+const streamQuery = async (req, res, question, sessionId, options) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Cancel generation if the client goes away before we finish
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const result = await chatService.streamAnswer(question, sessionId, {
+      ...options,
+      signal: controller.signal,
+      onSources: (sources) => sendEvent(res, 'sources', { sources }),
+      onToken: (token) => sendEvent(res, 'token', { token })
+    });
+    sendEvent(res, 'done', result);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Query stream cancelled by client');
+      return;
+    }
+    console.error('Query stream error:', error);
+    const clientError = ['EMBEDDING_MISMATCH', 'VECTOR_BACKEND_UNAVAILABLE'].includes(error.code);
+    sendEvent(res, 'error', { error: clientError ? error.message : 'Internal server error' });
+  }
+  res.end();
+};
+
+// Clients opt into background ingestion with ?async=true or an "async" body/form field
+const wantsAsyncIngest = (req) => {
+  const flag = req.query.async !== undefined ? req.query.async : req.body.async;
+  return flag === true || flag === 'true';
+};
+
+// Job file entry for an uploaded file; the upload is removed once the job has processed it
+const uploadedJobFile = (file, ingestMetadata) => ({
+  name: file.originalname,
+  load: async () => applyIngestMetadata(await loadUploadedFile(file), ingestMetadata),
+  cleanup: () => fs.unlink(file.path)
+});
+
+const directoryJobFile = (directoryPath, file, ingestMetadata) => ({
+  name: file.relativePath,
+  load: async () => applyIngestMetadata(await documentLoader.loadDirectoryFile(directoryPath, file), ingestMetadata)
+});
+
+// Job file entry for a web page; pages linked from it are added to the job as it runs
+const webJobFile = (crawler, entry, ingestMetadata) => ({
+  name: entry.url,
+  load: async ({ enqueue }) => {
+    const { document, discovered } = await crawler.loadPage(entry);
+    discovered.forEach(next => enqueue(webJobFile(crawler, next, ingestMetadata)));
+    return applyIngestMetadata(document, ingestMetadata);
+  }
+});
+
+const sendJobAccepted = (req, res, job) => {
+  res.status(202).json({
+    message: 'Ingestion job started',
+    jobId: job.id,
+    status: job.status,
+    source: job.source,
+    collection: job.collection,
+    statusUrl: `${req.baseUrl}/ingest/jobs/${job.id}`
+  });
+};
+
 // Query endpoint
-router.post('/query', async (req, res) => {
+router.post('/query', requireScope('query'), resolveCollection, async (req, res) => {
   try {
-    const { question, sessionId } = req.body;
+    const {
+      question,
+      sessionId,
+      retrievalMode,
+      filter,
+      rewriteQuery,
+      minSimilarity,
+      contextExpansion,
+      contextWindow
+    } = req.body;
 
     if (!question) {
       return res.status(400).json({ error: 'Question is required' });
     }
 
-    const result = await chatService.answerQuestion(question, sessionId);
+    if (retrievalMode && !chatService.isValidRetrievalMode(retrievalMode)) {
+      return res.status(400).json({ error: 'retrievalMode must be one of: vector, keyword, hybrid' });
+    }
+
+    if (filter !== undefined) {
+      try {
+        validateFilter(filter);
+      } catch (filterError) {
+        return res.status(400).json({ error: `Invalid filter: ${filterError.message}` });
+      }
+    }
+
+    if (rewriteQuery !== undefined && typeof rewriteQuery !== 'boolean') {
+      return res.status(400).json({ error: 'rewriteQuery must be a boolean' });
+    }
+
+    if (minSimilarity !== undefined && !chatService.isValidMinSimilarity(minSimilarity)) {
+      return res.status(400).json({ error: 'minSimilarity must be a number between -1 and 1' });
+    }
+
+    if (contextExpansion !== undefined && !isValidExpansionMode(contextExpansion)) {
+      return res.status(400).json({ error: `contextExpansion must be one of: ${EXPANSION_MODES.join(', ')}` });
+    }
+
+    if (contextWindow !== undefined && !chatService.isValidContextWindow(contextWindow)) {
+      return res.status(400).json({ error: 'contextWindow must be an integer between 0 and 10' });
+    }
+
+    const options = {
+      retrievalMode,
+      filter,
+      rewriteQuery,
+      minSimilarity,
+      contextExpansion,
+      contextWindow,
+      collection: req.collection.name,
+      tenant: req.auth.tenant
+    };
+
+    if (wantsEventStream(req)) {
+      return await streamQuery(req, res, question, sessionId, options);
+    }
+
+    const result = await chatService.answerQuestion(question, sessionId, options);
     res.json(result);
   } catch (error) {
     console.error('Query error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    if (error.code === 'EMBEDDING_MISMATCH') {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Create new conversation session
-router.post('/conversation/start', (req, res) => {
+router.post('/conversation/start', requireScope('query'), async (req, res) => {
   try {
-    const sessionId = conversationContext.createSession();
+    const sessionId = await conversationContext.createSession(null, req.auth.tenant);
     res.json({ 
       sessionId,
       message: 'New conversation session created',
-      config: conversationContext.getConfig()
+      config: await conversationContext.getConfig()
     });
   } catch (error) {
     console.error('Session creation error:', error);
@@ -85,10 +467,10 @@ router.post('/conversation/start', (req, res) => {
 });
 
 // Get context configuration (must be before /:sessionId route)
-router.get('/conversation/config', (req, res) => {
+router.get('/conversation/config', requireScope('query'), async (req, res) => {
   try {
     res.json({
-      config: conversationContext.getConfig()
+      config: await conversationContext.getConfig()
     });
   } catch (error) {
     console.error('Get config error:', error);
@@ -97,7 +479,7 @@ router.get('/conversation/config', (req, res) => {
 });
 
 // Update context configuration (must be before /:sessionId route)
-router.post('/conversation/config', (req, res) => {
+router.post('/conversation/config', requireOperator, async (req, res) => {
   try {
     const { maxContextLength, maxTokens } = req.body;
     
@@ -107,7 +489,7 @@ router.post('/conversation/config', (req, res) => {
     
     res.json({
       message: 'Context configuration updated',
-      config: conversationContext.getConfig()
+      config: await conversationContext.getConfig()
     });
   } catch (error) {
     console.error('Config update error:', error);
@@ -116,11 +498,16 @@ router.post('/conversation/config', (req, res) => {
 });
 
 // Get conversation history
-router.get('/conversation/:sessionId', (req, res) => {
+router.get('/conversation/:sessionId', requireScope('query'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const context = conversationContext.getContext(sessionId, false);
-    const stats = conversationContext.getConversationStats(sessionId);
+
+    if (!(await conversationContext.hasSession(sessionId, req.auth.tenant))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const context = await conversationContext.getContext(sessionId, false, req.auth.tenant);
+    const stats = await conversationContext.getConversationStats(sessionId, req.auth.tenant);
     
     res.json({
       sessionId,
@@ -134,10 +521,15 @@ router.get('/conversation/:sessionId', (req, res) => {
 });
 
 // Clear conversation history
-router.delete('/conversation/:sessionId', (req, res) => {
+router.delete('/conversation/:sessionId', requireScope('query'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    conversationContext.clearConversation(sessionId);
+
+    if (!(await conversationContext.hasSession(sessionId, req.auth.tenant))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await conversationContext.clearConversation(sessionId, req.auth.tenant);
     res.json({ 
       message: 'Conversation history cleared',
       sessionId 
@@ -149,10 +541,15 @@ router.delete('/conversation/:sessionId', (req, res) => {
 });
 
 // Delete conversation session
-router.delete('/conversation/:sessionId/delete', (req, res) => {
+router.delete('/conversation/:sessionId/delete', requireScope('query'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    conversationContext.deleteSession(sessionId);
+
+    if (!(await conversationContext.hasSession(sessionId, req.auth.tenant))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await conversationContext.deleteSession(sessionId, req.auth.tenant);
     res.json({ 
       message: 'Conversation session deleted',
       sessionId 
@@ -163,67 +560,142 @@ router.delete('/conversation/:sessionId/delete', (req, res) => {
   }
 });
 
-// Document ingestion endpoint - supports both file upload and directory processing
-router.post('/ingest', upload.single('file'), async (req, res) => {
+// Document ingestion endpoint - supports file upload, web pages and directory processing
+router.post('/ingest', requireScope('ingest'), upload.single('file'), parseIngestMetadata, resolveCollection, resolveChunking, parseDirectoryOptions, parseWebOptions, async (req, res) => {
   try {
     let documents = [];
     let source = '';
+    let directory = null; // Scan results and incremental changes of a directory ingest
+    let web = null; // Skipped and failed URLs of a web ingest
+
+    // Run in the background and return a job ID straight away
+    if (wantsAsyncIngest(req)) {
+      return await startIngestJob(req, res);
+    }
 
     // Check if file was uploaded
     if (req.file) {
-      // Process uploaded file
-      const document = await documentLoader.loadDocument(req.file.path);
-      documents = [document];
-      source = `uploaded file: ${req.file.originalname}`;
-      
-      // Clean up uploaded file after processing
+      // Process uploaded file; it is removed whether or not it could be read
+      try {
+        const document = await loadUploadedFile(req.file);
+        documents = [applyIngestMetadata(document, req.ingestMetadata)];
+        source = `uploaded file: ${req.file.originalname}`;
+      } finally {
+        await discardUploads(req);
+      }
+    } else if (req.webOptions) {
+      let crawl;
       try {
-        await fs.unlink(req.file.path);
-      } catch (cleanupError) {
-        console.warn('Failed to clean up uploaded file:', cleanupError);
+        crawl = await startCrawl(req);
+      } catch (crawlError) {
+        if (crawlError.code === 'URL_NOT_ALLOWED') {
+          return res.status(400).json({ error: crawlError.message });
+        }
+        return res.status(502).json({ error: `Failed to read sitemap: ${crawlError.message}` });
+      }
+
+      // Pages linked from fetched pages are appended to the queue while below maxDepth
+      const queue = crawl.entries;
+      web = { failedUrls: [] };
+      for (let i = 0; i < queue.length; i++) {
+        try {
+          const { document, discovered } = await crawl.crawler.loadPage(queue[i]);
+          documents.push(applyIngestMetadata(document, req.ingestMetadata));
+          queue.push(...discovered);
+        } catch (pageError) {
+          console.warn(`Skipping URL ${queue[i].url}: ${pageError.message}`);
+          web.failedUrls.push({ url: queue[i].url, error: pageError.message });
+        }
       }
+      web.skippedUrls = crawl.crawler.skipped;
+      source = crawl.source;
     } else {
       // Process directory (existing functionality)
       const { directoryPath } = req.body;
       
       if (!directoryPath) {
         return res.status(400).json({ 
-          error: 'Either file upload or directory path is required',
-          usage: {
-            fileUpload: 'POST /api/ingest with multipart/form-data file field',
-            directoryPath: 'POST /api/ingest with JSON body containing directoryPath'
-          }
+          error: 'A file upload, directory path, url or sitemapUrl is required',
+          usage: INGEST_USAGE
         });
       }
 
-      documents = await documentLoader.loadDocumentsFromDirectory(directoryPath);
+      if (!authService.isOperator(req.auth)) {
+        return res.status(403).json({ error: 'Directory ingestion reads the server file system and requires admin access to the default tenant' });
+      }
+
+      directory = { ...await planDirectory(req, directoryPath), failedFiles: [] };
+      for (const file of directory.changed) {
+        try {
+          const document = await documentLoader.loadDirectoryFile(directoryPath, file);
+          documents.push(applyIngestMetadata(document, req.ingestMetadata));
+        } catch (fileError) {
+          console.warn(`Skipping file ${file.relativePath}: ${fileError.message}`);
+          directory.failedFiles.push({ file: file.relativePath, error: fileError.message });
+        }
+      }
       source = `directory: ${directoryPath}`;
     }
 
-    if (documents.length === 0) {
+    // An incremental run with nothing to load can still have unchanged or deleted files
+    const hasDirectoryResults = directory && (directory.unchanged.length > 0 || directory.deleted.length > 0);
+    if (documents.length === 0 && !hasDirectoryResults) {
+      const details = directory ? { skippedFiles: directory.skippedFiles, failedFiles: directory.failedFiles } : {};
       return res.status(400).json({ 
         error: 'No documents found to process',
-        source: source
+        source: source,
+        ...details,
+        ...web
       });
     }
 
     console.log(`Loaded ${documents.length} documents from ${source}`);
 
-    // Split documents into chunks
-    const splitDocuments = textSplitter.splitDocuments(documents);
-    console.log(`Created ${splitDocuments.length} chunks`);
-
-    // Add to vector store
-    await vectorStore.addDocuments(splitDocuments);
+    // Split documents into chunks, add them to the vector store and register them.
+    // Unchanged documents are skipped and changed ones replace their previous chunks.
+    const result = await req.collection.documentRegistry.ingestDocuments(documents, req.textSplitter);
+    console.log(`Created ${result.chunks.length} chunks (${result.added} added, ${result.skipped} skipped, ${result.replaced} replaced)`);
 
-    res.json({ 
+    const response = {
       message: 'Documents ingested successfully',
       source: source,
+      collection: req.collection.name,
       documentsLoaded: documents.length,
-      chunksCreated: splitDocuments.length
-    });
+      chunksCreated: result.chunks.length,
+      added: result.added,
+      skipped: result.skipped,
+      replaced: result.replaced,
+      documents: result.documents.map(({ id, source, status }) => ({ id, source, status }))
+    };
+
+    if (directory) {
+      // Remove documents whose files were deleted from disk since the last run
+      for (const record of directory.deleted) {
+        await req.collection.documentRegistry.deleteDocument(record.id);
+      }
+      console.log(`Directory ingest: ${directory.unchanged.length} unchanged, ${directory.deleted.length} deleted`);
+
+      response.skipped += directory.unchanged.length;
+      response.deleted = directory.deleted.length;
+      response.documents.push(
+        ...directory.unchanged.map(({ id, source }) => ({ id, source, status: 'skipped' })),
+        ...directory.deleted.map(({ id, source }) => ({ id, source, status: 'deleted' }))
+      );
+      response.skippedFiles = directory.skippedFiles;
+      response.failedFiles = directory.failedFiles;
+    }
+
+    if (web) {
+      response.skippedUrls = web.skippedUrls;
+      response.failedUrls = web.failedUrls;
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Ingestion error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
     
     // Handle multer errors
     if (error.code === 'LIMIT_FILE_SIZE') {
@@ -245,8 +717,85 @@ router.post('/ingest', upload.single('file'), async (req, res) => {
   }
 });
 
+// Queue an ingestion job for an uploaded file, web pages or a directory
+const startIngestJob = async (req, res) => {
+  if (req.file) {
+    const job = ingestionJobs.createJob({
+      source: `uploaded file: ${req.file.originalname}`,
+      files: [uploadedJobFile(req.file, req.ingestMetadata)],
+      collection: req.collection,
+      textSplitter: req.textSplitter,
+      tenant: req.auth.tenant
+    });
+    return sendJobAccepted(req, res, job);
+  }
+
+  if (req.webOptions) {
+    let crawl;
+    try {
+      crawl = await startCrawl(req);
+    } catch (crawlError) {
+      if (crawlError.code === 'URL_NOT_ALLOWED') {
+        return res.status(400).json({ error: crawlError.message });
+      }
+      return res.status(502).json({ error: `Failed to read sitemap: ${crawlError.message}` });
+    }
+
+    if (crawl.entries.length === 0) {
+      return res.status(400).json({ 
+        error: 'No documents found to process',
+        source: crawl.source,
+        skippedUrls: crawl.crawler.skipped
+      });
+    }
+
+    const job = ingestionJobs.createJob({
+      source: crawl.source,
+      files: crawl.entries.map(entry => webJobFile(crawl.crawler, entry, req.ingestMetadata)),
+      collection: req.collection,
+      textSplitter: req.textSplitter,
+      tenant: req.auth.tenant
+    });
+    return sendJobAccepted(req, res, job);
+  }
+
+  const { directoryPath } = req.body;
+
+  if (!directoryPath) {
+    return res.status(400).json({ 
+      error: 'A file upload, directory path, url or sitemapUrl is required',
+      usage: INGEST_USAGE
+    });
+  }
+
+  if (!authService.isOperator(req.auth)) {
+    return res.status(403).json({ error: 'Directory ingestion reads the server file system and requires admin access to the default tenant' });
+  }
+
+  const { changed, unchanged, deleted, skippedFiles } = await planDirectory(req, directoryPath);
+
+  if (changed.length === 0 && unchanged.length === 0 && deleted.length === 0) {
+    return res.status(400).json({ 
+      error: 'No documents found to process',
+      source: `directory: ${directoryPath}`,
+      skippedFiles
+    });
+  }
+
+  const job = ingestionJobs.createJob({
+    source: `directory: ${directoryPath}`,
+    files: changed.map(file => directoryJobFile(directoryPath, file, req.ingestMetadata)),
+    collection: req.collection,
+    textSplitter: req.textSplitter,
+    unchanged,
+    removals: deleted,
+    tenant: req.auth.tenant
+  });
+  sendJobAccepted(req, res, job);
+};
+
 // Multiple file upload endpoint
-router.post('/ingest/multiple', upload.array('files', 10), async (req, res) => {
+router.post('/ingest/multiple', requireScope('ingest'), upload.array('files', 10), parseIngestMetadata, resolveCollection, resolveChunking, async (req, res) => {
   try {
     const files = req.files;
     
@@ -257,20 +806,34 @@ router.post('/ingest/multiple', upload.array('files', 10), async (req, res) => {
       });
     }
 
+    // Run in the background and return a job ID straight away
+    if (wantsAsyncIngest(req)) {
+      const job = ingestionJobs.createJob({
+        source: `uploaded files: ${files.map(f => f.originalname).join(', ')}`,
+        files: files.map(file => uploadedJobFile(file, req.ingestMetadata)),
+        collection: req.collection,
+        textSplitter: req.textSplitter,
+        tenant: req.auth.tenant
+      });
+      return sendJobAccepted(req, res, job);
+    }
+
     const documents = [];
     const processedFiles = [];
+    const failedFiles = [];
 
     // Process each uploaded file
     for (const file of files) {
       try {
-        const document = await documentLoader.loadDocument(file.path);
-        documents.push(document);
+        const document = await loadUploadedFile(file);
+        documents.push(applyIngestMetadata(document, req.ingestMetadata));
         processedFiles.push(file.originalname);
         
         // Clean up uploaded file
         await fs.unlink(file.path);
       } catch (fileError) {
         console.warn(`Failed to process file ${file.originalname}:`, fileError);
+        failedFiles.push({ file: file.originalname, error: fileError.message });
         // Clean up failed file
         try {
           await fs.unlink(file.path);
@@ -283,28 +846,36 @@ router.post('/ingest/multiple', upload.array('files', 10), async (req, res) => {
     if (documents.length === 0) {
       return res.status(400).json({ 
         error: 'No valid documents could be processed',
-        attemptedFiles: files.map(f => f.originalname)
+        attemptedFiles: files.map(f => f.originalname),
+        failedFiles: failedFiles
       });
     }
 
     console.log(`Loaded ${documents.length} documents from ${files.length} uploaded files`);
 
-    // Split documents into chunks
-    const splitDocuments = textSplitter.splitDocuments(documents);
-    console.log(`Created ${splitDocuments.length} chunks`);
-
-    // Add to vector store
-    await vectorStore.addDocuments(splitDocuments);
+    // Split documents into chunks, add them to the vector store and register them.
+    // Unchanged documents are skipped and changed ones replace their previous chunks.
+    const result = await req.collection.documentRegistry.ingestDocuments(documents, req.textSplitter);
+    console.log(`Created ${result.chunks.length} chunks (${result.added} added, ${result.skipped} skipped, ${result.replaced} replaced)`);
 
     res.json({ 
       message: 'Multiple documents ingested successfully',
       source: `uploaded files: ${processedFiles.join(', ')}`,
+      collection: req.collection.name,
       documentsLoaded: documents.length,
-      chunksCreated: splitDocuments.length,
-      processedFiles: processedFiles
+      chunksCreated: result.chunks.length,
+      processedFiles: processedFiles,
+      failedFiles: failedFiles,
+      added: result.added,
+      skipped: result.skipped,
+      replaced: result.replaced,
+      documents: result.documents.map(({ id, source, status }) => ({ id, source, status }))
     });
   } catch (error) {
     console.error('Multiple file ingestion error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
     res.status(500).json({ 
       error: 'Internal server error',
       details: error.message 
@@ -312,9 +883,449 @@ router.post('/ingest/multiple', upload.array('files', 10), async (req, res) => {
   }
 });
 
+// List ingestion jobs
+router.get('/ingest/jobs', requireScope('ingest'), (req, res) => {
+  try {
+    res.json({ jobs: ingestionJobs.listJobs(req.auth.tenant) });
+  } catch (error) {
+    console.error('List ingestion jobs error:', error);
+    res.status(500).json({ error: 'Failed to list ingestion jobs' });
+  }
+});
+
+// Get ingestion job progress and result
+router.get('/ingest/jobs/:id', requireScope('ingest'), (req, res) => {
+  try {
+    const job = ingestionJobs.getJob(req.params.id, req.auth.tenant);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get ingestion job error:', error);
+    res.status(500).json({ error: 'Failed to get ingestion job' });
+  }
+});
+
+// Cancel a running ingestion job
+router.post('/ingest/jobs/:id/cancel', requireScope('ingest'), (req, res) => {
+  try {
+    const job = ingestionJobs.cancelJob(req.params.id, req.auth.tenant);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    res.json({
+      message: 'Ingestion job cancellation requested',
+      job
+    });
+  } catch (error) {
+    console.error('Cancel ingestion job error:', error);
+    res.status(500).json({ error: 'Failed to cancel ingestion job' });
+  }
+});
+
+// List ingested documents
+router.get('/documents', requireScope('query'), resolveCollection, (req, res) => {
+  try {
+    const documents = req.collection.documentRegistry.listDocuments();
+    res.json({
+      documents,
+      total: documents.length
+    });
+  } catch (error) {
+    console.error('List documents error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+// Get a document's metadata and chunks
+router.get('/documents/:id', requireScope('query'), resolveCollection, async (req, res) => {
+  try {
+    const document = await req.collection.documentRegistry.getDocument(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(document);
+  } catch (error) {
+    console.error('Get document error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to get document' });
+  }
+});
+
+// Replace a document's content - supports file upload or JSON body with content
+router.put('/documents/:id', requireScope('ingest'), upload.single('file'), parseIngestMetadata, resolveCollection, resolveChunking, async (req, res) => {
+  try {
+    const { id } = req.params;
+    let document;
+
+    if (req.file) {
+      try {
+        document = await loadUploadedFile(req.file);
+      } finally {
+        await discardUploads(req);
+      }
+    } else {
+      const { content, title, source } = req.body;
+
+      if (!content) {
+        return res.status(400).json({
+          error: 'Either file upload or content is required',
+          usage: {
+            fileUpload: 'PUT /api/documents/:id with multipart/form-data file field',
+            content: 'PUT /api/documents/:id with JSON body containing content'
+          }
+        });
+      }
+
+      document = { content, title, source, type: 'text' };
+    }
+
+    // Tags and metadata are only replaced when supplied
+    const { tags, metadata } = req.ingestMetadata;
+    if (tags !== undefined) document.tags = tags;
+    if (metadata !== undefined) document.metadata = metadata;
+
+    const record = await req.collection.documentRegistry.replaceDocument(id, document, req.textSplitter);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      message: 'Document updated successfully',
+      document: record
+    });
+  } catch (error) {
+    console.error('Update document error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Failed to update document',
+      details: error.message 
+    });
+  }
+});
+
+// Delete a document and all of its chunks
+router.delete('/documents/:id', requireScope('ingest'), resolveCollection, async (req, res) => {
+  try {
+    const record = await req.collection.documentRegistry.deleteDocument(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      message: 'Document deleted',
+      document: record
+    });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Map collection validation errors to HTTP status codes
+const sendCollectionError = (res, error, fallbackMessage) => {
+  if (error.code === 'INVALID_COLLECTION') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'COLLECTION_EXISTS') {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+    return res.status(503).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage, details: error.message });
+};
+
+// List collections
+router.get('/collections', requireScope('query'), (req, res) => {
+  try {
+    res.json({
+      collections: collections.listCollections(req.auth.tenant),
+      defaultCollection: collections.getDefaultName(req.auth.tenant)
+    });
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({ error: 'Failed to list collections' });
+  }
+});
+
+// Create a collection with its own chunking and embedding settings
+router.post('/collections', requireScope('admin'), async (req, res) => {
+  try {
+    const {
+      name, description, chunkStrategy, chunkSize, chunkOverlap, embeddingModel, embeddingProvider,
+      chatProvider, chatModel, minSimilarity, noContextBehavior
+    } = req.body;
+    const collection = await collections.createCollection({
+      name, tenant: req.auth.tenant, description, chunkStrategy, chunkSize, chunkOverlap, embeddingModel, embeddingProvider,
+      chatProvider, chatModel, minSimilarity, noContextBehavior
+    });
+
+    res.status(201).json({
+      message: 'Collection created',
+      collection
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    sendCollectionError(res, error, 'Failed to create collection');
+  }
+});
+
+// Get a collection's settings and statistics
+router.get('/collections/:name', requireScope('query'), async (req, res) => {
+  try {
+    const config = collections.getConfig(req.params.name, req.auth.tenant);
+
+    if (!config) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({
+      ...config,
+      stats: await collections.getCollectionStats(req.params.name)
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to get collection' });
+  }
+});
+
+// Update a collection's description, chunking, chat provider, relevance guardrail or (while empty) embedding settings
+router.put('/collections/:name', requireScope('admin'), async (req, res) => {
+  try {
+    const {
+      description, chunkStrategy, chunkSize, chunkOverlap, embeddingModel, embeddingProvider,
+      chatProvider, chatModel, minSimilarity, noContextBehavior
+    } = req.body;
+    const collection = await collections.updateCollection(req.params.name, {
+      description, chunkStrategy, chunkSize, chunkOverlap, embeddingModel, embeddingProvider,
+      chatProvider, chatModel, minSimilarity, noContextBehavior
+    }, req.auth.tenant);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({
+      message: 'Collection updated',
+      collection
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+    sendCollectionError(res, error, 'Failed to update collection');
+  }
+});
+
+// Delete a collection and all of its documents
+router.delete('/collections/:name', requireScope('admin'), async (req, res) => {
+  try {
+    const collection = await collections.deleteCollection(req.params.name, req.auth.tenant);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({
+      message: 'Collection deleted',
+      collection
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    sendCollectionError(res, error, 'Failed to delete collection');
+  }
+});
+
+// Re-embed a collection's chunks with another embedding model in the background; the new vector
+// store replaces the old one once it is complete
+router.post('/collections/:name/reindex', requireScope('admin'), (req, res) => {
+  try {
+    const { embeddingModel, embeddingProvider } = req.body;
+    const job = reindexJobs.startJob(req.params.name, { embeddingModel, embeddingProvider }, req.auth.tenant);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.status(202).json({
+      message: 'Re-index started',
+      job,
+      statusUrl: `${req.baseUrl}/collections/${encodeURIComponent(req.params.name)}/reindex`
+    });
+  } catch (error) {
+    console.error('Start re-index error:', error);
+    if (error.code === 'REINDEX_RUNNING') {
+      return res.status(409).json({ error: error.message });
+    }
+    sendCollectionError(res, error, 'Failed to start re-index');
+  }
+});
+
+// Progress of the collection's most recent re-index
+router.get('/collections/:name/reindex', requireScope('admin'), (req, res) => {
+  try {
+    const job = reindexJobs.getLatestJob(req.params.name, req.auth.tenant);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No re-index found for this collection' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get re-index error:', error);
+    res.status(500).json({ error: 'Failed to get re-index' });
+  }
+});
+
+router.post('/collections/:name/reindex/cancel', requireScope('admin'), (req, res) => {
+  try {
+    const job = reindexJobs.cancelJob(req.params.name, req.auth.tenant);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No running re-index found for this collection' });
+    }
+
+    res.json({
+      message: 'Re-index cancellation requested',
+      job
+    });
+  } catch (error) {
+    console.error('Cancel re-index error:', error);
+    res.status(500).json({ error: 'Failed to cancel re-index' });
+  }
+});
+
+// List API keys: the tenant's own, or for operators every tenant's (or one tenant's with ?tenant=)
+router.get('/keys', requireScope('admin'), (req, res) => {
+  try {
+    const tenant = authService.isOperator(req.auth) ? (req.query.tenant || null) : req.auth.tenant;
+    res.json({ keys: authService.listKeys(tenant) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create an API key for the caller's tenant (operators may name another tenant).
+// The key is only returned in this response.
+router.post('/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const tenant = req.body.tenant || req.auth.tenant;
+
+    if (tenant !== req.auth.tenant && !authService.isOperator(req.auth)) {
+      return res.status(403).json({ error: 'API keys can only be created for your own tenant' });
+    }
+
+    const { key, record } = await authService.createKey({ name, tenant, scopes });
+    res.status(201).json({
+      message: 'API key created; store it now, it cannot be retrieved again',
+      key,
+      apiKey: record
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    if (error.code === 'INVALID_KEY') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an API key
+router.delete('/keys/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const tenant = authService.isOperator(req.auth) ? null : req.auth.tenant;
+    const record = await authService.revokeKey(req.params.id, tenant);
+
+    if (!record) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      message: 'API key revoked',
+      apiKey: record
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Embedding cache size and hit/miss counts since startup; the cache is shared by all tenants
+router.get('/embeddings/cache', requireOperator, (req, res) => {
+  res.json({ cache: embeddingCache.getStats() });
+});
+
+router.delete('/embeddings/cache', requireOperator, async (req, res) => {
+  try {
+    const removed = await embeddingCache.clear();
+    res.json({
+      message: 'Embedding cache cleared',
+      removedEntries: removed
+    });
+  } catch (error) {
+    console.error('Clear embedding cache error:', error);
+    res.status(500).json({ error: 'Failed to clear embedding cache' });
+  }
+});
+
 // Health check
-router.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+// Unhealthy (503) while VECTOR_BACKEND=chroma and ChromaDB is down, degraded while collections have
+// failed over to the embedded store. Public, so only counts are reported, not collection names.
+router.get('/health', async (req, res) => {
+  const { url, ...chroma } = chromaConnection.getStatus();
+
+  try {
+    const counts = await collections.getBackendCounts();
+    const unavailable = chromaConnection.backend === 'chroma' && chroma.status === 'unavailable';
+
+    let status = 'healthy';
+    if (unavailable) status = 'unhealthy';
+    else if (counts.fallback > 0) status = 'degraded';
+
+    res.status(unavailable ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      vectorStore: {
+        backend: chromaConnection.backend,
+        chroma,
+        collections: counts
+      }
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(503).json({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      error: 'Health check failed',
+      vectorStore: {
+        backend: chromaConnection.backend,
+        chroma
+      }
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const chatService = require('../services/chat');
+const collections = require('../services/collections');
+const authService = require('../services/auth');
+
+// OpenAI-compatible facade over the RAG pipeline, so chat front-ends and SDKs written for the
+// chat-completions protocol can query the knowledge base. Models are collections: the model
+// "<collection>" answers with the collection's chat model, "<collection>/<chat model>" with
+// another model of the collection's provider. Collection names never contain "/".
+
+const router = express.Router();
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  409: 'invalid_request_error',
+  500: 'server_error',
+  503: 'server_error'
+};
+
+// Errors use the OpenAI shape so SDKs surface the message
+const sendError = (res, status, message, code = null) => {
+  res.status(status).json({
+    error: { message, type: ERROR_TYPES[status], param: null, code }
+  });
+};
+
+const authenticate = (req, res, next) => {
+  try {
+    req.auth = authService.authenticate({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key')
+    });
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer');
+    sendError(res, 401, error.message, 'invalid_api_key');
+  }
+};
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!authService.hasScope(req.auth, scope)) {
+    return sendError(res, 403, `The ${scope} scope is required`);
+  }
+  next();
+};
+
+router.use(authenticate, requireScope('query'));
+
+// "<collection>" or "<collection>/<chat model>" => { collection, chatModel }, or null if the
+// collection does not exist or belongs to another tenant
+const resolveModel = (model, tenant) => {
+  const separator = model.indexOf('/');
+  const name = separator === -1 ? model : model.slice(0, separator);
+  const chatModel = separator === -1 ? null : model.slice(separator + 1);
+
+  const config = collections.getConfig(name, tenant);
+  return config && chatModel !== '' ? { collection: config.name, chatModel } : null;
+};
+
+const formatModel = (config) => ({
+  id: config.name,
+  object: 'model',
+  created: Math.floor(new Date(config.createdAt).getTime() / 1000),
+  owned_by: config.tenant
+});
+
+// Message content is a string or an array of content parts, of which only text is supported
+const messageText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content) && content.every(part => part && part.type === 'text' && typeof part.text === 'string')) {
+    return content.map(part => part.text).join('\n');
+  }
+  return null;
+};
+
+// Split the messages into the question (the last message, which must come from the user) and
+// the earlier user and assistant turns. System messages are replaced by the RAG system prompt.
+const parseMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
+
+  const turns = messages.map((message, index) => {
+    const content = message ? messageText(message.content) : null;
+    if (!message || typeof message.role !== 'string') {
+      throw new Error(`messages[${index}].role is required`);
+    }
+    // Assistant messages that only carry tool calls have no content
+    if (content === null && message.role === 'user') {
+      throw new Error(`messages[${index}].content must be a string or an array of text parts`);
+    }
+    return { role: message.role, content: content || '' };
+  });
+
+  const last = turns.pop();
+  if (last.role !== 'user') {
+    throw new Error('The last message must have the user role');
+  }
+
+  return {
+    question: last.content,
+    history: turns.filter(turn => turn.role === 'user' || turn.role === 'assistant')
+  };
+};
+
+// Base of every completion and chunk; sources and grounded are extensions to the OpenAI format
+const completionBase = (model, object) => ({
+  id: `chatcmpl-${uuidv4().replace(/-/g, '')}`,
+  object,
+  created: Math.floor(Date.now() / 1000),
+  model
+});
+
+// Stream chat.completion.chunk objects as Server-Sent Events, ending with "data: [DONE]"
+const streamCompletion = async (req, res, question, model, options) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const base = completionBase(model, 'chat.completion.chunk');
+  const sendChunk = (delta, finishReason = null, extensions = {}) => {
+    const chunk = { ...base, choices: [{ index: 0, delta, finish_reason: finishReason }], ...extensions };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+
+  // Cancel generation if the client goes away before we finish
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    sendChunk({ role: 'assistant', content: '' });
+    const result = await chatService.streamAnswer(question, null, {
+      ...options,
+      signal: controller.signal,
+      onToken: (token) => sendChunk({ content: token })
+    });
+    // Sources are sent last, when it is known which of them the answer cites
+    sendChunk({}, 'stop', { sources: result.sources, grounded: result.grounded });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Chat completion stream cancelled by client');
+      return;
+    }
+    console.error('Chat completion stream error:', error);
+    let streamError = { message: 'Internal server error', type: 'server_error', param: null, code: null };
+    if (error.code === 'EMBEDDING_MISMATCH') {
+      streamError = { message: error.message, type: 'invalid_request_error', param: null, code: 'embedding_mismatch' };
+    } else if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      streamError = { message: error.message, type: 'server_error', param: null, code: 'vector_backend_unavailable' };
+    }
+    res.write(`data: ${JSON.stringify({ error: streamError })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+};
+
+// List the tenant's collections as models
+router.get('/models', (req, res) => {
+  res.json({
+    object: 'list',
+    data: collections.listCollections(req.auth.tenant).map(formatModel)
+  });
+});
+
+router.get('/models/*', (req, res) => {
+  const model = req.params[0];
+  const resolved = resolveModel(model, req.auth.tenant);
+  if (!resolved) {
+    return sendError(res, 404, `The model '${model}' does not exist`, 'model_not_found');
+  }
+
+  res.json({ ...formatModel(collections.getConfig(resolved.collection)), id: model });
+});
+
+// Answer the last user message from the model's collection. Sampling parameters such as
+// temperature and max_tokens are accepted but not applied.
+router.post('/chat/completions', async (req, res) => {
+  try {
+    const { model, messages, stream, n } = req.body;
+
+    if (typeof model !== 'string' || !model) {
+      return sendError(res, 400, 'model is required');
+    }
+    if (stream !== undefined && typeof stream !== 'boolean') {
+      return sendError(res, 400, 'stream must be a boolean');
+    }
+    if (n !== undefined && n !== 1) {
+      return sendError(res, 400, 'Only n=1 is supported');
+    }
+
+    let parsed;
+    try {
+      parsed = parseMessages(messages);
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+
+    const resolved = resolveModel(model, req.auth.tenant);
+    if (!resolved) {
+      return sendError(res, 404, `The model '${model}' does not exist`, 'model_not_found');
+    }
+
+    const options = { ...resolved, history: parsed.history };
+
+    if (stream) {
+      return await streamCompletion(req, res, parsed.question, model, options);
+    }
+
+    const result = await chatService.answerQuestion(parsed.question, null, options);
+    res.json({
+      ...completionBase(model, 'chat.completion'),
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: result.answer },
+        finish_reason: 'stop'
+      }],
+      sources: result.sources,
+      grounded: result.grounded
+    });
+  } catch (error) {
+    console.error('Chat completion error:', error);
+    if (error.code === 'EMBEDDING_MISMATCH') {
+      return sendError(res, 409, error.message, 'embedding_mismatch');
+    }
+    if (error.code === 'VECTOR_BACKEND_UNAVAILABLE') {
+      return sendError(res, 503, error.message, 'vector_backend_unavailable');
+    }
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { isJwt, verifyJwt } = require('../utils/jwt');
+const { DEFAULT_TENANT, isValidTenant } = require('../utils/tenants');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// query: ask questions, read documents, collections and conversations
+// ingest: add, replace and delete documents, run ingestion jobs
+// admin: everything, plus collection settings and API keys of the tenant. Admins of the
+// default tenant are operators: they manage keys of every tenant and server-wide settings.
+const SCOPES = ['query', 'ingest', 'admin'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.enabled = false;
+    this.keys = new Map(); // API key records by key ID; only a hash of each key is stored
+    this.storagePath = path.join(process.cwd(), 'api_keys.json');
+    this.adminKeyHash = null; // Bootstrap operator key from ADMIN_API_KEY
+    this.jwt = null; // { secret, issuer, audience } when JWT_SECRET is set
+    this.pendingSave = Promise.resolve(); // Writes are chained so concurrent requests cannot interleave them
+  }
+
+  async initialize() {
+    this.enabled = process.env.AUTH_ENABLED === 'true';
+    this.adminKeyHash = process.env.ADMIN_API_KEY ? hashKey(process.env.ADMIN_API_KEY) : null;
+    this.jwt = process.env.JWT_SECRET ? {
+      secret: process.env.JWT_SECRET,
+      issuer: process.env.JWT_ISSUER || null,
+      audience: process.env.JWT_AUDIENCE || null
+    } : null;
+
+    await this.loadFromStorage();
+
+    if (!this.enabled) {
+      console.warn('Authentication is disabled (AUTH_ENABLED is not "true"): every request has full access to the default tenant');
+    } else if (!this.adminKeyHash && !this.jwt && this.keys.size === 0) {
+      console.warn('Authentication is enabled but no ADMIN_API_KEY, JWT_SECRET or API keys are configured: every request will be rejected');
+    } else {
+      console.log(`Authentication enabled (${this.keys.size} API keys${this.jwt ? ', JWT' : ''})`);
+    }
+  }
+
+  // Resolve a request's credentials to a principal { tenant, scopes, subject }. Credentials are an
+  // API key or JWT in "Authorization: Bearer ...", or an API key in X-API-Key.
+  // Throws an error with code UNAUTHENTICATED when they are missing or invalid.
+  authenticate({ authorization, apiKey }) {
+    if (!this.enabled) {
+      return { tenant: DEFAULT_TENANT, scopes: [...SCOPES], subject: 'anonymous' };
+    }
+
+    const bearer = (authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const token = apiKey || (bearer && bearer[1]);
+    if (!token) {
+      throw authError('Authentication required', 'UNAUTHENTICATED');
+    }
+
+    return isJwt(token) ? this.authenticateJwt(token) : this.authenticateApiKey(token);
+  }
+
+  // Tokens carry the tenant in a "tenant" claim and scopes in "scope" (space-separated) or "scopes"
+  authenticateJwt(token) {
+    if (!this.jwt) {
+      throw authError('JWT authentication is not configured', 'UNAUTHENTICATED');
+    }
+
+    let claims;
+    try {
+      claims = verifyJwt(token, this.jwt.secret, this.jwt);
+    } catch (error) {
+      throw authError(error.message, 'UNAUTHENTICATED');
+    }
+
+    if (!isValidTenant(claims.tenant)) {
+      throw authError('Token has no valid tenant claim', 'UNAUTHENTICATED');
+    }
+
+    const requested = typeof claims.scope === 'string' ? claims.scope.split(' ') : [].concat(claims.scopes || []);
+    return {
+      tenant: claims.tenant,
+      scopes: SCOPES.filter(scope => requested.includes(scope)),
+      subject: claims.sub ? `jwt:${claims.sub}` : 'jwt'
+    };
+  }
+
+  authenticateApiKey(key) {
+    const keyHash = hashKey(key);
+
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+      return { tenant: DEFAULT_TENANT, scopes: [...SCOPES], subject: 'admin-key' };
+    }
+
+    for (const record of this.keys.values()) {
+      if (record.keyHash === keyHash) {
+        return { tenant: record.tenant, scopes: record.scopes, subject: `key:${record.id}` };
+      }
+    }
+
+    throw authError('Invalid API key', 'UNAUTHENTICATED');
+  }
+
+  hasScope(principal, scope) {
+    return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+  }
+
+  // Admin of the default tenant: may manage every tenant's keys and server-wide settings
+  isOperator(principal) {
+    return principal.tenant === DEFAULT_TENANT && this.hasScope(principal, 'admin');
+  }
+
+  // Create an API key. The key itself is only returned here; the registry keeps its hash.
+  async createKey({ name, tenant, scopes }) {
+    if (name !== undefined && typeof name !== 'string') {
+      throw authError('name must be a string', 'INVALID_KEY');
+    }
+    if (!isValidTenant(tenant)) {
+      throw authError('tenant must be 1-40 letters, digits, "_" or "-", starting with a letter or digit', 'INVALID_KEY');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+      throw authError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`, 'INVALID_KEY');
+    }
+
+    const key = `sa_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      name: name || '',
+      tenant,
+      scopes: SCOPES.filter(scope => scopes.includes(scope)),
+      keyPrefix: key.substring(0, 10), // Lets users tell their keys apart
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString()
+    };
+
+    this.keys.set(record.id, record);
+    await this.saveToStorage();
+
+    return { key, record: this.formatKey(record) };
+  }
+
+  // Keys of one tenant, or of all tenants when tenant is null
+  listKeys(tenant = null) {
+    return Array.from(this.keys.values())
+      .filter(record => tenant === null || record.tenant === tenant)
+      .map(record => this.formatKey(record));
+  }
+
+  async revokeKey(keyId, tenant = null) {
+    const record = this.keys.get(keyId);
+    if (!record || (tenant !== null && record.tenant !== tenant)) return null;
+
+    this.keys.delete(keyId);
+    await this.saveToStorage();
+
+    return this.formatKey(record);
+  }
+
+  formatKey({ keyHash, ...record }) {
+    return record;
+  }
+
+  // Failed saves are reported to the caller: a key that was not saved stops working on restart
+  saveToStorage() {
+    const save = this.pendingSave.then(() => {
+      const data = { keys: Array.from(this.keys.values()) };
+      return writeFileAtomic(this.storagePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    });
+    this.pendingSave = save.catch(() => {});
+    return save;
+  }
+
+  // A key file that cannot be read stops the server: starting without its keys and saving the
+  // next new key over it would revoke every existing key
+  async loadFromStorage() {
+    let data;
+    try {
+      data = await fs.readFile(this.storagePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Could not read API keys from ${this.storagePath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Could not read API keys from ${this.storagePath}: ${error.message}. Fix or remove the file to start.`);
+    }
+
+    this.keys = new Map((parsed.keys || []).map(record => [record.id, record]));
+  }
+}
+
+module.exports = new AuthService();
@@ -1,117 +1,399 @@
-const { Ollama } = require('ollama');
-const vectorStore = require('./vectorstore');
 const conversationContext = require('./conversationContext');
+const collections = require('./collections');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { resolveCitations } = require('../utils/citations');
+const { createReranker } = require('./reranker');
+const { getProvider } = require('./llmProviders');
+const { EXPANSION_MODES, expandContext, isValidExpansionMode } = require('./contextExpansion');
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
 
 class ChatService {
   constructor() {
     this.model = process.env.CHAT_MODEL || 'llama3.2:3b';
-    this.client = new Ollama();
+    this.providerName = process.env.LLM_PROVIDER || 'ollama'; // Collections can use another chat provider and model
+    this.retrievalMode = process.env.RETRIEVAL_MODE || 'hybrid';
+    this.retrievalK = 5;
+    // Rerankers have { enabled, rerank(query, documents) }; when enabled, retrieval over-fetches candidates for them
+    this.reranker = createReranker(process.env.RERANKER || 'none');
+    this.rerankCandidates = parseInt(process.env.RERANK_CANDIDATES) || 30;
+    // Small-to-big retrieval: matched chunks are widened to neighbouring chunks or their section
+    this.contextExpansion = process.env.CONTEXT_EXPANSION || 'none';
+    this.contextWindow = process.env.CONTEXT_WINDOW ? parseInt(process.env.CONTEXT_WINDOW) : 1;
+    this.parentMaxTokens = parseInt(process.env.PARENT_MAX_TOKENS) || 800;
+    this.rewriteFollowUps = process.env.QUERY_REWRITE !== 'false';
+    this.rewriteHistoryLength = 6; // Recent messages used to condense a follow-up question
+    // Relevance guardrail defaults; collections and requests can override the threshold
+    this.minSimilarity = process.env.MIN_SIMILARITY ? parseFloat(process.env.MIN_SIMILARITY) : null;
+    this.noContextBehavior = process.env.NO_CONTEXT_BEHAVIOR || 'refuse';
+    this.noContextMessage = process.env.NO_CONTEXT_MESSAGE ||
+      "I couldn't find anything relevant to that question in the knowledge base, so I can't answer it reliably.";
   }
 
-  async generateResponse(query, context = '') {
-    const prompt = this.buildPrompt(query, context);
-    
-    try {
-      const response = await this.client.chat({
-        model: this.model,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        stream: false
-      });
+  async generateResponse(query, context = '', history = [], chat = this.getChatSettings()) {
+    const messages = this.buildMessages(query, context, history);
 
-      return response.message.content;
+    try {
+      return await chat.provider.chat({ model: chat.model, messages });
     } catch (error) {
       console.error('Error generating response:', error);
       throw error;
     }
   }
 
-  async answerQuestion(question, sessionId = null) {
-    // Retrieve relevant documents
-    const relevantDocs = await vectorStore.similarity_search(question, 5);
+  // Stream the response token by token, aborting the provider request if the signal fires
+  async streamResponse(query, context = '', { history = [], onToken, signal, chat = this.getChatSettings() } = {}) {
+    const stream = chat.provider.streamChat({
+      model: chat.model,
+      messages: this.buildMessages(query, context, history),
+      signal
+    });
 
-    // Build context from retrieved documents
-    const documentContext = relevantDocs
-      .map(doc => `Source: ${doc.metadata.source}\n${doc.content}`)
-      .join('\n\n---\n\n');
+    let response = '';
+    for await (const token of stream) {
+      response += token;
+      if (onToken) onToken(token);
+    }
 
-    // Get conversation context if sessionId is provided
-    let conversationContextText = '';
-    if (sessionId) {
-      try {
-        conversationContextText = conversationContext.getConversationSummary(sessionId);
-      } catch (error) {
-        console.warn('Failed to get conversation context:', error.message);
-      }
+    return response;
+  }
+
+  async answerQuestion(question, sessionId = null, options = {}) {
+    // Earlier turns of the conversation: passed by the caller, or stored under sessionId
+    const history = options.history || await this.getConversationHistory(sessionId, options.tenant);
+
+    // Retrieve relevant documents, searching with a standalone version of follow-up questions
+    const rewrittenQuery = await this.rewriteQuery(question, history, options);
+    const guardrail = this.getGuardrailSettings(options);
+    const relevantDocs = await this.retrieveDocuments(rewrittenQuery || question, {
+      ...options,
+      minSimilarity: guardrail.minSimilarity
+    });
+    const grounded = relevantDocs.length > 0;
+
+    // Nothing cleared the relevance threshold: answer without calling the model
+    if (!grounded && guardrail.noContextBehavior === 'refuse') {
+      const answer = this.noContextMessage;
+      await this.storeConversation(sessionId, question, answer, [], options.tenant);
+      return this.buildResult({ answer, sources: [], invalidCitations: [] }, { grounded, sessionId, rewrittenQuery });
     }
 
+    // Build context from retrieved documents
+    const documentContext = this.buildDocumentContext(relevantDocs);
+
     // Generate response with both document and conversation context
-    const response = await this.generateResponse(question, documentContext, conversationContextText);
-
-    // Store the conversation if sessionId is provided
-    if (sessionId) {
-      try {
-        // Check if session exists, create if it doesn't
-        if (!conversationContext.conversations.has(sessionId)) {
-          console.log(`Session ${sessionId} not found, creating new session`);
-          conversationContext.createSession(sessionId);
-        }
-        
-        // Add user message
-        conversationContext.addMessage(sessionId, 'user', question);
-        
-        // Add assistant response
-        conversationContext.addMessage(sessionId, 'assistant', response, {
-          sources: relevantDocs.map(doc => ({
-            source: doc.metadata.source,
-            title: doc.metadata.title,
-            similarity: 1 - doc.distance
-          }))
-        });
-      } catch (error) {
-        console.warn('Failed to store conversation context:', error.message);
-        // Continue without context if storage fails
-      }
+    const response = await this.generateResponse(question, documentContext, history, this.getChatSettings(options));
+
+    const cited = this.applyCitations(response, relevantDocs);
+    await this.storeConversation(sessionId, question, cited.answer, cited.sources, options.tenant);
+
+    return this.buildResult(cited, { grounded, sessionId, rewrittenQuery });
+  }
+
+  // Same pipeline as answerQuestion, but reports sources and tokens as they become available
+  async streamAnswer(question, sessionId = null, { onSources, onToken, signal, ...options } = {}) {
+    const history = options.history || await this.getConversationHistory(sessionId, options.tenant);
+    const rewrittenQuery = await this.rewriteQuery(question, history, options);
+    const guardrail = this.getGuardrailSettings(options);
+    const relevantDocs = await this.retrieveDocuments(rewrittenQuery || question, {
+      ...options,
+      minSimilarity: guardrail.minSimilarity
+    });
+    const grounded = relevantDocs.length > 0;
+    if (onSources) onSources(this.formatSources(relevantDocs));
+
+    if (!grounded && guardrail.noContextBehavior === 'refuse') {
+      const answer = this.noContextMessage;
+      if (onToken) onToken(answer);
+      await this.storeConversation(sessionId, question, answer, [], options.tenant);
+      return this.buildResult({ answer, sources: [], invalidCitations: [] }, { grounded, sessionId, rewrittenQuery });
     }
 
+    const documentContext = this.buildDocumentContext(relevantDocs);
+    const response = await this.streamResponse(question, documentContext, {
+      history,
+      onToken,
+      signal,
+      chat: this.getChatSettings(options)
+    });
+
+    // Tokens are already sent, so invalid markers are only removed from the final answer
+    const cited = this.applyCitations(response, relevantDocs);
+
+    // Only complete answers are written to the conversation history
+    await this.storeConversation(sessionId, question, cited.answer, cited.sources, options.tenant);
+
+    return this.buildResult(cited, { grounded, sessionId, rewrittenQuery });
+  }
+
+  buildResult({ answer, sources, invalidCitations }, { grounded, sessionId, rewrittenQuery }) {
+    const result = {
+      answer,
+      sources,
+      invalidCitations,
+      grounded,
+      sessionId: sessionId,
+      rewrittenQuery
+    };
+    if (!grounded) result.reason = 'no_relevant_context';
+    return result;
+  }
+
+  // Chat provider and model: the collection's own, else the server defaults. A chatModel
+  // option picks another model of the collection's provider for this request.
+  getChatSettings({ collection: collectionName, chatModel } = {}) {
+    const config = collections.getConfig(collectionName || collections.defaultName) || {};
     return {
-      answer: response,
-      sources: relevantDocs.map(doc => ({
-        source: doc.metadata.source,
-        title: doc.metadata.title,
-        similarity: 1 - doc.distance
-      })),
-      sessionId: sessionId
+      provider: getProvider(config.chatProvider || this.providerName),
+      model: chatModel || config.chatModel || this.model
     };
   }
 
-  buildPrompt(query, documentContext, conversationContext = '') {
-    let prompt = `You are a specialist AI agent with expertise in document analysis and question answering. Use the provided context to answer the user's question accurately and comprehensively.
+  // Relevance threshold and no-context behavior: request options, then collection settings, then server defaults
+  getGuardrailSettings({ minSimilarity, collection: collectionName } = {}) {
+    const config = collections.getConfig(collectionName || collections.defaultName) || {};
+    const pick = (...values) => values.find(value => value !== undefined && value !== null);
 
-Document Context:
-${documentContext}`;
+    return {
+      minSimilarity: pick(minSimilarity, config.minSimilarity, this.minSimilarity, null),
+      noContextBehavior: pick(config.noContextBehavior, this.noContextBehavior)
+    };
+  }
+
+  // Condense a follow-up question into a standalone search query using recent history.
+  // Returns null when there is no history, rewriting is disabled, or the rewrite fails.
+  async rewriteQuery(question, history, { rewriteQuery: enabled = this.rewriteFollowUps, ...options } = {}) {
+    if (!enabled || history.length === 0) return null;
+
+    const transcript = history
+      .slice(-this.rewriteHistoryLength)
+      .map(message => `${message.role}: ${message.content}`)
+      .join('\n');
 
-    if (conversationContext) {
-      prompt += `\n\nConversation Context:
-${conversationContext}`;
+    try {
+      const chat = this.getChatSettings(options);
+      const response = await chat.provider.chat({
+        model: chat.model,
+        messages: [{
+          role: 'user',
+          content: this.buildRewritePrompt(question, transcript)
+        }]
+      });
+
+      const rewritten = response.trim().replace(/^["']|["']$/g, '');
+      return rewritten || null;
+    } catch (error) {
+      console.warn('Failed to rewrite follow-up question:', error.message);
+      return null;
+    }
+  }
+
+  // Retrieve chunks from a collection by embedding similarity, BM25 keyword score, or both fused
+  // by reciprocal rank, optionally restricted by a metadata filter, then rerank the candidates
+  // and widen the best ones into passages with their surrounding context
+  async retrieveDocuments(question, {
+    retrievalMode,
+    filter = null,
+    minSimilarity = null,
+    contextExpansion,
+    contextWindow,
+    collection: collectionName
+  } = {}) {
+    const mode = retrievalMode || this.retrievalMode;
+    const expansion = contextExpansion || this.contextExpansion;
+    const k = this.retrievalK;
+
+    if (!this.isValidRetrievalMode(mode)) {
+      throw new Error(`Unknown retrieval mode: ${mode}. Use one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    if (!isValidExpansionMode(expansion)) {
+      throw new Error(`Unknown context expansion: ${expansion}. Use one of: ${EXPANSION_MODES.join(', ')}`);
+    }
+
+    const collection = await collections.getCollection(collectionName);
+    if (!collection) {
+      throw new Error(`Collection not found: ${collectionName}`);
     }
+    const { vectorStore, keywordIndex } = collection;
+
+    const limit = this.reranker.enabled ? Math.max(this.rerankCandidates, k) : k;
+    let candidates;
 
-    prompt += `\n\nQuestion: ${query}
+    if (mode === 'vector') {
+      const results = await vectorStore.similarity_search(question, limit, filter);
+      candidates = this.applyRelevanceThreshold(results, minSimilarity);
+    } else if (mode === 'keyword') {
+      // BM25 scores have no fixed scale, so keyword-only retrieval is not thresholded
+      candidates = keywordIndex.search(question, limit, filter);
+    } else {
+      // Over-fetch from both retrievers so fusion has candidates to reorder
+      const fetchCount = Math.max(k * 4, limit);
+      const [vectorResults, keywordResults] = await Promise.all([
+        vectorStore.similarity_search(question, fetchCount, filter),
+        keywordIndex.search(question, fetchCount, filter)
+      ]);
+
+      const fused = reciprocalRankFusion([vectorResults, keywordResults]);
+      candidates = this.applyRelevanceThreshold(fused, minSimilarity).slice(0, limit);
+    }
+
+    const reranked = await this.reranker.rerank(question, candidates);
+    return await expandContext(reranked.slice(0, k), vectorStore, {
+      mode: expansion,
+      window: contextWindow !== undefined ? contextWindow : this.contextWindow,
+      maxTokens: this.parentMaxTokens
+    });
+  }
+
+  // Drop chunks below the minimum similarity. Keyword-only matches have no similarity; they are
+  // kept only when some chunk clears the threshold, so common words alone cannot ground an answer.
+  applyRelevanceThreshold(results, minSimilarity) {
+    if (minSimilarity === null) return results;
+
+    const isSimilar = doc => doc.distance !== undefined && 1 - doc.distance >= minSimilarity;
+    if (!results.some(isSimilar)) return [];
+
+    return results.filter(doc => doc.distance === undefined || isSimilar(doc));
+  }
+
+  isValidRetrievalMode(mode) {
+    return RETRIEVAL_MODES.includes(mode);
+  }
+
+  isValidContextWindow(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 10;
+  }
+
+  // Cosine similarity ranges from -1 to 1
+  isValidMinSimilarity(value) {
+    return typeof value === 'number' && value >= -1 && value <= 1;
+  }
+
+  // Passages are numbered so the answer can cite them as [1], [2], ...
+  buildDocumentContext(relevantDocs) {
+    return relevantDocs
+      .map((doc, index) => {
+        const page = doc.metadata.page_start ? `, page ${doc.metadata.page_start}` : '';
+        const section = doc.metadata.heading_path ? `\nSection: ${doc.metadata.heading_path}` : '';
+        return `[${index + 1}] Source: ${doc.metadata.source}${page}${section}\n${doc.content}`;
+      })
+      .join('\n\n---\n\n');
+  }
+
+  // Drop citation markers that point to no passage and flag which sources the answer cites
+  applyCitations(response, relevantDocs) {
+    const { answer, cited, invalid } = resolveCitations(response, relevantDocs.length);
+    if (invalid.length > 0) {
+      console.warn(`Removed citations to non-existent passages: ${invalid.join(', ')}`);
+    }
+
+    const sources = this.formatSources(relevantDocs).map(source => ({
+      ...source,
+      cited: cited.includes(source.citation)
+    }));
+
+    return { answer, sources, invalidCitations: invalid };
+  }
+
+  formatSources(relevantDocs) {
+    return relevantDocs.map((doc, index) => {
+      const { metadata } = doc;
+      const source = {
+        citation: index + 1,
+        chunkId: doc.id,
+        source: metadata.source,
+        title: metadata.title,
+        // Chunks ingested before offsets were recorded have no provenance
+        startOffset: metadata.start_offset !== undefined ? metadata.start_offset : null,
+        endOffset: metadata.end_offset !== undefined ? metadata.end_offset : null,
+        page: metadata.page_start !== undefined ? metadata.page_start : null,
+        pageEnd: metadata.page_end !== undefined ? metadata.page_end : null,
+        section: metadata.heading_path || null,
+        // Keyword-only matches have no embedding distance
+        similarity: doc.distance !== undefined ? 1 - doc.distance : null
+      };
+      if (doc.keywordScore !== undefined) source.keywordScore = doc.keywordScore;
+      if (doc.fusedScore !== undefined) source.fusedScore = doc.fusedScore;
+      if (doc.chunkIds) {
+        // Expanded passages cover several chunks; chunkId stays the best-matching one
+        source.chunkIds = doc.chunkIds;
+        source.matchedChunkIds = doc.matchedChunkIds;
+      }
+      if (doc.rerankScore !== undefined) {
+        source.rerankScore = doc.rerankScore;
+        source.retrievalRank = doc.retrievalRank;
+      }
+      return source;
+    });
+  }
+
+  // Earlier messages of the tenant's session, within the context window and token limits
+  async getConversationHistory(sessionId, tenant) {
+    if (!sessionId) return [];
+
+    try {
+      return await conversationContext.getContext(sessionId, false, tenant);
+    } catch (error) {
+      console.warn('Failed to get conversation context:', error.message);
+      return [];
+    }
+  }
+
+  // Store the conversation if sessionId is provided
+  async storeConversation(sessionId, question, response, sources, tenant) {
+    if (!sessionId) return;
+
+    try {
+      // Add user message (creates the session if it doesn't exist)
+      await conversationContext.addMessage(sessionId, 'user', question, {}, tenant);
+
+      // Add assistant response
+      await conversationContext.addMessage(sessionId, 'assistant', response, { sources }, tenant);
+    } catch (error) {
+      console.warn('Failed to store conversation context:', error.message);
+      // Continue without context if storage fails
+    }
+  }
+
+  buildRewritePrompt(question, transcript) {
+    return `Rewrite the follow-up question as a standalone search query, using the conversation to resolve references like "it", "that" or "the second one". Keep names, identifiers and technical terms exactly as written. If the question is already standalone, return it unchanged.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+
+Reply with the standalone search query only.`;
+  }
+
+  // System prompt, earlier turns as real chat messages, then the question with its document context
+  buildMessages(query, documentContext, history = []) {
+    return [
+      { role: 'system', content: conversationContext.buildSystemPrompt() },
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: this.buildPrompt(query, documentContext) }
+    ];
+  }
+
+  buildPrompt(query, documentContext) {
+    return `Use the provided context to answer the question accurately and comprehensively.
+
+Document Context:
+${documentContext || 'No relevant documents were found in the knowledge base.'}
+
+Question: ${query}
 
 Instructions:
 - Answer based primarily on the provided document context
-- Use conversation context to maintain continuity and provide more relevant responses
+- Use the earlier messages in this conversation to resolve follow-up questions
 - Be specific and detailed in your response
 - If the context doesn't contain enough information, clearly state what's missing
-- Cite specific sources when possible
+- Cite the passages you use by number right after the statement they support, e.g. [1] or [2, 3]
+- Only cite passage numbers that appear in the document context
 - Maintain a professional and knowledgeable tone
 - Reference previous parts of the conversation when relevant
 
 Answer:`;
-
-    return prompt;
   }
 }
 
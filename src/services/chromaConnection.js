@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const { ChromaClient, ChromaConnectionError } = require('chromadb');
+
+// VECTOR_BACKEND selects where collections keep their vectors:
+//   auto      ChromaDB, failing over to the embedded store while ChromaDB cannot be reached
+//   chroma    ChromaDB only; requests fail with VECTOR_BACKEND_UNAVAILABLE while it is down
+//   embedded  the embedded store only (simpleVectorStore), ChromaDB is never contacted
+const BACKENDS = ['auto', 'chroma', 'embedded'];
+
+const parseBackend = (value) => {
+  const backend = (value || 'auto').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Invalid VECTOR_BACKEND "${value}": use ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+};
+
+// ChromaDB client shared by all collections, and the state of the connection. A request that
+// cannot reach the server marks it unavailable; the server is then polled with exponential
+// backoff and 'connected' is emitted once it answers again.
+class ChromaConnection extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per collection in auto mode
+    this.backend = parseBackend(process.env.VECTOR_BACKEND);
+    this.url = process.env.CHROMA_URL || 'http://localhost:8000';
+    this.client = new ChromaClient({ path: this.url });
+    this.status = this.backend === 'embedded' ? 'disabled' : 'unknown'; // unknown until the first request
+    this.lastError = null;
+    this.failures = 0; // Failed reconnection attempts, which set the backoff
+    this.minRetryMs = 1000;
+    this.maxRetryMs = parseInt(process.env.CHROMA_RECONNECT_MAX_MS) || 60000;
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+  }
+
+  // True for errors meaning the server could not be reached, as opposed to a failed request
+  isConnectionError(error) {
+    return error instanceof ChromaConnectionError ||
+      error.name === 'ChromaConnectionError' ||
+      error.code === 'VECTOR_BACKEND_UNAVAILABLE';
+  }
+
+  unavailableError() {
+    const retry = this.nextRetryAt ? `; reconnecting at ${this.nextRetryAt.toISOString()}` : '';
+    const error = new Error(`ChromaDB at ${this.url} is unavailable${retry}`);
+    error.code = 'VECTOR_BACKEND_UNAVAILABLE';
+    return error;
+  }
+
+  // Check whether the server answers
+  async connect() {
+    try {
+      await this.client.heartbeat();
+      this.markConnected();
+      return true;
+    } catch (error) {
+      this.markUnavailable(error);
+      return false;
+    }
+  }
+
+  markConnected() {
+    const reconnected = this.status === 'unavailable';
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.failures = 0;
+    this.lastError = null;
+    this.status = 'connected';
+
+    if (reconnected) {
+      console.log(`Reconnected to ChromaDB at ${this.url}`);
+      this.emit('connected');
+    }
+  }
+
+  markUnavailable(error) {
+    if (this.status !== 'unavailable') {
+      console.warn(`ChromaDB at ${this.url} is unavailable: ${error.message}`);
+    }
+    this.status = 'unavailable';
+    this.lastError = error.message;
+    this.scheduleReconnect();
+  }
+
+  // Retry after 1, 2, 4 ... seconds, up to maxRetryMs between attempts
+  scheduleReconnect() {
+    if (this.retryTimer) return;
+
+    const delay = Math.min(this.minRetryMs * 2 ** this.failures, this.maxRetryMs);
+    this.failures++;
+    this.nextRetryAt = new Date(Date.now() + delay);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, delay);
+    // Reconnection attempts must not keep the process alive
+    this.retryTimer.unref();
+  }
+
+  getStatus() {
+    return {
+      url: this.url,
+      status: this.status,
+      lastError: this.lastError,
+      nextRetryAt: this.nextRetryAt
+    };
+  }
+}
+
+module.exports = new ChromaConnection();
@@ -0,0 +1,383 @@
+const fs = require('fs').promises;
+const path = require('path');
+const embeddingService = require('./embedding');
+const VectorStore = require('./vectorstore');
+const KeywordIndex = require('./keywordIndex');
+const DocumentRegistry = require('./documentRegistry');
+const TextSplitter = require('../utils/textSplitter');
+const { PROVIDER_TYPES, isValidProvider } = require('./llmProviders');
+const { DEFAULT_TENANT, belongsToTenant } = require('../utils/tenants');
+const { writeFileAtomic, keepCorruptFile } = require('../utils/atomicWrite');
+
+// Same rules as ChromaDB collection names, which also keeps them safe as file names
+const COLLECTION_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,61}[a-zA-Z0-9]$/;
+// Chunk sizes are in tokens
+const DEFAULT_CHUNK_SIZE = 200;
+const DEFAULT_CHUNK_OVERLAP = 40;
+const DEFAULT_CHUNK_STRATEGY = 'auto';
+const NO_CONTEXT_BEHAVIORS = ['refuse', 'answer'];
+
+// Cosine similarity ranges from -1 to 1
+const isValidSimilarity = (value) => typeof value === 'number' && value >= -1 && value <= 1;
+
+const createTextSplitter = (config) => new TextSplitter({
+  strategy: config.chunkStrategy || DEFAULT_CHUNK_STRATEGY,
+  chunkSize: config.chunkSize,
+  chunkOverlap: config.chunkOverlap
+});
+
+const collectionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class CollectionService {
+  constructor() {
+    this.configs = new Map(); // Collection settings by name
+    this.collections = new Map(); // Opened collections (or pending opens) by name
+    this.defaultName = process.env.COLLECTION_NAME || 'specialist-agent';
+    this.storagePath = path.join(process.cwd(), 'collections.json');
+    this.pendingSave = Promise.resolve(); // Writes are chained so concurrent requests cannot interleave them
+  }
+
+  // Load collection settings, make sure the default collection exists and open it
+  async initialize() {
+    await this.loadFromStorage();
+
+    if (!this.configs.has(this.defaultName)) {
+      this.configs.set(this.defaultName, this.buildConfig({
+        name: this.defaultName,
+        description: 'Specialist Agent Knowledge Base'
+      }));
+      await this.saveToStorage();
+    }
+
+    try {
+      await this.getCollection(this.defaultName);
+    } catch (error) {
+      // VECTOR_BACKEND=chroma with ChromaDB down: collections open on first use once it is back
+      if (error.code !== 'VECTOR_BACKEND_UNAVAILABLE') throw error;
+      console.warn(`Default collection not opened: ${error.message}`);
+    }
+    console.log(`Collections initialized (${this.configs.size} configured)`);
+  }
+
+  // All collections, or only those of a tenant
+  listCollections(tenant = null) {
+    return Array.from(this.configs.values())
+      .filter(config => tenant === null || belongsToTenant(config, tenant));
+  }
+
+  // Collection settings, or null if the collection does not exist or belongs to another tenant
+  getConfig(name, tenant = null) {
+    const config = this.configs.get(name);
+    return config && (tenant === null || belongsToTenant(config, tenant)) ? config : null;
+  }
+
+  // Collection names are shared by all tenants, so other tenants' defaults are prefixed with the tenant
+  getDefaultName(tenant = DEFAULT_TENANT) {
+    return tenant === DEFAULT_TENANT ? this.defaultName : `${tenant}-default`;
+  }
+
+  isDefaultCollection(config) {
+    return config.name === this.getDefaultName(config.tenant || DEFAULT_TENANT);
+  }
+
+  // Opened stores of a collection, or null if it does not exist or belongs to another tenant.
+  // Defaults to the tenant's default collection, which is created on first use.
+  async getCollection(name, tenant = null) {
+    if (!name && tenant !== null && !this.configs.has(this.getDefaultName(tenant))) {
+      try {
+        await this.createCollection({ name: this.getDefaultName(tenant), tenant, description: `Default collection of tenant ${tenant}` });
+      } catch (error) {
+        // Another request created it first
+        if (error.code !== 'COLLECTION_EXISTS') throw error;
+      }
+    }
+
+    const config = this.getConfig(name || this.getDefaultName(tenant || DEFAULT_TENANT), tenant);
+    if (!config) return null;
+
+    if (!this.collections.has(config.name)) {
+      const opening = this.openCollection(config).catch(error => {
+        this.collections.delete(config.name);
+        throw error;
+      });
+      this.collections.set(config.name, opening);
+    }
+
+    return await this.collections.get(config.name);
+  }
+
+  async openCollection(config) {
+    const isDefault = config.name === this.defaultName;
+    const keywordIndex = new KeywordIndex(config.name);
+    const vectorStore = this.createVectorStore(config, { keywordIndex });
+    const documentRegistry = new DocumentRegistry(config.name, {
+      vectorStore,
+      legacyStoragePath: isDefault ? path.join(process.cwd(), 'document_registry.json') : null
+    });
+
+    await vectorStore.initialize();
+    await keywordIndex.initialize(() => vectorStore.getAllChunks());
+    await documentRegistry.initialize();
+
+    return {
+      name: config.name,
+      config,
+      vectorStore,
+      keywordIndex,
+      documentRegistry,
+      textSplitter: createTextSplitter(config)
+    };
+  }
+
+  // Vector store of a collection; backend overrides VECTOR_BACKEND, e.g. to sync between backends
+  createVectorStore(config, { keywordIndex = null, backend } = {}) {
+    const isDefault = config.name === this.defaultName;
+    return new VectorStore(config.name, {
+      embeddingService: embeddingService.forModel(config.embeddingModel, config.embeddingProvider),
+      keywordIndex,
+      storeName: config.storeName || config.name,
+      description: config.description,
+      legacyStoragePath: isDefault && !config.storeName ? path.join(process.cwd(), 'vector_storage.json') : null,
+      backend
+    });
+  }
+
+  async createCollection(options) {
+    const { name } = options;
+
+    if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+      throw collectionError(
+        'Collection name must be 3-63 characters of letters, digits, ".", "_" or "-", starting and ending with a letter or digit',
+        'INVALID_COLLECTION'
+      );
+    }
+
+    // Reserved so no tenant can take another tenant's default collection name
+    if (name.endsWith('-default') && name !== this.getDefaultName(options.tenant || DEFAULT_TENANT)) {
+      throw collectionError('Collection names ending in "-default" are reserved', 'INVALID_COLLECTION');
+    }
+
+    if (this.configs.has(name)) {
+      throw collectionError(`Collection already exists: ${name}`, 'COLLECTION_EXISTS');
+    }
+
+    const config = this.buildConfig(options);
+    this.configs.set(name, config);
+    await this.saveToStorage();
+
+    return config;
+  }
+
+  // Update description, chunking, chat and guardrail settings; the embedding model and provider can only change while the collection is empty
+  async updateCollection(name, changes, tenant = null) {
+    const existing = this.getConfig(name, tenant);
+    if (!existing) return null;
+
+    const embeddingModel = changes.embeddingModel !== undefined ? changes.embeddingModel : existing.embeddingModel;
+    const embeddingProvider = changes.embeddingProvider !== undefined ? changes.embeddingProvider : existing.embeddingProvider;
+    const embeddingChanged = embeddingModel !== existing.embeddingModel || embeddingProvider !== existing.embeddingProvider;
+
+    if (embeddingChanged) {
+      const collection = await this.getCollection(name);
+      if (collection.documentRegistry.listDocuments().length > 0) {
+        throw collectionError(
+          `Embedding model and provider cannot be changed while the collection has documents; re-index it with POST /api/collections/${name}/reindex instead`,
+          'INVALID_COLLECTION'
+        );
+      }
+    }
+
+    // Only supplied fields change
+    const supplied = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    const config = this.buildConfig({
+      ...existing,
+      ...supplied,
+      name,
+      tenant: existing.tenant,
+      createdAt: existing.createdAt
+    });
+    config.updatedAt = new Date().toISOString();
+
+    this.configs.set(name, config);
+    await this.saveToStorage();
+
+    if (this.collections.has(name)) {
+      if (embeddingChanged) {
+        // Reopen with the new embedding model on next use
+        this.collections.delete(name);
+      } else {
+        const collection = await this.getCollection(name);
+        collection.config = config;
+        collection.textSplitter = createTextSplitter(config);
+      }
+    }
+
+    return config;
+  }
+
+  // Point a collection at a re-indexed vector store with new embedding settings. The caller has
+  // already built the store and swapped it into the opened collection.
+  async commitReindex(name, { storeName, embeddingModel, embeddingProvider }) {
+    const existing = this.configs.get(name);
+    if (!existing) return null;
+
+    const config = { ...existing, storeName, embeddingModel, embeddingProvider, updatedAt: new Date().toISOString() };
+    this.configs.set(name, config);
+    await this.saveToStorage();
+
+    if (this.collections.has(name)) {
+      const collection = await this.getCollection(name);
+      collection.config = config;
+    }
+
+    return config;
+  }
+
+  // Delete a collection together with all of its documents and chunks
+  async deleteCollection(name, tenant = null) {
+    const config = this.getConfig(name, tenant);
+    if (!config) return null;
+
+    if (this.isDefaultCollection(config)) {
+      throw collectionError('The default collection cannot be deleted', 'INVALID_COLLECTION');
+    }
+
+    const collection = await this.getCollection(name);
+    await collection.vectorStore.drop();
+    await collection.documentRegistry.drop();
+
+    this.collections.delete(name);
+    this.configs.delete(name);
+    await this.saveToStorage();
+
+    return config;
+  }
+
+  // Document and chunk counts plus the active backend of a collection
+  async getCollectionStats(name) {
+    const collection = await this.getCollection(name);
+    if (!collection) return null;
+
+    const documents = collection.documentRegistry.listDocuments();
+    const { model, dimensions } = await collection.vectorStore.getEmbeddingInfo();
+    return {
+      documentCount: documents.length,
+      chunkCount: documents.reduce((total, doc) => total + doc.chunkCount, 0),
+      backend: collection.vectorStore.activeBackend,
+      // Auto mode: on the embedded store because ChromaDB is unavailable
+      fallback: collection.vectorStore.fallback,
+      // What the stored vectors were embedded with; null while the collection is empty
+      embedding: { model, dimensions }
+    };
+  }
+
+  // Number of opened collections per active backend, and how many of them have failed over
+  async getBackendCounts() {
+    const counts = { chroma: 0, embedded: 0, fallback: 0 };
+    const opened = await Promise.allSettled(Array.from(this.collections.values()));
+    for (const result of opened) {
+      if (result.status !== 'fulfilled') continue;
+      const { vectorStore } = result.value;
+      counts[vectorStore.activeBackend]++;
+      if (vectorStore.fallback) counts.fallback++;
+    }
+    return counts;
+  }
+
+  buildConfig({
+    name, tenant, description, chunkStrategy, chunkSize, chunkOverlap, embeddingModel, embeddingProvider,
+    chatProvider, chatModel, minSimilarity, noContextBehavior, storeName, createdAt
+  }) {
+    const config = {
+      name,
+      tenant: tenant || DEFAULT_TENANT,
+      description: description || '',
+      chunkStrategy: chunkStrategy || DEFAULT_CHUNK_STRATEGY,
+      chunkSize: chunkSize !== undefined ? chunkSize : DEFAULT_CHUNK_SIZE,
+      chunkOverlap: chunkOverlap !== undefined ? chunkOverlap : DEFAULT_CHUNK_OVERLAP,
+      embeddingModel: embeddingModel || embeddingService.model,
+      embeddingProvider: embeddingProvider || embeddingService.providerName,
+      // null falls back to the server-wide LLM_PROVIDER / CHAT_MODEL settings
+      chatProvider: chatProvider || null,
+      chatModel: chatModel || null,
+      // null falls back to the server-wide MIN_SIMILARITY / NO_CONTEXT_BEHAVIOR settings
+      minSimilarity: minSimilarity !== undefined ? minSimilarity : null,
+      noContextBehavior: noContextBehavior || null,
+      // Vector store holding the chunks; null for the collection name, set by re-indexing
+      storeName: storeName || null,
+      createdAt: createdAt || new Date().toISOString()
+    };
+
+    if (typeof config.description !== 'string') {
+      throw collectionError('description must be a string', 'INVALID_COLLECTION');
+    }
+    try {
+      TextSplitter.validateSettings({
+        strategy: config.chunkStrategy,
+        chunkSize: config.chunkSize,
+        chunkOverlap: config.chunkOverlap
+      });
+    } catch (error) {
+      throw collectionError(error.message, 'INVALID_COLLECTION');
+    }
+    if (typeof config.embeddingModel !== 'string') {
+      throw collectionError('embeddingModel must be a string', 'INVALID_COLLECTION');
+    }
+    for (const field of ['embeddingProvider', 'chatProvider']) {
+      if (config[field] !== null && !isValidProvider(config[field])) {
+        throw collectionError(`${field} must be one of: ${PROVIDER_TYPES.join(', ')}`, 'INVALID_COLLECTION');
+      }
+    }
+    if (config.chatModel !== null && typeof config.chatModel !== 'string') {
+      throw collectionError('chatModel must be a string', 'INVALID_COLLECTION');
+    }
+    if (config.minSimilarity !== null && !isValidSimilarity(config.minSimilarity)) {
+      throw collectionError('minSimilarity must be a number between -1 and 1, or null', 'INVALID_COLLECTION');
+    }
+    if (config.noContextBehavior !== null && !NO_CONTEXT_BEHAVIORS.includes(config.noContextBehavior)) {
+      throw collectionError(`noContextBehavior must be one of: ${NO_CONTEXT_BEHAVIORS.join(', ')}`, 'INVALID_COLLECTION');
+    }
+
+    return config;
+  }
+
+  // Failed saves are reported to the caller, since the change would be lost on restart
+  saveToStorage() {
+    const save = this.pendingSave.then(() => {
+      const data = { collections: this.listCollections() };
+      return writeFileAtomic(this.storagePath, JSON.stringify(data, null, 2));
+    });
+    this.pendingSave = save.catch(() => {});
+    return save;
+  }
+
+  // Only a missing file starts fresh: saving the default collection over an unreadable one
+  // would lose every other collection and its tenant
+  async loadFromStorage() {
+    let data;
+    try {
+      data = await fs.readFile(this.storagePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.log('No existing collections found, starting fresh');
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(data);
+
+      this.configs = new Map((parsed.collections || []).map(config => [config.name, config]));
+      console.log(`Loaded ${this.configs.size} collections`);
+    } catch (error) {
+      this.configs.clear();
+      const corruptPath = await keepCorruptFile(this.storagePath);
+      console.error(`Could not read collections from ${this.storagePath} (${error.message}); moved it to ${corruptPath} and starting with no collections`);
+    }
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,184 @@
+const { countTokens } = require('../utils/tokenCounter');
+
+const EXPANSION_MODES = ['none', 'neighbors', 'parent'];
+
+// Small-to-big retrieval: small chunks are matched, but the model is given larger passages.
+// "neighbors" adds the chunks within `window` chunk_index positions of each match; "parent"
+// adds the rest of the match's Markdown section, up to maxTokens (chunks without a heading
+// fall back to neighbors). Passages from the same document that overlap or touch are merged,
+// keeping the scores and position of their best match.
+async function expandContext(results, vectorStore, { mode = 'none', window = 1, maxTokens = 800 } = {}) {
+  if (mode === 'none' || results.length === 0) return results;
+
+  const documentChunks = new Map(); // document_id -> Promise of its chunks in chunk_index order
+  const getChunks = documentId => {
+    if (!documentChunks.has(documentId)) {
+      documentChunks.set(documentId, vectorStore.getDocumentChunks(documentId));
+    }
+    return documentChunks.get(documentId);
+  };
+
+  const ranges = [];
+  for (const [rank, result] of results.entries()) {
+    const { document_id: documentId, chunk_index: chunkIndex } = result.metadata;
+
+    // Chunks stored without document IDs cannot be expanded
+    const chunks = documentId ? await getChunks(documentId) : [];
+    const position = chunks.findIndex(chunk => chunk.metadata.chunk_index === chunkIndex);
+    if (position === -1) {
+      ranges.push({ rank, best: result, hits: [result], chunks: null });
+      continue;
+    }
+
+    const [first, last] = mode === 'parent' && result.metadata.heading_path
+      ? getSectionRange(chunks, position, maxTokens)
+      : getNeighborRange(chunks, position, window);
+
+    ranges.push({ rank, best: result, documentId, first, last, hits: [result], chunks });
+  }
+
+  return mergeRanges(ranges).map(toPassage);
+}
+
+// Positions of the chunks within `window` chunk_index values of the match
+function getNeighborRange(chunks, position, window) {
+  const chunkIndex = chunks[position].metadata.chunk_index;
+  let first = position;
+  let last = position;
+
+  while (first > 0 && chunkIndex - chunks[first - 1].metadata.chunk_index <= window) first--;
+  while (last < chunks.length - 1 && chunks[last + 1].metadata.chunk_index - chunkIndex <= window) last++;
+
+  return [first, last];
+}
+
+// Grow outwards from the match over chunks of the same section until maxTokens is reached
+function getSectionRange(chunks, position, maxTokens) {
+  const section = chunks[position].metadata.heading_path;
+  const inSection = index => index >= 0 && index < chunks.length && chunks[index].metadata.heading_path === section;
+
+  let first = position;
+  let last = position;
+  let tokens = countTokens(chunks[position].content);
+  let growing = true;
+
+  while (growing) {
+    growing = false;
+    for (const index of [last + 1, first - 1]) {
+      if (!inSection(index)) continue;
+
+      const chunkTokens = countTokens(chunks[index].content);
+      if (tokens + chunkTokens > maxTokens) continue;
+
+      tokens += chunkTokens;
+      if (index > last) last = index;
+      else first = index;
+      growing = true;
+    }
+  }
+
+  return [first, last];
+}
+
+// Merge ranges of the same document that overlap or are adjacent, then restore rank order
+function mergeRanges(ranges) {
+  const merged = [];
+  const byDocument = new Map();
+
+  for (const range of ranges) {
+    if (!range.chunks) {
+      merged.push(range);
+      continue;
+    }
+    if (!byDocument.has(range.documentId)) byDocument.set(range.documentId, []);
+    byDocument.get(range.documentId).push(range);
+  }
+
+  for (const documentRanges of byDocument.values()) {
+    documentRanges.sort((a, b) => a.first - b.first);
+
+    let current = null;
+    for (const range of documentRanges) {
+      if (current && range.first <= current.last + 1) {
+        current.last = Math.max(current.last, range.last);
+        current.hits.push(...range.hits);
+        if (range.rank < current.rank) {
+          current.rank = range.rank;
+          current.best = range.best;
+        }
+      } else {
+        current = { ...range, hits: [...range.hits] };
+        merged.push(current);
+      }
+    }
+  }
+
+  return merged.sort((a, b) => a.rank - b.rank);
+}
+
+function toPassage({ best, hits, chunks, first, last }) {
+  if (!chunks) return best;
+
+  const passageChunks = chunks.slice(first, last + 1);
+  const pages = passageChunks
+    .map(chunk => chunk.metadata)
+    .filter(metadata => metadata.page_start !== undefined);
+
+  const metadata = {
+    ...best.metadata,
+    start_offset: passageChunks[0].metadata.start_offset,
+    end_offset: passageChunks[passageChunks.length - 1].metadata.end_offset
+  };
+  if (pages.length > 0) {
+    metadata.page_start = Math.min(...pages.map(page => page.page_start));
+    metadata.page_end = Math.max(...pages.map(page => page.page_end));
+  }
+
+  return {
+    ...best,
+    content: joinChunks(passageChunks),
+    metadata,
+    chunkIds: passageChunks.map(chunk => chunk.id),
+    matchedChunkIds: hits.map(hit => hit.id)
+  };
+}
+
+// Concatenate consecutive chunks, dropping the text each one repeats from the previous chunk
+function joinChunks(chunks) {
+  let content = '';
+  let end = null;
+  let previousHeader = null;
+
+  for (const chunk of chunks) {
+    const { start_offset: start, end_offset: chunkEnd, table_header: header } = chunk.metadata;
+    // Spreadsheet chunks repeat their table header; keep it only where the table first appears
+    const body = header && header === previousHeader && chunk.content.startsWith(`${header}\n`)
+      ? chunk.content.slice(header.length + 1)
+      : chunk.content;
+    previousHeader = header || null;
+
+    if (end !== null && start !== undefined && start < end) {
+      content += body.slice(end - start);
+    } else if (content) {
+      // The whitespace between chunks is not stored; a gap of more than one character was a paragraph break
+      const gap = end !== null && start !== undefined ? start - end : 0;
+      content += (gap > 1 ? '\n\n' : '\n') + body;
+    } else {
+      content = body;
+    }
+
+    end = chunkEnd !== undefined ? Math.max(end === null ? chunkEnd : end, chunkEnd) : null;
+  }
+
+  return content;
+}
+
+function isValidExpansionMode(mode) {
+  return EXPANSION_MODES.includes(mode);
+}
+
+module.exports = {
+  EXPANSION_MODES,
+  expandContext,
+  isValidExpansionMode
+};
@@ -1,16 +1,62 @@
 const { v4: uuidv4 } = require('uuid');
+const { MemoryConversationStore, createConversationStore } = require('./conversationStore');
+const { DEFAULT_TENANT } = require('../utils/tenants');
+
+// Sessions are stored per tenant, so the same session ID used by two tenants names two separate
+// conversations and no tenant can tell whether another one uses an ID. Tenant names contain no ":".
+const sessionKey = (sessionId, tenant) => `${tenant}:${sessionId}`;
 
 class ConversationContextService {
   constructor() {
-    this.conversations = new Map(); // Store conversations by session ID
+    this.storeType = 'memory';
+    this.store = new MemoryConversationStore(); // Replaced by the configured store in initialize()
+    this.ttlHours = 24;
     this.maxContextLength = parseInt(process.env.CONTEXT_WINDOW_LENGTH) || 10; // Default 10 messages
     this.maxTokens = parseInt(process.env.CONTEXT_MAX_TOKENS) || 4000; // Default 4000 tokens
+    this.cleanupTimer = null;
+  }
+
+  // Open the configured conversation store and start the TTL sweep
+  async initialize() {
+    this.storeType = process.env.CONVERSATION_STORE || 'file';
+    this.store = createConversationStore(this.storeType);
+    await this.store.initialize();
+
+    this.ttlHours = parseFloat(process.env.CONVERSATION_TTL_HOURS) || 24;
+    const intervalMinutes = parseFloat(process.env.CONVERSATION_CLEANUP_INTERVAL_MINUTES) || 60;
+
+    await this.cleanupOldConversations();
+    this.startCleanupSchedule(intervalMinutes);
+
+    console.log(`Conversation store initialized (${this.storeType})`);
+  }
+
+  // Periodically remove sessions idle for longer than the TTL
+  startCleanupSchedule(intervalMinutes) {
+    this.stopCleanupSchedule();
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupOldConversations().catch(error => {
+        console.error('Conversation cleanup failed:', error);
+      });
+    }, intervalMinutes * 60 * 1000);
+
+    // Do not keep the process alive just for the sweep
+    this.cleanupTimer.unref();
+  }
+
+  stopCleanupSchedule() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
   }
 
-  // Create a new conversation session
-  createSession(sessionId = null) {
+  // Create a new conversation session owned by a tenant
+  async createSession(sessionId = null, tenant = DEFAULT_TENANT) {
     const id = sessionId || uuidv4();
-    this.conversations.set(id, {
+    await this.store.saveSession(sessionKey(id, tenant), {
+      tenant,
       messages: [],
       createdAt: new Date(),
       lastAccessed: new Date()
@@ -18,15 +64,22 @@ class ConversationContextService {
     return id;
   }
 
+  // Whether the tenant has a session with this ID
+  async hasSession(sessionId, tenant = DEFAULT_TENANT) {
+    return Boolean(await this.store.getSession(sessionKey(sessionId, tenant)));
+  }
+
   // Add a message to a conversation
-  addMessage(sessionId, role, content, metadata = {}) {
-    if (!this.conversations.has(sessionId)) {
+  async addMessage(sessionId, role, content, metadata = {}, tenant = DEFAULT_TENANT) {
+    const key = sessionKey(sessionId, tenant);
+    let conversation = await this.store.getSession(key);
+    if (!conversation) {
       // Auto-create session if it doesn't exist
       console.log(`Auto-creating session ${sessionId}`);
-      this.createSession(sessionId);
+      await this.createSession(sessionId, tenant);
+      conversation = await this.store.getSession(key);
     }
 
-    const conversation = this.conversations.get(sessionId);
     const message = {
       id: uuidv4(),
       role, // 'user' or 'assistant'
@@ -39,14 +92,16 @@ class ConversationContextService {
     conversation.lastAccessed = new Date();
 
     // Trim conversation if it exceeds context window
-    this.trimConversation(sessionId);
+    this.trimConversation(conversation);
+    await this.store.saveSession(key, conversation);
 
     return message;
   }
 
   // Get conversation context for a session
-  getContext(sessionId, includeSystemMessage = true) {
-    if (!this.conversations.has(sessionId)) {
+  async getContext(sessionId, includeSystemMessage = true, tenant = DEFAULT_TENANT) {
+    const conversation = await this.store.getSession(sessionKey(sessionId, tenant));
+    if (!conversation) {
       // Return empty context if session doesn't exist
       return includeSystemMessage ? [{
         role: 'system',
@@ -55,13 +110,14 @@ class ConversationContextService {
       }] : [];
     }
 
-    const conversation = this.conversations.get(sessionId);
+    // Reading does not write the store; the access time is saved with the session's next message
     conversation.lastAccessed = new Date();
 
-    let context = conversation.messages.slice(-this.maxContextLength);
+    // Stored history can exceed limits lowered since it was written
+    let context = this.fitContextWindow(conversation.messages);
 
     // Add system message if requested
-    if (includeSystemMessage && context.length > 0) {
+    if (includeSystemMessage) {
       const systemMessage = {
         role: 'system',
         content: this.buildSystemPrompt(),
@@ -74,23 +130,23 @@ class ConversationContextService {
   }
 
   // Get recent messages for context (excluding current query)
-  getRecentContext(sessionId, excludeLast = 0) {
-    if (!this.conversations.has(sessionId)) {
+  async getRecentContext(sessionId, excludeLast = 0, tenant = DEFAULT_TENANT) {
+    const conversation = await this.store.getSession(sessionKey(sessionId, tenant));
+    if (!conversation) {
       return [];
     }
 
-    const conversation = this.conversations.get(sessionId);
     const messages = conversation.messages.slice(0, -excludeLast);
     return messages.slice(-this.maxContextLength);
   }
 
   // Trim conversation to fit within context limits
-  trimConversation(sessionId) {
-    const conversation = this.conversations.get(sessionId);
-    if (!conversation) return;
-
-    let messages = conversation.messages;
+  trimConversation(conversation) {
+    conversation.messages = this.fitContextWindow(conversation.messages);
+  }
 
+  // Most recent messages within the message count and token limits
+  fitContextWindow(messages) {
     // First, trim by message count
     if (messages.length > this.maxContextLength) {
       messages = messages.slice(-this.maxContextLength);
@@ -104,7 +160,7 @@ class ConversationContextService {
       totalTokens = this.estimateTokens(messages);
     }
 
-    conversation.messages = messages;
+    return messages;
   }
 
   // Estimate token count for messages (rough approximation)
@@ -130,45 +186,28 @@ You have access to a knowledge base of documents and can maintain conversation c
 Remember to be helpful, accurate, and maintain the conversation flow naturally.`;
   }
 
-  // Get conversation summary for context
-  getConversationSummary(sessionId) {
-    if (!this.conversations.has(sessionId)) {
-      return '';
-    }
-
-    const conversation = this.conversations.get(sessionId);
-    const recentMessages = conversation.messages.slice(-5); // Last 5 messages
-
-    if (recentMessages.length === 0) {
-      return '';
-    }
-
-    const summary = recentMessages.map(msg => 
-      `${msg.role}: ${msg.content.substring(0, 100)}${msg.content.length > 100 ? '...' : ''}`
-    ).join('\n');
-
-    return `Recent conversation context:\n${summary}`;
-  }
-
   // Clear conversation history
-  clearConversation(sessionId) {
-    if (this.conversations.has(sessionId)) {
-      this.conversations.get(sessionId).messages = [];
+  async clearConversation(sessionId, tenant = DEFAULT_TENANT) {
+    const key = sessionKey(sessionId, tenant);
+    const conversation = await this.store.getSession(key);
+    if (conversation) {
+      conversation.messages = [];
+      await this.store.saveSession(key, conversation);
     }
   }
 
   // Delete conversation session
-  deleteSession(sessionId) {
-    this.conversations.delete(sessionId);
+  async deleteSession(sessionId, tenant = DEFAULT_TENANT) {
+    await this.store.deleteSession(sessionKey(sessionId, tenant));
   }
 
   // Get conversation statistics
-  getConversationStats(sessionId) {
-    if (!this.conversations.has(sessionId)) {
+  async getConversationStats(sessionId, tenant = DEFAULT_TENANT) {
+    const conversation = await this.store.getSession(sessionKey(sessionId, tenant));
+    if (!conversation) {
       return null;
     }
 
-    const conversation = this.conversations.get(sessionId);
     return {
       messageCount: conversation.messages.length,
       createdAt: conversation.createdAt,
@@ -177,15 +216,15 @@ Remember to be helpful, accurate, and maintain the conversation flow naturally.`
     };
   }
 
-  // Clean up old conversations (optional maintenance)
-  cleanupOldConversations(maxAgeHours = 24) {
+  // Remove conversations idle for longer than maxAgeHours (runs on the cleanup schedule)
+  async cleanupOldConversations(maxAgeHours = this.ttlHours) {
     const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
-    
-    for (const [sessionId, conversation] of this.conversations.entries()) {
-      if (conversation.lastAccessed < cutoffTime) {
-        this.conversations.delete(sessionId);
-      }
+    const removed = await this.store.deleteSessionsIdleSince(cutoffTime);
+
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired conversations`);
     }
+    return removed;
   }
 
   // Update context window configuration
@@ -195,11 +234,13 @@ Remember to be helpful, accurate, and maintain the conversation flow naturally.`
   }
 
   // Get current configuration
-  getConfig() {
+  async getConfig() {
     return {
       maxContextLength: this.maxContextLength,
       maxTokens: this.maxTokens,
-      activeConversations: this.conversations.size
+      activeConversations: await this.store.countSessions(),
+      store: this.storeType,
+      ttlHours: this.ttlHours
     };
   }
 }
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, keepCorruptFile } = require('../utils/atomicWrite');
+
+// Keeps sessions in process memory; everything is lost on restart
+class MemoryConversationStore {
+  constructor() {
+    this.sessions = new Map(); // Conversations by session ID
+  }
+
+  async initialize() {}
+
+  async getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async saveSession(sessionId, conversation) {
+    this.sessions.set(sessionId, conversation);
+  }
+
+  async deleteSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  // Remove sessions not accessed since the cutoff, returning how many were removed
+  async deleteSessionsIdleSince(cutoffTime) {
+    let removed = 0;
+    for (const [sessionId, conversation] of this.sessions.entries()) {
+      if (conversation.lastAccessed < cutoffTime) {
+        this.sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async countSessions() {
+    return this.sessions.size;
+  }
+}
+
+// Keeps sessions in memory and writes them to a JSON file on every change, so they survive restarts
+class FileConversationStore extends MemoryConversationStore {
+  constructor(storagePath = path.join(process.cwd(), 'conversations.json')) {
+    super();
+    this.storagePath = storagePath;
+    this.pendingSave = Promise.resolve(); // Writes are chained so concurrent requests cannot interleave them
+  }
+
+  async initialize() {
+    await this.loadFromStorage();
+  }
+
+  async saveSession(sessionId, conversation) {
+    await super.saveSession(sessionId, conversation);
+    await this.saveToStorage();
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = await super.deleteSession(sessionId);
+    if (deleted) {
+      await this.saveToStorage();
+    }
+    return deleted;
+  }
+
+  async deleteSessionsIdleSince(cutoffTime) {
+    const removed = await super.deleteSessionsIdleSince(cutoffTime);
+    if (removed > 0) {
+      await this.saveToStorage();
+    }
+    return removed;
+  }
+
+  saveToStorage() {
+    this.pendingSave = this.pendingSave.then(async () => {
+      try {
+        const data = {
+          sessions: Array.from(this.sessions.entries()).map(([id, conversation]) => ({ id, ...conversation }))
+        };
+        await writeFileAtomic(this.storagePath, JSON.stringify(data));
+      } catch (error) {
+        console.error('Error saving conversations:', error);
+      }
+    });
+    return this.pendingSave;
+  }
+
+  async loadFromStorage() {
+    let data;
+    try {
+      data = await fs.readFile(this.storagePath, 'utf-8');
+    } catch (error) {
+      console.log('No existing conversations found, starting fresh');
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(data);
+
+      for (const { id, ...conversation } of parsed.sessions || []) {
+        this.sessions.set(id, {
+          ...conversation,
+          createdAt: new Date(conversation.createdAt),
+          lastAccessed: new Date(conversation.lastAccessed),
+          messages: conversation.messages.map(message => ({ ...message, timestamp: new Date(message.timestamp) }))
+        });
+      }
+      console.log(`Loaded ${this.sessions.size} conversations from storage`);
+    } catch (error) {
+      // Keep the file for recovery rather than overwriting it with the next save
+      this.sessions.clear();
+      const corruptPath = await keepCorruptFile(this.storagePath);
+      console.error(`Could not read conversations from ${this.storagePath} (${error.message}); moved it to ${corruptPath} and starting with no conversations`);
+    }
+  }
+}
+
+// Build the store selected by CONVERSATION_STORE ("file" or "memory")
+function createConversationStore(type = 'file') {
+  switch (type) {
+    case 'file':
+      return new FileConversationStore(process.env.CONVERSATION_STORAGE_PATH || undefined);
+    case 'memory':
+      return new MemoryConversationStore();
+    default:
+      throw new Error(`Unknown conversation store: ${type}. Use "file" or "memory"`);
+  }
+}
+
+module.exports = {
+  MemoryConversationStore,
+  FileConversationStore,
+  createConversationStore
+};
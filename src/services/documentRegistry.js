@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { hashContent } = require('../utils/contentHash');
+const { writeFileAtomic, keepCorruptFile } = require('../utils/atomicWrite');
+
+// Document-level records for one collection, persisted alongside its chunks
+class DocumentRegistry {
+  constructor(collectionName, { vectorStore, legacyStoragePath = null }) {
+    this.documents = new Map(); // Document records by document ID
+    this.vectorStore = vectorStore;
+    this.storagePath = path.join(process.cwd(), 'document_registry', `${collectionName}.json`);
+    this.legacyStoragePath = legacyStoragePath; // Single-file registry from before collections existed
+    this.pendingSave = Promise.resolve(); // Writes are chained so concurrent ingests cannot interleave them
+  }
+
+  async initialize() {
+    await this.loadFromStorage();
+    console.log('Document registry initialized');
+  }
+
+  // Split documents into chunks and store them, one registry entry per source.
+  // Unchanged documents are skipped and changed documents replace their old chunks.
+  async ingestDocuments(documents, textSplitter, options = {}) {
+    const summary = { documents: [], chunks: [], added: 0, skipped: 0, replaced: 0 };
+
+    for (const document of documents) {
+      const contentHash = hashContent(document.content);
+      const existing = this.findBySource(document.source, document.file ? document.file.directory : null);
+
+      if (existing && this.isUnchanged(existing, document, contentHash, textSplitter)) {
+        // A touched file with the same content is only re-read, not re-embedded
+        if (document.file && !this.isSameFile(existing.file, document.file)) {
+          this.documents.set(existing.id, { ...existing, file: document.file });
+          await this.saveToStorage();
+        }
+        summary.skipped++;
+        summary.documents.push({ ...existing, status: 'skipped' });
+        continue;
+      }
+
+      if (existing) {
+        const { record, chunks } = await this.storeReplacement(existing, document, contentHash, textSplitter, options);
+        summary.replaced++;
+        summary.chunks.push(...chunks);
+        summary.documents.push({ ...record, status: 'replaced' });
+        continue;
+      }
+
+      const record = this.createRecord(document, contentHash, textSplitter);
+      const chunks = textSplitter.splitDocuments([{
+        ...document,
+        documentId: record.id,
+        documentHash: contentHash
+      }]);
+      await this.vectorStore.addDocuments(chunks, options);
+
+      record.chunkCount = chunks.length;
+      this.documents.set(record.id, record);
+      await this.saveToStorage();
+
+      summary.added++;
+      summary.chunks.push(...chunks);
+      summary.documents.push({ ...record, status: 'added' });
+    }
+
+    return summary;
+  }
+
+  // Replace the chunks of an existing document with new content, keeping its ID
+  async replaceDocument(documentId, document, textSplitter) {
+    const existing = this.documents.get(documentId);
+    if (!existing) return null;
+
+    const contentHash = hashContent(document.content);
+    if (this.isUnchanged(existing, document, contentHash, textSplitter)) {
+      return { ...existing, status: 'skipped' };
+    }
+
+    const { record } = await this.storeReplacement(existing, document, contentHash, textSplitter);
+    return { ...record, status: 'replaced' };
+  }
+
+  async storeReplacement(existing, document, contentHash, textSplitter, options = {}) {
+    const replacement = {
+      ...document,
+      source: document.source || existing.source,
+      title: document.title || existing.title,
+      type: document.type || existing.type,
+      tags: document.tags !== undefined ? document.tags : existing.tags,
+      metadata: document.metadata !== undefined ? document.metadata : existing.metadata,
+      documentId: existing.id,
+      documentHash: contentHash
+    };
+    const chunks = textSplitter.splitDocuments([replacement]);
+
+    await this.vectorStore.replaceDocumentChunks(existing.id, chunks, options);
+
+    const record = {
+      ...existing,
+      source: replacement.source,
+      title: replacement.title,
+      type: replacement.type,
+      pages: replacement.pages,
+      tags: replacement.tags,
+      metadata: replacement.metadata,
+      contentHash,
+      chunking: textSplitter.getSettings(),
+      file: document.file || existing.file,
+      chunkCount: chunks.length,
+      updatedAt: new Date().toISOString()
+    };
+    this.documents.set(existing.id, record);
+    await this.saveToStorage();
+
+    return { record, chunks };
+  }
+
+  async deleteDocument(documentId) {
+    const record = this.documents.get(documentId);
+    if (!record) return null;
+
+    await this.vectorStore.deleteDocumentChunks(documentId);
+    this.documents.delete(documentId);
+    await this.saveToStorage();
+
+    return record;
+  }
+
+  listDocuments() {
+    return Array.from(this.documents.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Get a document record together with its stored chunks
+  async getDocument(documentId) {
+    const record = this.documents.get(documentId);
+    if (!record) return null;
+
+    const chunks = await this.vectorStore.getDocumentChunks(documentId);
+    return { ...record, chunks };
+  }
+
+  // Decide which scanned directory files need to be loaded. Without incremental, all of them.
+  // With incremental, files whose size and modification time match their record are left out
+  // unless the chunking settings, tags or metadata (in ingestMetadata) would change, and documents
+  // from this directory whose files no longer exist on disk are returned for removal.
+  async planDirectoryIngest(directoryPath, files, { incremental = false, textSplitter, ingestMetadata = {} } = {}) {
+    if (!incremental) {
+      return { changed: files, unchanged: [], deleted: [] };
+    }
+
+    const directory = path.resolve(directoryPath);
+    const fromDirectory = record => record.file && record.file.directory === directory;
+    const changed = [];
+    const unchanged = [];
+
+    for (const file of files) {
+      const existing = this.findBySource(file.relativePath, directory);
+      if (existing && this.isSameFile(existing.file, file) &&
+        this.hasSameSettings(existing, ingestMetadata, textSplitter)) {
+        unchanged.push(existing);
+      } else {
+        changed.push(file);
+      }
+    }
+
+    // Files that were excluded or skipped this time but are still on disk are kept
+    const scanned = new Set(files.map(file => file.relativePath));
+    const deleted = [];
+    for (const record of this.documents.values()) {
+      if (!fromDirectory(record) || scanned.has(record.file.path)) continue;
+
+      try {
+        await fs.access(path.join(directory, record.file.path));
+      } catch {
+        deleted.push(record);
+      }
+    }
+
+    return { changed, unchanged, deleted };
+  }
+
+  isSameFile(recorded, file) {
+    return Boolean(recorded) && recorded.size === file.size && recorded.mtimeMs === file.mtimeMs;
+  }
+
+  // Same content and chunking settings, and no new tags or metadata supplied
+  isUnchanged(existing, document, contentHash, textSplitter) {
+    return existing.contentHash === contentHash && this.hasSameSettings(existing, document, textSplitter);
+  }
+
+  // Records from before chunking settings were stored only compare tags and metadata
+  hasSameSettings(existing, document, textSplitter) {
+    if (existing.chunking && JSON.stringify(existing.chunking) !== JSON.stringify(textSplitter.getSettings())) {
+      return false;
+    }
+
+    const sameTags = document.tags === undefined ||
+      JSON.stringify(document.tags) === JSON.stringify(existing.tags || []);
+    const sameMetadata = document.metadata === undefined ||
+      JSON.stringify(document.metadata) === JSON.stringify(existing.metadata || {});
+
+    return sameTags && sameMetadata;
+  }
+
+  // Directory files are identified by their directory and their source (the path relative to it),
+  // so directories that both contain e.g. README.md keep separate documents. Other documents,
+  // such as uploads and web pages, are identified by source alone (directory null).
+  findBySource(source, directory = null) {
+    if (!source) return null;
+
+    for (const record of this.documents.values()) {
+      const recordDirectory = record.file ? record.file.directory : null;
+      if (record.source === source && recordDirectory === directory) return record;
+    }
+    return null;
+  }
+
+  createRecord(doc, contentHash, textSplitter) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      source: doc.source || 'unknown',
+      title: doc.title || 'untitled',
+      type: doc.type || 'unknown',
+      pages: doc.pages,
+      tags: doc.tags || [],
+      metadata: doc.metadata || {},
+      contentHash,
+      chunking: textSplitter.getSettings(),
+      file: doc.file, // Size and modification time of directory files, for incremental ingestion
+      chunkCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  saveToStorage() {
+    this.pendingSave = this.pendingSave.then(async () => {
+      try {
+        const data = { documents: this.listDocuments() };
+        await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+        await writeFileAtomic(this.storagePath, JSON.stringify(data, null, 2));
+      } catch (error) {
+        console.error('Error saving document registry:', error);
+      }
+    });
+    return this.pendingSave;
+  }
+
+  // The registry file and its path, or null if there is none yet
+  async readStorageFile() {
+    for (const storagePath of [this.storagePath, this.legacyStoragePath]) {
+      if (!storagePath) continue;
+      try {
+        return { storagePath, data: await fs.readFile(storagePath, 'utf-8') };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+
+  // Remove the registry file
+  async drop() {
+    this.documents.clear();
+    await this.pendingSave;
+    await fs.rm(this.storagePath, { force: true });
+  }
+
+  // Only a missing file starts fresh: one that cannot be read stops the collection from opening,
+  // and one that is not valid JSON is moved aside
+  async loadFromStorage() {
+    const file = await this.readStorageFile();
+    if (!file) {
+      console.log('No existing document registry found, starting fresh');
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(file.data);
+
+      this.documents = new Map((parsed.documents || []).map(record => [record.id, record]));
+      console.log(`Loaded ${this.documents.size} document records from registry`);
+    } catch (error) {
+      this.documents.clear();
+      const corruptPath = await keepCorruptFile(file.storagePath);
+      console.error(`Could not read document registry ${file.storagePath} (${error.message}); moved it to ${corruptPath} and starting with no document records`);
+    }
+  }
+}
+
+module.exports = DocumentRegistry;
@@ -1,47 +1,141 @@
-const { Ollama } = require('ollama');
+const { getProvider, isRetryable } = require('./llmProviders');
+const embeddingCache = require('./embeddingCache');
+
+const servicesByModel = new Map(); // One service per embedding provider and model
+const BATCH_RETRIES = 3; // Retries of a batch after the provider's own retries are exhausted
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class EmbeddingService {
-  constructor() {
-    this.model = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
-    this.client = new Ollama();
+  constructor(
+    model = process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+    providerName = process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'ollama'
+  ) {
+    this.model = model;
+    this.providerName = providerName;
+    this.provider = getProvider(providerName);
+    this.cache = embeddingCache;
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32; // Texts per provider request
+    // Batches in flight: halved when the provider is overloaded, raised by one after each success
+    this.maxConcurrency = parseInt(process.env.EMBEDDING_CONCURRENCY) || 4;
+    this.concurrency = this.maxConcurrency;
   }
 
-  async generateEmbedding(text) {
-    try {
-      const response = await this.client.embeddings({
-        model: this.model,
-        prompt: text
-      });
-      return response.embedding;
-    } catch (error) {
-      console.error('Error generating embedding:', error);
-      throw error;
+  // Embedding service for another model or provider, e.g. a collection's own embedding settings
+  forModel(model, providerName) {
+    const resolvedModel = model || this.model;
+    const resolvedProvider = providerName || this.providerName;
+    if (resolvedModel === this.model && resolvedProvider === this.providerName) return this;
+
+    const key = `${resolvedProvider}:${resolvedModel}`;
+    if (!servicesByModel.has(key)) {
+      servicesByModel.set(key, new EmbeddingService(resolvedModel, resolvedProvider));
     }
+    return servicesByModel.get(key);
+  }
+
+  // Identifies the vector space: vector stores record it, and the cache keys embeddings by it
+  get modelId() {
+    return `${this.providerName}:${this.model}`;
+  }
+
+  async generateEmbedding(text) {
+    const [embedding] = await this.generateEmbeddings([text]);
+    return embedding;
   }
 
-  async generateEmbeddings(texts) {
-    const embeddings = [];
-    const batchSize = 5; // Process in smaller batches to reduce memory usage
-    
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
-      const batchPromises = batch.map(text => this.generateEmbedding(text));
-      
-      try {
-        const batchEmbeddings = await Promise.all(batchPromises);
-        embeddings.push(...batchEmbeddings);
-        
-        // Force garbage collection between batches
-        if (global.gc) {
-          global.gc();
+  // Cached embeddings are reused; the rest are requested in batches. onProgress(done, total) is
+  // called after each batch; an aborted signal stops before the next batch starts.
+  async generateEmbeddings(texts, { onProgress, signal } = {}) {
+    const embeddings = await this.cache.getMany(this.modelId, texts);
+
+    // Positions of each text still to embed; repeated texts are embedded once
+    const pending = new Map();
+    embeddings.forEach((embedding, index) => {
+      if (embedding) return;
+      if (!pending.has(texts[index])) pending.set(texts[index], []);
+      pending.get(texts[index]).push(index);
+    });
+
+    const uncached = Array.from(pending.keys());
+    const batches = [];
+    for (let i = 0; i < uncached.length; i += this.batchSize) {
+      batches.push(uncached.slice(i, i + this.batchSize));
+    }
+
+    let done = embeddings.filter(Boolean).length;
+    if (onProgress && done > 0) onProgress(done, texts.length);
+
+    await this.runBatches(batches, async (batch) => {
+      const vectors = await this.provider.embed({ model: this.model, texts: batch });
+      if (vectors.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings from ${this.providerName}, got ${vectors.length}`);
+      }
+
+      batch.forEach((text, index) => {
+        for (const position of pending.get(text)) {
+          embeddings[position] = vectors[index];
+          done++;
         }
-      } catch (error) {
-        console.error(`Error processing batch ${i}-${i + batchSize}:`, error);
-        throw error;
+      });
+      await this.cache.setMany(this.modelId, batch, vectors);
+      if (onProgress) onProgress(done, texts.length);
+    }, signal);
+
+    return embeddings;
+  }
+
+  // Run batches with up to this.concurrency requests in flight. A batch that fails with a
+  // transient error (timeout, connection error, 429, 5xx) halves the concurrency and is retried
+  // after a backoff; any other failure stops the run once the requests in flight have finished.
+  async runBatches(batches, run, signal) {
+    const queue = batches.map(batch => ({ batch, attempts: 0 }));
+    const running = new Set();
+    let failure = null;
+
+    const start = (item) => {
+      const task = run(item.batch)
+        .then(() => {
+          this.concurrency = Math.min(this.concurrency + 1, this.maxConcurrency);
+        }, async (error) => {
+          if (failure || !isRetryable(error) || item.attempts >= BATCH_RETRIES) {
+            failure = failure || error;
+            return;
+          }
+
+          item.attempts++;
+          this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+          console.warn(`Embedding batch failed (${error.message}), retrying with concurrency ${this.concurrency}`);
+          await sleep(1000 * 2 ** (item.attempts - 1));
+          queue.unshift(item);
+        })
+        .finally(() => running.delete(task));
+      running.add(task);
+    };
+
+    while (!failure && (queue.length > 0 || running.size > 0)) {
+      if (signal && signal.aborted) {
+        failure = new Error('Embedding generation cancelled');
+        failure.code = 'EMBEDDING_CANCELLED';
+        break;
+      }
+
+      while (queue.length > 0 && running.size < this.concurrency) {
+        start(queue.shift());
+      }
+      if (running.size > 0) await Promise.race(running);
+
+      // Force garbage collection between batches
+      if (global.gc) {
+        global.gc();
       }
     }
-    
-    return embeddings;
+
+    if (failure) {
+      await Promise.all(running);
+      if (failure.code !== 'EMBEDDING_CANCELLED') console.error('Error generating embeddings:', failure);
+      throw failure;
+    }
   }
 }
 
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { hashContent } = require('../utils/contentHash');
+const { writeFileAtomic, keepCorruptFile } = require('../utils/atomicWrite');
+
+// Least-recently-used cache of embeddings, shared by all embedding models and persisted to
+// embedding_cache.jsonl. Keys are "<provider>:<model>:<SHA-256 of the text>". Vectors are kept
+// as 32-bit floats (what embedding models produce), stored on disk as base64.
+//
+// The file is append-only JSON Lines: [key, vector] adds an entry, [key] marks a cached entry as
+// used. Saves append what changed since the last save; the file is rewritten once it has twice
+// as many lines as the cache can hold, so evicted entries do not pile up.
+
+const encodeVector = (vector) => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  // Copy into an aligned buffer; Float32Array views need a byte offset divisible by 4
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+class EmbeddingCache {
+  constructor({
+    maxEntries = process.env.EMBEDDING_CACHE_SIZE !== undefined ? parseInt(process.env.EMBEDDING_CACHE_SIZE) : 10000,
+    storagePath = path.join(process.cwd(), 'embedding_cache.jsonl'),
+    saveDelayMs = 5000
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.storagePath = storagePath;
+    this.saveDelayMs = saveDelayMs;
+    this.entries = new Map(); // Float32Array by key, least recently used first
+    this.unsaved = new Map(); // Keys changed since the last save: true if added, false if only used
+    this.loggedLines = 0;
+    this.rewrite = false; // Whether the next save must write the whole cache
+    this.hits = 0;
+    this.misses = 0;
+    this.loading = null;
+    this.saveTimer = null;
+    this.pendingSave = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  key(namespace, text) {
+    return `${namespace}:${hashContent(text)}`;
+  }
+
+  // Cached embedding of each text, or null for misses
+  async getMany(namespace, texts) {
+    if (!this.enabled) return texts.map(() => null);
+    await this.ensureLoaded();
+
+    const hitsBefore = this.hits;
+    const vectors = texts.map(text => {
+      const key = this.key(namespace, text);
+      const vector = this.entries.get(key);
+      if (!vector) {
+        this.misses++;
+        return null;
+      }
+
+      // Move to the most recently used end
+      this.entries.delete(key);
+      this.entries.set(key, vector);
+      if (!this.unsaved.has(key)) this.unsaved.set(key, false);
+      this.hits++;
+      return Array.from(vector);
+    });
+    if (this.hits > hitsBefore) this.scheduleSave();
+    return vectors;
+  }
+
+  async setMany(namespace, texts, embeddings) {
+    if (!this.enabled) return;
+    await this.ensureLoaded();
+
+    texts.forEach((text, index) => {
+      const key = this.key(namespace, text);
+      this.entries.delete(key);
+      this.entries.set(key, Float32Array.from(embeddings[index]));
+      this.unsaved.set(key, true);
+    });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+      this.unsaved.delete(key);
+    }
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : null
+    };
+  }
+
+  async clear() {
+    await this.ensureLoaded();
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.unsaved.clear();
+    this.rewrite = true;
+    this.hits = 0;
+    this.misses = 0;
+    await this.saveToStorage();
+    return removed;
+  }
+
+  ensureLoaded() {
+    if (!this.loading) this.loading = this.loadFromStorage();
+    return this.loading;
+  }
+
+  // Batch writes: ingestion adds many entries in quick succession and every query may add one
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveToStorage();
+    }, this.saveDelayMs);
+    // A pending save must not keep the process alive; the cache can always be rebuilt
+    this.saveTimer.unref();
+  }
+
+  // Append the entries added or used since the last save, in least recently used order, or
+  // rewrite the file when it has grown to twice the cache size or was cleared
+  saveToStorage() {
+    this.pendingSave = this.pendingSave.then(async () => {
+      const lines = [];
+      for (const [key, vector] of this.entries) {
+        if (!this.unsaved.has(key)) continue;
+        lines.push(JSON.stringify(this.unsaved.get(key) ? [key, encodeVector(vector)] : [key]));
+      }
+      this.unsaved.clear();
+
+      try {
+        if (this.rewrite || this.loggedLines + lines.length > 2 * this.maxEntries) {
+          const data = Array.from(this.entries, ([key, vector]) => `${JSON.stringify([key, encodeVector(vector)])}\n`).join('');
+          await writeFileAtomic(this.storagePath, data);
+          this.loggedLines = this.entries.size;
+          this.rewrite = false;
+        } else if (lines.length > 0) {
+          await fs.appendFile(this.storagePath, `${lines.join('\n')}\n`);
+          this.loggedLines += lines.length;
+        }
+      } catch (error) {
+        console.error('Error saving embedding cache:', error);
+        // Whether the append reached the file is unknown; write everything next time
+        this.rewrite = true;
+      }
+    });
+    return this.pendingSave;
+  }
+
+  async loadFromStorage() {
+    let data;
+    try {
+      data = await fs.readFile(this.storagePath, 'utf-8');
+    } catch (error) {
+      // No cache yet
+      return;
+    }
+
+    // A crash while appending can leave a partial last line
+    const complete = data.lastIndexOf('\n') + 1;
+    let unreadable = 0;
+    for (const line of data.slice(0, complete).split('\n')) {
+      if (!line) continue;
+      if (!this.applyLine(line)) unreadable++;
+      this.loggedLines++;
+    }
+    this.evict();
+
+    if (unreadable > 0) {
+      const corruptPath = await keepCorruptFile(this.storagePath);
+      console.error(`Embedding cache ${this.storagePath} has ${unreadable} unreadable lines; kept the ${this.entries.size} readable entries and moved the file to ${corruptPath}`);
+      this.rewrite = true;
+      this.scheduleSave();
+    } else if (complete < data.length) {
+      console.warn(`Discarding an interrupted write at the end of ${this.storagePath}`);
+      await fs.truncate(this.storagePath, Buffer.byteLength(data.slice(0, complete)));
+    }
+    console.log(`Loaded ${this.entries.size} cached embeddings`);
+  }
+
+  // Apply one line of the file; false if it cannot be read
+  applyLine(line) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      return false;
+    }
+    if (!Array.isArray(record) || typeof record[0] !== 'string') return false;
+
+    const [key, encoded] = record;
+    const vector = encoded === undefined ? this.entries.get(key) : decodeVector(encoded);
+    if (vector) {
+      this.entries.delete(key);
+      this.entries.set(key, vector);
+    }
+    return true;
+  }
+
+}
+
+module.exports = new EmbeddingCache();
@@ -0,0 +1,221 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT, belongsToTenant } = require('../utils/tenants');
+
+class IngestionJobService {
+  constructor() {
+    this.jobs = new Map(); // Job state by job ID
+    this.controllers = new Map(); // AbortControllers for unfinished jobs
+    this.maxFinishedJobs = parseInt(process.env.INGEST_JOB_HISTORY) || 100;
+  }
+
+  // Queue a background ingestion job into an opened collection, chunked with the given splitter.
+  // Each file is { name, load: async ({ enqueue }) => document, cleanup?: async () => void }; load
+  // can add files found while loading (e.g. linked web pages) with enqueue(file). unchanged are
+  // document records reported as skipped without loading, and removals are document records to
+  // delete once the files are processed (incremental directory ingestion). Jobs are only
+  // visible to the tenant that started them.
+  createJob({ source, files, collection, textSplitter, unchanged = [], removals = [], tenant = DEFAULT_TENANT }) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      tenant,
+      source,
+      collection: collection.name,
+      filesTotal: files.length,
+      filesProcessed: 0,
+      currentFile: null,
+      currentFileProgress: 0,
+      chunksEmbedded: 0,
+      failures: [],
+      result: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.controllers.set(job.id, new AbortController());
+
+    // Run after the response has been sent
+    setImmediate(() => this.runJob(job, files, collection.documentRegistry, textSplitter, { unchanged, removals }));
+
+    return this.formatJob(job);
+  }
+
+  async runJob(job, initialFiles, documentRegistry, textSplitter, { unchanged = [], removals = [] } = {}) {
+    const { signal } = this.controllers.get(job.id);
+    const files = [...initialFiles];
+    const enqueue = (file) => {
+      files.push(file);
+      job.filesTotal = files.length;
+    };
+    const result = {
+      added: 0,
+      skipped: unchanged.length,
+      replaced: 0,
+      deleted: 0,
+      chunksCreated: 0,
+      documents: unchanged.map(({ id, source }) => ({ id, source, status: 'skipped' }))
+    };
+
+    // A job cancelled while queued stays "cancelling": its files are only cleaned up below
+    if (!signal.aborted) job.status = 'running';
+    job.startedAt = new Date();
+
+    // Indexed so files enqueued while the job runs are processed too
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      if (signal.aborted) {
+        await this.cleanupFile(file);
+        continue;
+      }
+
+      job.currentFile = file.name;
+      job.currentFileProgress = 0;
+      const embeddedBefore = job.chunksEmbedded;
+
+      try {
+        const document = await file.load({ enqueue });
+        const summary = await documentRegistry.ingestDocuments([document], textSplitter, {
+          signal,
+          onProgress: (done, total) => {
+            job.chunksEmbedded = embeddedBefore + done;
+            job.currentFileProgress = total > 0 ? done / total : 1;
+          }
+        });
+
+        result.added += summary.added;
+        result.skipped += summary.skipped;
+        result.replaced += summary.replaced;
+        result.chunksCreated += summary.chunks.length;
+        result.documents.push(...summary.documents.map(({ id, source, status }) => ({ id, source, status })));
+        job.filesProcessed++;
+      } catch (error) {
+        if (!signal.aborted) {
+          console.warn(`Failed to process file ${file.name}:`, error);
+          job.failures.push({ file: file.name, error: error.message });
+          job.filesProcessed++;
+        }
+      } finally {
+        await this.cleanupFile(file);
+      }
+    }
+
+    // Documents whose files were deleted from disk; a cancelled job leaves them in place
+    for (const record of signal.aborted ? [] : removals) {
+      try {
+        await documentRegistry.deleteDocument(record.id);
+        result.deleted++;
+        result.documents.push({ id: record.id, source: record.source, status: 'deleted' });
+      } catch (error) {
+        console.warn(`Failed to remove document ${record.source}:`, error);
+        job.failures.push({ file: record.source, error: error.message });
+      }
+    }
+
+    job.currentFile = null;
+    job.result = { ...result, failures: job.failures };
+    job.finishedAt = new Date();
+
+    if (signal.aborted) {
+      job.status = 'cancelled';
+    } else if (files.length > 0 && job.failures.length === files.length) {
+      job.status = 'failed';
+    } else {
+      job.status = 'completed';
+    }
+
+    this.controllers.delete(job.id);
+    this.pruneFinishedJobs();
+
+    console.log(`Ingestion job ${job.id} ${job.status}: ${job.filesProcessed}/${job.filesTotal} files, ${job.failures.length} failures`);
+  }
+
+  async cleanupFile(file) {
+    if (!file.cleanup) return;
+
+    try {
+      await file.cleanup();
+    } catch (cleanupError) {
+      console.warn('Failed to clean up file:', cleanupError);
+    }
+  }
+
+  // Job of the tenant (any tenant when null)
+  findJob(jobId, tenant) {
+    const job = this.jobs.get(jobId);
+    return job && (tenant === null || belongsToTenant(job, tenant)) ? job : null;
+  }
+
+  getJob(jobId, tenant = null) {
+    const job = this.findJob(jobId, tenant);
+    return job ? this.formatJob(job) : null;
+  }
+
+  listJobs(tenant = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => tenant === null || belongsToTenant(job, tenant))
+      .map(job => this.formatJob(job));
+  }
+
+  // Request cancellation; the job stops before the next file or embedding batch
+  cancelJob(jobId, tenant = null) {
+    const job = this.findJob(jobId, tenant);
+    if (!job) return null;
+
+    const controller = this.controllers.get(jobId);
+    if (controller && !controller.signal.aborted) {
+      controller.abort();
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'cancelling';
+      }
+    }
+
+    return this.formatJob(job);
+  }
+
+  // Keep only the most recent finished jobs
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    const excess = finished.length - this.maxFinishedJobs;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  // Estimate remaining seconds from the fraction of files processed so far
+  estimateRemainingSeconds(job) {
+    if (job.finishedAt || !job.startedAt || job.filesTotal === 0) return null;
+
+    const progress = (job.filesProcessed + job.currentFileProgress) / job.filesTotal;
+    if (progress <= 0) return null;
+
+    const elapsed = Date.now() - job.startedAt.getTime();
+    return Math.round((elapsed * (1 - progress)) / progress / 1000);
+  }
+
+  formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      source: job.source,
+      collection: job.collection,
+      progress: {
+        filesTotal: job.filesTotal,
+        filesProcessed: job.filesProcessed,
+        currentFile: job.currentFile,
+        chunksEmbedded: job.chunksEmbedded,
+        failures: job.failures.length,
+        etaSeconds: this.estimateRemainingSeconds(job)
+      },
+      failures: job.failures,
+      result: job.result,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new IngestionJobService();
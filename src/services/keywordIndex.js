@@ -0,0 +1,144 @@
+const { matchesFilter } = require('../utils/metadataFilter');
+
+// Okapi BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// BM25 index over a collection's chunks, kept in memory only. The vector store holds the same
+// chunks, so the index is rebuilt from it on startup instead of being written on every change.
+class KeywordIndex {
+  constructor(collectionName) {
+    this.collectionName = collectionName;
+    this.chunks = new Map(); // Chunk content, metadata and term frequencies by chunk ID
+    this.postings = new Map(); // Term -> Map of chunk ID -> term frequency
+    this.totalLength = 0;
+  }
+
+  // Build the index from the chunks already in the vector store
+  async initialize(getExistingChunks) {
+    const chunks = getExistingChunks ? await getExistingChunks() : [];
+    this.indexChunks(chunks);
+    console.log(`Keyword index of collection ${this.collectionName} built from ${chunks.length} chunks`);
+  }
+
+  // Lowercased terms; identifiers like "ERR-404", "v2.1" or "part_no" are kept whole as well as split
+  tokenize(text) {
+    const tokens = [];
+    const matches = (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./:][\p{L}\p{N}]+)*/gu) || [];
+
+    for (const match of matches) {
+      tokens.push(match);
+      const parts = match.split(/[-_./:]/);
+      if (parts.length > 1) {
+        tokens.push(...parts);
+      }
+    }
+
+    return tokens;
+  }
+
+  addChunks(chunks) {
+    this.indexChunks(chunks);
+  }
+
+  removeChunks(predicate) {
+    let removed = 0;
+    for (const chunk of Array.from(this.chunks.values())) {
+      if (predicate(chunk.metadata)) {
+        this.unindexChunk(chunk.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  indexChunks(chunks) {
+    for (const { id, content, metadata } of chunks) {
+      if (this.chunks.has(id)) {
+        this.unindexChunk(id);
+      }
+
+      const termFrequencies = new Map();
+      const tokens = this.tokenize(content);
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+      }
+
+      for (const [term, frequency] of termFrequencies) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(id, frequency);
+      }
+
+      this.chunks.set(id, { id, content, metadata, length: tokens.length, terms: Array.from(termFrequencies.keys()) });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  unindexChunk(id) {
+    const chunk = this.chunks.get(id);
+    if (!chunk) return;
+
+    for (const term of chunk.terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= chunk.length;
+    this.chunks.delete(id);
+  }
+
+  // Score chunks that pass the metadata filter against the query with BM25, returning the top k
+  search(query, k = 5, filter = null) {
+    const documentCount = this.chunks.size;
+    if (documentCount === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of new Set(this.tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const chunk = this.chunks.get(id);
+        if (filter && !matchesFilter(chunk.metadata, filter)) continue;
+
+        const length = chunk.length;
+        const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, score]) => {
+        const chunk = this.chunks.get(id);
+        return {
+          id,
+          content: chunk.content,
+          metadata: chunk.metadata,
+          keywordScore: score
+        };
+      });
+  }
+
+  drop() {
+    this.chunks.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+}
+
+module.exports = KeywordIndex;
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { Ollama } = require('ollama');
+
+// Chat and embedding backends behind one interface:
+//   chat({ model, messages, format, temperature, signal }) => response text
+//   streamChat({ model, messages, signal }) => async iterable of text deltas
+//   embed({ model, texts, signal }) => one vector per text
+// Requests time out after timeoutMs (until the response starts) and are retried with
+// exponential backoff on timeouts, connection errors, 429 and 5xx responses.
+
+const PROVIDER_TYPES = ['ollama', 'openai', 'stub'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+const providerError = (message, { status, code } = {}) => {
+  const error = new Error(message);
+  if (status) error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+// One Server-Sent Events data payload, or null for keep-alives and other lines that are not JSON
+const parseStreamChunk = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+  const status = error.status || error.status_code;
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  if (error.code === 'PROVIDER_TIMEOUT') return true;
+
+  // fetch reports connection failures as "TypeError: fetch failed" with the system error as cause
+  const cause = error.cause || error;
+  return RETRYABLE_NETWORK_CODES.includes(cause.code) || (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+// Settings shared by all providers, from the environment
+const getRequestSettings = () => ({
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+  retries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+  retryDelayMs: parseInt(process.env.LLM_RETRY_DELAY_MS) || 500
+});
+
+class BaseProvider {
+  constructor({ timeoutMs, retries, retryDelayMs } = getRequestSettings()) {
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  // Run a request, retrying retryable failures unless the caller aborted
+  async withRetries(request, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if ((signal && signal.aborted) || attempt >= this.retries || !isRetryable(error)) throw error;
+
+        const delay = this.retryDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+        console.warn(`${this.constructor.name} request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // fetch that follows the caller's signal and fails with PROVIDER_TIMEOUT when no response
+  // has started within timeoutMs. Streamed bodies are not limited once they have started.
+  async fetchWithTimeout(url, { signal, ...init } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeoutMs);
+
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw providerError(`Request to ${new URL(url).origin} timed out after ${this.timeoutMs}ms`, { code: 'PROVIDER_TIMEOUT' });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Ollama server at OLLAMA_HOST (or OLLAMA_BASE_URL), default http://127.0.0.1:11434
+class OllamaProvider extends BaseProvider {
+  constructor({ host = process.env.OLLAMA_HOST || process.env.OLLAMA_BASE_URL, ...settings } = {}) {
+    super({ ...getRequestSettings(), ...settings });
+    this.name = 'ollama';
+    this.host = host || 'http://127.0.0.1:11434';
+    this.batchEmbed = true; // Set to false once the server turns out to lack /api/embed
+    this.client = new Ollama({
+      host: this.host,
+      fetch: (url, init) => this.fetchWithTimeout(url, init)
+    });
+  }
+
+  async chat({ model, messages, format, temperature }) {
+    const response = await this.withRetries(() => this.client.chat({
+      model,
+      messages,
+      format,
+      stream: false,
+      options: temperature !== undefined ? { temperature } : undefined
+    }));
+    return response.message.content;
+  }
+
+  async *streamChat({ model, messages, signal }) {
+    const stream = await this.withRetries(() => this.client.chat({ model, messages, stream: true }), signal);
+
+    const abort = () => stream.abort();
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort);
+    }
+
+    try {
+      for await (const part of stream) {
+        if (part.message.content) yield part.message.content;
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // One /api/embed request per batch. Servers older than Ollama 0.3.4 only have the
+  // single-text /api/embeddings endpoint, which is then used for every text instead.
+  async embed({ model, texts }) {
+    if (this.batchEmbed) {
+      try {
+        const response = await this.withRetries(() => this.client.embed({ model, input: texts }));
+        return response.embeddings;
+      } catch (error) {
+        // A missing model is also a 404, but with a JSON error message
+        if (error.status_code !== 404 || !/page not found/i.test(error.message)) throw error;
+        console.warn(`Ollama at ${this.host} has no batch embedding API, embedding texts one by one`);
+        this.batchEmbed = false;
+      }
+    }
+
+    return await Promise.all(texts.map(async text => {
+      const response = await this.withRetries(() => this.client.embeddings({ model, prompt: text }));
+      return response.embedding;
+    }));
+  }
+}
+
+// Any server implementing the OpenAI /chat/completions and /embeddings APIs (vLLM, llama.cpp
+// server, LM Studio, OpenAI itself, ...). OPENAI_BASE_URL includes the version path, e.g. http://localhost:8000/v1
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor({ baseUrl = process.env.OPENAI_BASE_URL, apiKey = process.env.OPENAI_API_KEY, ...settings } = {}) {
+    super({ ...getRequestSettings(), ...settings });
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+  }
+
+  async request(path, body, signal) {
+    return await this.withRetries(async () => {
+      const response = await this.fetchWithTimeout(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        const detail = (await response.text()).slice(0, 500);
+        throw providerError(`${path} failed with HTTP ${response.status}: ${detail}`, { status: response.status });
+      }
+      return response;
+    }, signal);
+  }
+
+  async chat({ model, messages, format, temperature, signal }) {
+    const response = await this.request('/chat/completions', {
+      model,
+      messages,
+      stream: false,
+      temperature,
+      response_format: format === 'json' ? { type: 'json_object' } : undefined
+    }, signal);
+
+    const data = await response.json();
+    return data.choices[0].message.content || '';
+  }
+
+  // Server-Sent Events: "data: {chunk}" lines, ending with "data: [DONE]"
+  async *streamChat({ model, messages, signal }) {
+    const response = await this.request('/chat/completions', { model, messages, stream: true }, signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+          const chunk = parseStreamChunk(data);
+          if (!chunk) continue;
+          if (chunk.error) {
+            throw providerError(`Stream failed: ${chunk.error.message || JSON.stringify(chunk.error)}`, { code: 'PROVIDER_STREAM_ERROR' });
+          }
+
+          const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+          const token = choice && choice.delta && choice.delta.content;
+          if (token) yield token;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  async embed({ model, texts, signal }) {
+    const response = await this.request('/embeddings', { model, input: texts }, signal);
+    const { data } = await response.json();
+    return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+// Deterministic provider for tests and offline development; makes no network calls.
+// Embeddings hash words into STUB_EMBEDDING_DIMENSIONS buckets, so texts sharing words are
+// similar. Chat replies with STUB_CHAT_RESPONSE, or an echo of the last user message.
+class StubProvider {
+  constructor({
+    dimensions = parseInt(process.env.STUB_EMBEDDING_DIMENSIONS) || 64,
+    response = process.env.STUB_CHAT_RESPONSE
+  } = {}) {
+    this.name = 'stub';
+    this.dimensions = dimensions;
+    this.response = response || null;
+  }
+
+  async chat({ messages, format }) {
+    if (format === 'json') return '{}';
+    if (this.response) return this.response;
+
+    const lastUser = messages.filter(message => message.role === 'user').pop();
+    const question = lastUser ? lastUser.content.split('\n').find(line => line.startsWith('Question: ')) : null;
+    return `Stub answer to: ${question ? question.slice('Question: '.length) : (lastUser ? lastUser.content.slice(0, 200) : '')}`;
+  }
+
+  async *streamChat(request) {
+    const response = await this.chat(request);
+    for (const token of response.match(/\S+\s*/g) || []) {
+      yield token;
+    }
+  }
+
+  async embed({ texts }) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      const hash = crypto.createHash('md5').update(word).digest();
+      vector[hash.readUInt32LE(0) % this.dimensions] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
+
+const isValidProvider = (type) => PROVIDER_TYPES.includes(type);
+
+function createProvider(type) {
+  switch (type) {
+    case 'ollama':
+      return new OllamaProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider();
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${type}". Expected one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+}
+
+const providers = new Map(); // One provider per type, created on first use
+
+// Shared provider of a type; defaults to LLM_PROVIDER (default "ollama")
+function getProvider(type = process.env.LLM_PROVIDER || 'ollama') {
+  if (!providers.has(type)) {
+    providers.set(type, createProvider(type));
+  }
+  return providers.get(type);
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  isRetryable,
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  isValidProvider,
+  createProvider,
+  getProvider
+};
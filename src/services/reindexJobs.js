@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const collections = require('./collections');
+const embeddingService = require('./embedding');
+const VectorStore = require('./vectorstore');
+const { isSameChunk } = require('../utils/chunkMetadata');
+const { DEFAULT_TENANT, belongsToTenant } = require('../utils/tenants');
+
+const COPY_BATCH_SIZE = 256; // Chunks embedded and written per step
+
+const reindexError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Re-embeds a collection's chunks with another embedding model into a new vector store, then
+// swaps it in. Searches keep using the old store until the swap; writes made meanwhile are
+// copied over before it, with further writes held for the moment of the swap.
+class ReindexJobService {
+  constructor() {
+    this.jobs = new Map(); // Job state by job ID
+    this.controllers = new Map(); // AbortControllers for unfinished jobs
+    this.maxFinishedJobs = 100;
+  }
+
+  // Queue a re-index of a collection. Embedding settings default to the collection's current
+  // ones, which rebuilds the store with the same model. One re-index per collection at a time.
+  startJob(name, { embeddingModel, embeddingProvider } = {}, tenant = DEFAULT_TENANT) {
+    const config = collections.getConfig(name, tenant);
+    if (!config) return null;
+
+    if (this.findActiveJob(name)) {
+      throw reindexError(`Collection ${name} is already being re-indexed`, 'REINDEX_RUNNING');
+    }
+
+    // Validates the new settings the same way as collection updates
+    const target = collections.buildConfig({
+      ...config,
+      embeddingModel: embeddingModel !== undefined ? embeddingModel : config.embeddingModel,
+      embeddingProvider: embeddingProvider !== undefined ? embeddingProvider : config.embeddingProvider
+    });
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      phase: null,
+      tenant,
+      collection: name,
+      from: {
+        embeddingProvider: config.embeddingProvider || embeddingService.providerName,
+        embeddingModel: config.embeddingModel || embeddingService.model
+      },
+      to: {
+        embeddingProvider: target.embeddingProvider,
+        embeddingModel: target.embeddingModel
+      },
+      // Chroma collection names are at most 63 characters
+      storeName: `${name.slice(0, 40)}-${crypto.randomBytes(8).toString('hex')}`,
+      chunksTotal: 0,
+      chunksEmbedded: 0,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.controllers.set(job.id, new AbortController());
+
+    // Run after the response has been sent
+    setImmediate(() => this.runJob(job));
+
+    return this.formatJob(job);
+  }
+
+  async runJob(job) {
+    const { signal } = this.controllers.get(job.id);
+    // A job cancelled while queued stays "cancelling" until it stops below
+    if (!signal.aborted) job.status = 'running';
+    job.startedAt = new Date();
+
+    let source = null;
+    let target = null;
+    try {
+      if (signal.aborted) throw new Error('Re-index cancelled');
+
+      const collection = await collections.getCollection(job.collection);
+      if (!collection) throw new Error(`Collection not found: ${job.collection}`);
+
+      source = collection.vectorStore;
+      target = new VectorStore(job.collection, {
+        embeddingService: embeddingService.forModel(job.to.embeddingModel, job.to.embeddingProvider),
+        storeName: job.storeName,
+        description: collection.config.description
+      });
+      await target.initialize();
+
+      job.phase = 'copying';
+      const chunks = await source.getAllChunks();
+      job.chunksTotal = chunks.length;
+      await this.copyChunks(chunks, target, job, signal);
+
+      // Copy writes made during the copy, then hold writes while the last ones are copied and the stores swapped
+      job.phase = 'catching_up';
+      await this.catchUp(source, target, job, signal);
+
+      job.phase = 'swapping';
+      await source.pauseWrites();
+      try {
+        await this.catchUp(source, target, job, signal);
+        const config = await collections.commitReindex(job.collection, {
+          storeName: job.storeName,
+          embeddingModel: job.to.embeddingModel,
+          embeddingProvider: job.to.embeddingProvider
+        });
+        if (!config) throw new Error(`Collection ${job.collection} was deleted during the re-index`);
+
+        source.swapBackend(target);
+      } finally {
+        source.resumeWrites();
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      job.status = signal.aborted ? 'cancelled' : 'failed';
+      job.error = signal.aborted ? null : error.message;
+      if (!signal.aborted) console.error(`Re-index of collection ${job.collection} failed:`, error);
+    }
+
+    // After a swap the target holds the previous store; otherwise it holds the unfinished copy
+    if (target) {
+      try {
+        await target.drop();
+      } catch (error) {
+        console.warn(`Failed to remove vector store ${target.storeName}:`, error.message);
+      }
+    }
+
+    job.phase = null;
+    job.finishedAt = new Date();
+    this.controllers.delete(job.id);
+    this.pruneFinishedJobs();
+
+    console.log(`Re-index job ${job.id} ${job.status}: ${job.chunksEmbedded}/${job.chunksTotal} chunks of collection ${job.collection}`);
+  }
+
+  async copyChunks(chunks, target, job, signal) {
+    for (let i = 0; i < chunks.length; i += COPY_BATCH_SIZE) {
+      if (signal.aborted) throw new Error('Re-index cancelled');
+
+      const batch = chunks.slice(i, i + COPY_BATCH_SIZE);
+      await target.importChunks(batch, { signal });
+      job.chunksEmbedded += batch.length;
+    }
+  }
+
+  // Bring the new store in line with the current one: copy chunks that are missing or have
+  // changed since they were copied, and remove chunks that have been deleted
+  async catchUp(source, target, job, signal) {
+    const [current, copied] = await Promise.all([source.getAllChunks(), target.getAllChunks()]);
+    const copiedById = new Map(copied.map(chunk => [chunk.id, chunk]));
+    const currentIds = new Set(current.map(chunk => chunk.id));
+
+    const changed = current.filter(chunk => !isSameChunk(chunk, copiedById.get(chunk.id)));
+    const outdated = copied
+      .filter(chunk => !currentIds.has(chunk.id))
+      .map(chunk => chunk.id)
+      .concat(changed.filter(chunk => copiedById.has(chunk.id)).map(chunk => chunk.id));
+
+    await target.removeChunksById(outdated);
+    job.chunksTotal += changed.length;
+    await this.copyChunks(changed, target, job, signal);
+  }
+
+  findActiveJob(name) {
+    return Array.from(this.jobs.values()).find(job => job.collection === name && !job.finishedAt) || null;
+  }
+
+  // Most recent re-index of a collection of the tenant (any tenant when null)
+  getLatestJob(name, tenant = null) {
+    const jobs = Array.from(this.jobs.values())
+      .filter(job => job.collection === name && (tenant === null || belongsToTenant(job, tenant)));
+    return jobs.length > 0 ? this.formatJob(jobs[jobs.length - 1]) : null;
+  }
+
+  // Request cancellation; the job stops before the next embedding batch and keeps the old store
+  cancelJob(name, tenant = null) {
+    const job = this.findActiveJob(name);
+    if (!job || (tenant !== null && !belongsToTenant(job, tenant))) return null;
+
+    const controller = this.controllers.get(job.id);
+    if (controller && !controller.signal.aborted) {
+      controller.abort();
+      job.status = 'cancelling';
+    }
+
+    return this.formatJob(job);
+  }
+
+  // Keep only the most recent finished jobs
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    const excess = finished.length - this.maxFinishedJobs;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      phase: job.phase,
+      collection: job.collection,
+      from: job.from,
+      to: job.to,
+      progress: {
+        chunksTotal: job.chunksTotal,
+        chunksEmbedded: job.chunksEmbedded
+      },
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new ReindexJobService();
@@ -0,0 +1,103 @@
+const { getProvider } = require('./llmProviders');
+
+// Keeps the retrieval order; used when no reranker is configured
+class NoopReranker {
+  constructor() {
+    this.enabled = false;
+  }
+
+  async rerank(query, documents) {
+    return documents;
+  }
+}
+
+// Asks a chat model to score how well each candidate answers the query, in batches, and
+// reorders candidates by that score. Each result keeps its retrieval scores and gains a
+// rerankScore (0-1) and its retrievalRank (1-based position before reranking).
+class LlmReranker {
+  constructor({
+    model = process.env.RERANK_MODEL || process.env.CHAT_MODEL || 'llama3.2:3b',
+    provider = process.env.RERANK_PROVIDER || process.env.LLM_PROVIDER || 'ollama',
+    batchSize = 10
+  } = {}) {
+    this.enabled = true;
+    this.model = model;
+    this.batchSize = batchSize;
+    this.maxPassageLength = 1000; // Characters of each candidate shown to the model
+    this.provider = getProvider(provider);
+  }
+
+  async rerank(query, documents) {
+    if (documents.length === 0) return documents;
+
+    try {
+      const scores = [];
+      for (let i = 0; i < documents.length; i += this.batchSize) {
+        const batch = documents.slice(i, i + this.batchSize);
+        scores.push(...await this.scoreBatch(query, batch));
+      }
+
+      return documents
+        .map((doc, index) => ({ ...doc, retrievalRank: index + 1, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank);
+    } catch (error) {
+      console.warn('Reranking failed, keeping retrieval order:', error.message);
+      return documents;
+    }
+  }
+
+  async scoreBatch(query, batch) {
+    const response = await this.provider.chat({
+      model: this.model,
+      messages: [{
+        role: 'user',
+        content: this.buildScoringPrompt(query, batch)
+      }],
+      format: 'json',
+      temperature: 0
+    });
+
+    const { scores } = JSON.parse(response);
+    if (!Array.isArray(scores) || scores.length !== batch.length) {
+      throw new Error(`Expected ${batch.length} scores from reranker`);
+    }
+
+    return scores.map(score => {
+      const value = Number(score);
+      return Number.isFinite(value) ? Math.min(Math.max(value, 0), 10) / 10 : 0;
+    });
+  }
+
+  buildScoringPrompt(query, batch) {
+    const passages = batch
+      .map((doc, index) => `[${index + 1}] ${doc.content.slice(0, this.maxPassageLength)}`)
+      .join('\n\n');
+
+    return `Rate how relevant each passage is for answering the query, from 0 (irrelevant) to 10 (directly answers it).
+
+Query: ${query}
+
+Passages:
+${passages}
+
+Respond with JSON of the form {"scores": [<score of passage 1>, <score of passage 2>, ...]} containing exactly ${batch.length} numbers.`;
+  }
+}
+
+// Build the reranker selected by RERANKER ("none" or "llm")
+function createReranker(type = 'none') {
+  switch (type) {
+    case 'none':
+      return new NoopReranker();
+    case 'llm':
+      return new LlmReranker();
+    default:
+      throw new Error(`Unknown reranker: ${type}. Use "none" or "llm"`);
+  }
+}
+
+module.exports = {
+  NoopReranker,
+  LlmReranker,
+  createReranker
+};
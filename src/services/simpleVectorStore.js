@@ -1,132 +1,610 @@
 const fs = require('fs').promises;
 const path = require('path');
-const embeddingService = require('./embedding');
+const { prepareChunks } = require('../utils/contentHash');
+const { buildChunkMetadata } = require('../utils/chunkMetadata');
+const { matchesFilter } = require('../utils/metadataFilter');
+const { checkEmbeddings } = require('../utils/embeddingCompatibility');
+const { HnswIndex, dotProduct, normalize } = require('../utils/hnswIndex');
+const vectorLog = require('../utils/vectorLog');
 
+const INDEX_MAGIC = Buffer.from('HNSW');
+const INDEX_FORMAT_VERSION = 1;
+const INDEX_HEADER_SIZE = 24; // Magic, version, generation, dimensions, indexed slots
+const WRITE_BATCH_SIZE = 1000; // Chunks encoded per write when rewriting the log
+const INDEX_SLICE_MS = 20; // Longest stretch of background indexing before yielding
+
+// Embedded vector store used when ChromaDB is not available. Each collection has two files in
+// vector_storage/: <storeName>.vectors, an append-only binary log of its chunks and deletions
+// (see utils/vectorLog), and <storeName>.hnsw, a snapshot of the HNSW index over them. storeName
+// differs from the collection name once the collection is re-indexed.
+//
+// Chunks are numbered by their position ("slot") in the log and their normalized embeddings kept
+// in one Float32Array. New chunks are added to the index in the background and scanned exactly
+// until then; small stores and selective filters are always searched exactly. Deleted chunks stay
+// in the index as waypoints until they outnumber the stored ones and the log is compacted.
 class SimpleVectorStore {
-  constructor() {
+  constructor(collectionName, { embeddingService, storeName = collectionName, legacyStoragePath = null }) {
+    this.collectionName = collectionName;
+    this.storeName = storeName;
+    this.embeddingService = embeddingService;
+    const storageDir = path.join(process.cwd(), 'vector_storage');
+    this.logPath = path.join(storageDir, `${storeName}.vectors`);
+    this.indexPath = path.join(storageDir, `${storeName}.hnsw`);
+    this.legacyStoragePath = legacyStoragePath; // Single-file storage from before collections existed
+
+    this.hnswM = parseInt(process.env.HNSW_M) || 16;
+    this.efConstruction = parseInt(process.env.HNSW_EF_CONSTRUCTION) || 100;
+    this.efSearch = parseInt(process.env.HNSW_EF_SEARCH) || 64;
+    // Searches over at most this many chunks compare the query with every chunk
+    this.exactSearchLimit = process.env.VECTOR_EXACT_SEARCH_LIMIT !== undefined
+      ? parseInt(process.env.VECTOR_EXACT_SEARCH_LIMIT)
+      : 5000;
+    this.indexSaveDelayMs = 10000;
+
+    this.pendingWrite = Promise.resolve(); // File writes, in the order of the changes they record
+    this.indexing = null;
+    this.saveTimer = null;
+    this.dropped = false;
+    this.resetState(vectorLog.newGeneration());
+  }
+
+  resetState(generation) {
+    this.generation = generation;
+    this.ids = [];
     this.documents = [];
-    this.embeddings = [];
     this.metadatas = [];
-    this.ids = [];
-    this.collectionName = process.env.COLLECTION_NAME || 'specialist-agent';
-    this.storagePath = path.join(process.cwd(), 'vector_storage.json');
+    this.live = []; // false for deleted slots
+    this.slotById = new Map();
+    this.liveCount = 0;
+    this.vectors = new Float32Array(0);
+    this.dimensions = null;
+    this.embeddingModel = null; // "<provider>:<model>" of the stored embeddings
+    this.index = null;
+    this.indexedSlots = 0; // Slots below this have been added to the index (or were deleted first)
   }
 
   async initialize() {
-    try {
-      // Try to load existing data
-      await this.loadFromStorage();
-      console.log('Simple vector store initialized');
-    } catch (error) {
-      console.log('Starting with empty vector store');
+    await this.loadFromStorage();
+    console.log('Simple vector store initialized');
+  }
+
+  async addDocuments(documents, options = {}) {
+    // Skip chunks that are already stored or repeated within this batch
+    const chunks = prepareChunks(documents).filter(chunk => !this.slotById.has(chunk.id));
+    const skipped = documents.length - chunks.length;
+
+    if (chunks.length === 0) {
+      console.log(`Skipped ${skipped} duplicate chunks in simple vector store`);
+      return { added: 0, skipped };
     }
+
+    const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(doc => doc.content), options);
+    await this.appendChunks(chunks, embeddings);
+
+    console.log(`Added ${chunks.length} documents to simple vector store (${skipped} duplicates skipped)`);
+    return { added: chunks.length, skipped };
   }
 
-  async addDocuments(documents) {
-    const texts = documents.map(doc => doc.content);
-    const embeddings = await embeddingService.generateEmbeddings(texts);
-    
-    const ids = documents.map((_, index) => `doc_${Date.now()}_${index}`);
-    const metadatas = documents.map(doc => ({
-      source: doc.source || 'unknown',
-      title: doc.title || 'untitled',
-      chunk_index: doc.chunkIndex || 0
-    }));
+  // Swap a document's chunks for new ones; old chunks are only removed once the new embeddings exist
+  async replaceDocumentChunks(documentId, documents, options = {}) {
+    const chunks = prepareChunks(documents);
+    const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(doc => doc.content), options);
+    checkEmbeddings(this.getEmbeddingInfo(), this.embeddingService.modelId, embeddings);
 
-    // Add to in-memory storage
-    this.documents.push(...texts);
-    this.embeddings.push(...embeddings);
-    this.metadatas.push(...metadatas);
-    this.ids.push(...ids);
+    this.removeChunks(metadata => metadata.document_id === documentId);
+    await this.appendChunks(chunks, embeddings);
 
-    // Save to file
-    await this.saveToStorage();
+    console.log(`Replaced chunks of document ${documentId} with ${chunks.length} documents in simple vector store`);
+    return { added: chunks.length, skipped: documents.length - chunks.length };
+  }
 
-    console.log(`Added ${documents.length} documents to simple vector store`);
+  appendChunks(chunks, embeddings) {
+    return this.appendStoredChunks(chunks.map(doc => ({ id: doc.id, content: doc.content, metadata: buildChunkMetadata(doc) })), embeddings);
   }
 
-  async similarity_search(query, k = 5) {
-    if (this.embeddings.length === 0) {
-      return [];
+  // Add chunks copied from another store ({ id, content, metadata }), embedding them with this store's model
+  async importChunks(chunks, options = {}) {
+    const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(chunk => chunk.content), options);
+    await this.appendStoredChunks(chunks, embeddings);
+  }
+
+  appendStoredChunks(chunks, embeddings) {
+    checkEmbeddings(this.getEmbeddingInfo(), this.embeddingService.modelId, embeddings);
+    if (chunks.length === 0) return this.pendingWrite;
+
+    // An empty store takes the dimension of whatever model fills it next
+    if (this.liveCount === 0) {
+      if (this.ids.length > 0) this.compact();
+      this.setDimensions(embeddings[0].length);
+    }
+
+    const records = [];
+    if (this.embeddingModel !== this.embeddingService.modelId) {
+      this.embeddingModel = this.embeddingService.modelId;
+      records.push(vectorLog.encodeModel(this.embeddingModel));
+    }
+
+    const replaced = chunks.filter(chunk => this.slotById.has(chunk.id)).map(chunk => chunk.id);
+    if (replaced.length > 0) {
+      this.deleteSlots(replaced.map(id => this.slotById.get(id)));
+      records.push(vectorLog.encodeDelete(replaced));
+    }
+
+    chunks.forEach((chunk, index) => {
+      const slot = this.storeChunk(chunk, normalize(Float32Array.from(embeddings[index])));
+      records.push(vectorLog.encodeChunk(chunk, this.vectorAt(slot)));
+    });
+
+    this.indexPending();
+    return this.appendToLog(records);
+  }
+
+  setDimensions(dimensions) {
+    this.dimensions = dimensions;
+    this.index = new HnswIndex({
+      dimensions,
+      getVectors: () => this.vectors,
+      m: this.hnswM,
+      efConstruction: this.efConstruction
+    });
+  }
+
+  // Place a chunk in the next slot; embedding must already be normalized
+  storeChunk(chunk, embedding) {
+    const slot = this.ids.length;
+    this.ensureCapacity(slot + 1);
+    this.vectors.set(embedding, slot * this.dimensions);
+
+    this.ids.push(chunk.id);
+    this.documents.push(chunk.content);
+    this.metadatas.push(chunk.metadata);
+    this.live.push(true);
+    this.slotById.set(chunk.id, slot);
+    this.liveCount++;
+    return slot;
+  }
+
+  ensureCapacity(slots) {
+    if (slots * this.dimensions <= this.vectors.length) return;
+    const vectors = new Float32Array(Math.max(slots, 2 * this.vectors.length / this.dimensions, 1024) * this.dimensions);
+    vectors.set(this.vectors);
+    this.vectors = vectors;
+  }
+
+  vectorAt(slot) {
+    return this.vectors.subarray(slot * this.dimensions, (slot + 1) * this.dimensions);
+  }
+
+  // Model and dimension of the stored embeddings; an empty store accepts any model
+  getEmbeddingInfo() {
+    const empty = this.liveCount === 0;
+    return {
+      collectionName: this.collectionName,
+      model: empty ? null : this.embeddingModel,
+      dimensions: empty ? null : this.dimensions
+    };
+  }
+
+  async removeChunksById(ids) {
+    const slots = ids.filter(id => this.slotById.has(id)).map(id => this.slotById.get(id));
+    await this.removeSlots(slots);
+  }
+
+  // Remove every chunk whose metadata matches the predicate, returning how many were removed.
+  // The deletion is written to the log in the background.
+  removeChunks(predicate) {
+    const slots = [];
+    this.live.forEach((live, slot) => {
+      if (live && predicate(this.metadatas[slot])) slots.push(slot);
+    });
+    this.removeSlots(slots);
+    return slots.length;
+  }
+
+  removeSlots(slots) {
+    if (slots.length === 0) return this.pendingWrite;
+
+    const ids = slots.map(slot => this.ids[slot]);
+    this.deleteSlots(slots);
+
+    // Rewrite the log once deleted chunks outnumber the stored ones
+    if (this.ids.length - this.liveCount > this.liveCount) return this.compact();
+    return this.appendToLog([vectorLog.encodeDelete(ids)]);
+  }
+
+  deleteSlots(slots) {
+    for (const slot of slots) {
+      this.slotById.delete(this.ids[slot]);
+      this.live[slot] = false;
+      this.documents[slot] = null;
+      this.metadatas[slot] = null;
     }
+    this.liveCount -= slots.length;
+  }
 
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
-    
-    // Calculate cosine similarity
-    const similarities = this.embeddings.map(embedding => {
-      return this.cosineSimilarity(queryEmbedding, embedding);
+  // Drop deleted chunks from memory, the index and (in the background) the log
+  compact() {
+    const mapping = new Int32Array(this.ids.length).fill(-1);
+    let next = 0;
+    this.live.forEach((live, slot) => {
+      if (live) mapping[slot] = next++;
     });
 
-    // Get top k results
-    const results = similarities
-      .map((similarity, index) => ({
-        content: this.documents[index],
-        metadata: this.metadatas[index],
-        distance: 1 - similarity,
-        similarity: similarity
-      }))
+    const state = this.captureState();
+    state.generation = vectorLog.newGeneration();
+
+    // The index is renumbered while the vectors are still in their old slots
+    if (this.index) this.index.remap(mapping);
+    let indexedSlots = 0;
+    for (let slot = 0; slot < this.indexedSlots; slot++) {
+      if (mapping[slot] !== -1) indexedSlots++;
+    }
+
+    const { index, dimensions } = this;
+    this.resetState(state.generation);
+    this.embeddingModel = state.embeddingModel;
+    if (dimensions) {
+      this.dimensions = dimensions;
+      this.index = index;
+      this.ensureCapacity(state.ids.length);
+      this.vectors.set(state.vectors);
+    }
+    state.ids.forEach((id, slot) => {
+      this.ids.push(id);
+      this.documents.push(state.documents[slot]);
+      this.metadatas.push(state.metadatas[slot]);
+      this.live.push(true);
+      this.slotById.set(id, slot);
+    });
+    this.liveCount = state.ids.length;
+    this.indexedSlots = indexedSlots;
+
+    console.log(`Compacting simple vector store ${this.storeName} to ${this.liveCount} chunks`);
+    this.pendingWrite = this.pendingWrite.then(() => this.writeLog(state));
+    this.scheduleIndexSave();
+    return this.pendingWrite;
+  }
+
+  // Copy of the stored chunks for writing a new log
+  captureState() {
+    const slots = [];
+    this.live.forEach((live, slot) => {
+      if (live) slots.push(slot);
+    });
+
+    const vectors = new Float32Array(slots.length * (this.dimensions || 0));
+    slots.forEach((slot, index) => vectors.set(this.vectorAt(slot), index * this.dimensions));
+
+    return {
+      generation: this.generation,
+      embeddingModel: this.embeddingModel,
+      dimensions: this.dimensions,
+      ids: slots.map(slot => this.ids[slot]),
+      documents: slots.map(slot => this.documents[slot]),
+      metadatas: slots.map(slot => this.metadatas[slot]),
+      vectors
+    };
+  }
+
+  async similarity_search(query, k = 5, filter = null) {
+    if (this.liveCount === 0) {
+      return [];
+    }
+
+    const queryEmbedding = await this.embeddingService.generateEmbedding(query);
+    checkEmbeddings(this.getEmbeddingInfo(), this.embeddingService.modelId, [queryEmbedding]);
+    const queryVector = normalize(Float32Array.from(queryEmbedding));
+
+    const accept = filter
+      ? slot => this.live[slot] && matchesFilter(this.metadatas[slot], filter)
+      : slot => this.live[slot];
+
+    return this.findNearest(queryVector, k, accept, Boolean(filter)).map(({ slot, similarity }) => ({
+      id: this.ids[slot],
+      content: this.documents[slot],
+      metadata: this.metadatas[slot],
+      distance: 1 - similarity,
+      similarity: similarity
+    }));
+  }
+
+  // The k accepted chunks most similar to the query, best first: from the index when it covers
+  // enough matching chunks, plus an exact scan of the chunks not indexed yet
+  findNearest(query, k, accept, filtered) {
+    const indexed = this.indexedSlots;
+    let matching = indexed;
+    if (filtered) {
+      matching = 0;
+      for (let slot = 0; slot < indexed; slot++) {
+        if (accept(slot)) matching++;
+      }
+    }
+
+    if (matching <= this.exactSearchLimit) {
+      return this.exactSearch(query, k, accept, 0, this.ids.length);
+    }
+
+    // Widen the search by how rare matching chunks are, so enough of them are reached
+    const ef = Math.min(Math.ceil(Math.max(this.efSearch, k) * indexed / matching), indexed);
+    let hits = this.index.search(query, k, ef, accept);
+    if (hits.length < Math.min(k, matching)) {
+      hits = this.exactSearch(query, k, accept, 0, indexed);
+    }
+
+    return hits
+      .concat(this.exactSearch(query, k, accept, indexed, this.ids.length))
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, k);
+  }
 
-    return results;
+  exactSearch(query, k, accept, from, to) {
+    const hits = [];
+    for (let slot = from; slot < to; slot++) {
+      if (accept(slot)) {
+        hits.push({ slot, similarity: dotProduct(query, 0, this.vectors, slot * this.dimensions, this.dimensions) });
+      }
+    }
+    return hits.sort((a, b) => b.similarity - a.similarity).slice(0, k);
   }
 
-  cosineSimilarity(a, b) {
-    if (a.length !== b.length) return 0;
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
+  // Add chunks written since the index was last updated, yielding to other work regularly
+  indexPending() {
+    if (!this.indexing) {
+      this.indexing = this.indexChunks().finally(() => { this.indexing = null; });
     }
-    
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    return this.indexing;
   }
 
-  async saveToStorage() {
+  async indexChunks() {
     try {
-      const data = {
-        documents: this.documents,
-        embeddings: this.embeddings,
-        metadatas: this.metadatas,
-        ids: this.ids,
-        collectionName: this.collectionName
-      };
-      await fs.writeFile(this.storagePath, JSON.stringify(data, null, 2));
+      while (!this.dropped && this.indexedSlots < this.ids.length) {
+        const deadline = Date.now() + INDEX_SLICE_MS;
+        while (this.indexedSlots < this.ids.length && Date.now() < deadline) {
+          const slot = this.indexedSlots++;
+          if (this.live[slot]) this.index.add(slot);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      this.scheduleIndexSave();
+    } catch (error) {
+      console.error('Error indexing simple vector store:', error);
+    }
+  }
+
+  // Wait until every stored chunk is in the index
+  async waitForIndex() {
+    while (this.indexing) await this.indexing;
+  }
+
+  async getAllChunks() {
+    const chunks = [];
+    this.live.forEach((live, slot) => {
+      if (live) chunks.push({ id: this.ids[slot], content: this.documents[slot], metadata: this.metadatas[slot] });
+    });
+    return chunks;
+  }
+
+  // Chunks with their stored (normalized) embeddings, for copying to another store. Unknown IDs are skipped.
+  getStoredChunks(ids) {
+    return ids.filter(id => this.slotById.has(id)).map(id => {
+      const slot = this.slotById.get(id);
+      return { id, content: this.documents[slot], metadata: this.metadatas[slot], embedding: Array.from(this.vectorAt(slot)) };
+    });
+  }
+
+  async getDocumentChunks(documentId) {
+    return (await this.getAllChunks())
+      .filter(chunk => chunk.metadata.document_id === documentId)
+      .sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index);
+  }
+
+  async deleteDocumentChunks(documentId) {
+    const removed = this.removeChunks(metadata => metadata.document_id === documentId);
+    await this.pendingWrite;
+
+    console.log(`Removed ${removed} chunks of document ${documentId} from simple vector store`);
+    return removed;
+  }
+
+  appendToLog(records) {
+    const data = Buffer.concat(records);
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      if (this.dropped) return;
+      try {
+        await fs.appendFile(this.logPath, data);
+      } catch (error) {
+        console.error('Error saving to storage:', error);
+      }
+    });
+    return this.pendingWrite;
+  }
+
+  // Write a complete log next to the current one, then replace it
+  async writeLog(state) {
+    if (this.dropped) return;
+
+    const tempPath = `${this.logPath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+      const file = await fs.open(tempPath, 'w');
+      try {
+        await file.write(vectorLog.encodeHeader(state.generation));
+        if (state.embeddingModel) await file.write(vectorLog.encodeModel(state.embeddingModel));
+
+        for (let start = 0; start < state.ids.length; start += WRITE_BATCH_SIZE) {
+          const records = [];
+          for (let slot = start; slot < Math.min(start + WRITE_BATCH_SIZE, state.ids.length); slot++) {
+            records.push(vectorLog.encodeChunk(
+              { id: state.ids[slot], content: state.documents[slot], metadata: state.metadatas[slot] },
+              state.vectors.subarray(slot * state.dimensions, (slot + 1) * state.dimensions)
+            ));
+          }
+          await file.write(Buffer.concat(records));
+        }
+      } finally {
+        await file.close();
+      }
+      await fs.rename(tempPath, this.logPath);
     } catch (error) {
       console.error('Error saving to storage:', error);
     }
   }
 
   async loadFromStorage() {
+    let data;
     try {
-      const data = await fs.readFile(this.storagePath, 'utf-8');
+      data = await fs.readFile(this.logPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.importLegacyStorage();
+      this.indexPending();
+      return;
+    }
+
+    this.resetState(null);
+    const { generation, length } = vectorLog.readLog(data, {
+      onChunk: (chunk, embedding) => {
+        if (!this.dimensions) {
+          this.setDimensions(embedding.length);
+          // The file size bounds the number of chunks, which avoids regrowing the vectors
+          this.ensureCapacity(Math.ceil(data.length / (4 * this.dimensions)));
+        }
+        this.storeChunk(chunk, embedding);
+      },
+      onDelete: (ids) => this.deleteSlots(ids.filter(id => this.slotById.has(id)).map(id => this.slotById.get(id))),
+      onModel: (embeddingModel) => { this.embeddingModel = embeddingModel; }
+    });
+    this.generation = generation;
+
+    if (length < data.length) {
+      console.warn(`Discarding ${data.length - length} bytes of an interrupted write to ${this.logPath}`);
+      await fs.truncate(this.logPath, length);
+    }
+
+    await this.loadIndex();
+    console.log(`Loaded ${this.liveCount} documents from storage (${this.indexedSlots} of ${this.ids.length} indexed)`);
+    this.indexPending();
+  }
+
+  // Convert the single vector_storage.json the default collection used before collections existed.
+  // The file is left in place.
+  async importLegacyStorage() {
+    const data = await this.readLegacyStorage();
+    this.resetState(vectorLog.newGeneration());
+
+    if (data) {
       const parsed = JSON.parse(data);
-      
-      this.documents = parsed.documents || [];
-      this.embeddings = parsed.embeddings || [];
-      this.metadatas = parsed.metadatas || [];
-      this.ids = parsed.ids || [];
-      this.collectionName = parsed.collectionName || this.collectionName;
-      
-      console.log(`Loaded ${this.documents.length} documents from storage`);
+      const embeddings = parsed.embeddings || [];
+      // The file does not record the embedding model, only reveals its dimension
+      this.embeddingModel = null;
+
+      (parsed.ids || []).forEach((id, index) => {
+        if (!embeddings[index] || this.slotById.has(id)) return;
+        if (!this.dimensions) this.setDimensions(embeddings[index].length);
+        this.storeChunk(
+          { id, content: parsed.documents[index], metadata: parsed.metadatas[index] },
+          normalize(Float32Array.from(embeddings[index]))
+        );
+      });
+    }
+
+    await this.writeLog(this.captureState());
+
+    if (data) {
+      console.log(`Converted ${this.liveCount} documents from ${this.legacyStoragePath} to ${this.logPath}`);
+    }
+  }
+
+  async readLegacyStorage() {
+    if (!this.legacyStoragePath) return null;
+    try {
+      return await fs.readFile(this.legacyStoragePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  // Load the saved index if it matches the log; chunks written after it was saved are added in
+  // the background. Without a usable snapshot the index is rebuilt from scratch.
+  async loadIndex() {
+    if (!this.dimensions) return;
+
+    let data;
+    try {
+      data = await fs.readFile(this.indexPath);
+    } catch (error) {
+      return;
+    }
+
+    const valid = data.length >= INDEX_HEADER_SIZE &&
+      data.subarray(0, INDEX_MAGIC.length).equals(INDEX_MAGIC) &&
+      data.readUInt32LE(4) === INDEX_FORMAT_VERSION &&
+      data.toString('hex', 8, 16) === this.generation &&
+      data.readUInt32LE(16) === this.dimensions &&
+      data.readUInt32LE(20) <= this.ids.length;
+    if (!valid) {
+      console.log(`Rebuilding outdated vector index ${this.indexPath}`);
+      return;
+    }
+
+    const graph = new Int32Array(data.buffer.slice(data.byteOffset + INDEX_HEADER_SIZE, data.byteOffset + data.length));
+    this.index = HnswIndex.deserialize(graph, { dimensions: this.dimensions, getVectors: () => this.vectors });
+    this.indexedSlots = data.readUInt32LE(20);
+  }
+
+  // Index snapshots are written at most every indexSaveDelayMs; after a restart, chunks newer
+  // than the snapshot are indexed again from the log
+  scheduleIndexSave() {
+    if (this.saveTimer || this.dropped) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.pendingWrite = this.pendingWrite.then(() => this.saveIndex());
+    }, this.indexSaveDelayMs);
+    // A pending save must not keep the process alive; the index can always be rebuilt
+    this.saveTimer.unref();
+  }
+
+  async saveIndex() {
+    if (this.dropped || !this.index) return;
+
+    const header = Buffer.alloc(INDEX_HEADER_SIZE);
+    INDEX_MAGIC.copy(header, 0);
+    header.writeUInt32LE(INDEX_FORMAT_VERSION, 4);
+    Buffer.from(this.generation, 'hex').copy(header, 8);
+    header.writeUInt32LE(this.dimensions, 16);
+    header.writeUInt32LE(this.indexedSlots, 20);
+    const graph = this.index.serialize();
+
+    const tempPath = `${this.indexPath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+      await fs.writeFile(tempPath, Buffer.concat([header, Buffer.from(graph.buffer, graph.byteOffset, graph.byteLength)]));
+      await fs.rename(tempPath, this.indexPath);
     } catch (error) {
-      console.log('No existing storage found, starting fresh');
+      console.error('Error saving vector index:', error);
+    }
+  }
+
+  // Remove the collection's storage files
+  async drop() {
+    this.dropped = true;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.pendingWrite;
+
+    for (const storagePath of [this.logPath, this.indexPath]) {
+      await fs.rm(storagePath, { force: true });
     }
   }
 
   async clear() {
-    this.documents = [];
-    this.embeddings = [];
-    this.metadatas = [];
-    this.ids = [];
-    await this.saveToStorage();
+    this.resetState(vectorLog.newGeneration());
+    const state = this.captureState();
+    this.pendingWrite = this.pendingWrite.then(() => this.writeLog(state));
+    await this.pendingWrite;
     console.log('Vector store cleared');
   }
 }
 
-module.exports = new SimpleVectorStore();
+module.exports = SimpleVectorStore;
@@ -0,0 +1,50 @@
+const { isSameChunk } = require('../utils/chunkMetadata');
+
+const SYNC_BATCH_SIZE = 500; // Chunks read and written per step
+
+const syncError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Copy a collection's chunks from one vector store to another together with their embeddings, so
+// nothing is embedded again. Chunks missing from the target or different there are written; with
+// prune, chunks the source does not have are removed from the target. dryRun only counts.
+async function syncStores(source, target, { prune = false, dryRun = false, onProgress = null } = {}) {
+  const { model } = await source.getEmbeddingInfo();
+  const targetModel = target.embeddingService.modelId;
+  // ChromaDB collections created before the model was recorded cannot be checked
+  if (model && model !== targetModel) {
+    throw syncError(`Source vectors were embedded with ${model}, but collection ${target.collectionName} uses ${targetModel}`, 'EMBEDDING_MISMATCH');
+  }
+
+  const sourceChunks = await source.getAllChunks();
+  const targetChunks = await target.getAllChunks();
+  const targetById = new Map(targetChunks.map(chunk => [chunk.id, chunk]));
+  const sourceIds = new Set(sourceChunks.map(chunk => chunk.id));
+
+  const changedIds = sourceChunks.filter(chunk => !isSameChunk(chunk, targetById.get(chunk.id))).map(chunk => chunk.id);
+  const staleIds = prune ? targetChunks.filter(chunk => !sourceIds.has(chunk.id)).map(chunk => chunk.id) : [];
+  const result = {
+    chunks: sourceChunks.length,
+    copied: changedIds.length,
+    unchanged: sourceChunks.length - changedIds.length,
+    removed: staleIds.length
+  };
+  if (dryRun) return result;
+
+  // Removing first lets a pruned target that ends up empty take the source's vectors
+  await target.removeChunksById(staleIds);
+  for (let first = 0; first < changedIds.length; first += SYNC_BATCH_SIZE) {
+    const chunks = await source.getStoredChunks(changedIds.slice(first, first + SYNC_BATCH_SIZE));
+    await target.copyStoredChunks(chunks);
+    if (onProgress) onProgress(Math.min(first + SYNC_BATCH_SIZE, changedIds.length), changedIds.length);
+  }
+
+  return result;
+}
+
+module.exports = {
+  syncStores
+};
@@ -1,96 +1,532 @@
-const { ChromaClient } = require('chromadb');
-const { v4: uuidv4 } = require('uuid');
-const embeddingService = require('./embedding');
-const simpleVectorStore = require('./simpleVectorStore');
+const { prepareChunks } = require('../utils/contentHash');
+const { buildChunkMetadata } = require('../utils/chunkMetadata');
+const { toChromaWhere } = require('../utils/metadataFilter');
+const { checkEmbeddings } = require('../utils/embeddingCompatibility');
+const chromaConnection = require('./chromaConnection');
+const SimpleVectorStore = require('./simpleVectorStore');
 
+const COPY_BATCH_SIZE = 500; // Chunks read or written per ChromaDB request when copying between backends
+
+// Vector store for one collection, kept in ChromaDB or in the embedded SimpleVectorStore as set by
+// VECTOR_BACKEND (see chromaConnection). In auto mode the embedded store takes over while ChromaDB
+// cannot be reached, and the changes made meanwhile are copied to ChromaDB once it is back.
+// Writes are mirrored into the collection's keyword index, if it has one. storeName names the
+// ChromaDB collection or storage files; it differs from the collection name once the collection
+// has been re-indexed with another embedding model.
 class VectorStore {
-  constructor() {
-    this.client = new ChromaClient({
-      path: process.env.CHROMA_URL || 'http://localhost:8000'
-    });
-    this.collectionName = process.env.COLLECTION_NAME || 'specialist-agent';
+  constructor(collectionName, {
+    embeddingService,
+    keywordIndex = null,
+    storeName = collectionName,
+    description = 'Specialist Agent Knowledge Base',
+    legacyStoragePath = null,
+    backend = chromaConnection.backend
+  }) {
+    this.client = chromaConnection.client;
+    this.backend = backend;
+    this.collectionName = collectionName;
+    this.storeName = storeName;
+    this.description = description;
+    this.embeddingService = embeddingService;
+    this.keywordIndex = keywordIndex;
     this.collection = null;
-    this.useSimpleStore = false;
+    this.chromaDimensions = null; // Dimension of the stored embeddings, looked up on first use
+    this.useSimpleStore = backend === 'embedded';
+    this.simpleVectorStore = new SimpleVectorStore(collectionName, { embeddingService, storeName, legacyStoragePath });
+    this.simpleStoreLoading = null;
+    this.fallback = false; // Auto mode: on the embedded store until ChromaDB is back
+    this.fallbackChanges = null; // What was written to the embedded store meanwhile
+    this.recovering = false;
+    this.activeWrites = 0;
+    this.writeGate = null; // Promise that writes wait for while a re-index or recovery swaps the stores
+    this.releaseWrites = null;
+    this.onWritesIdle = null;
+
+    if (backend === 'auto') {
+      this.onReconnect = () => this.recover();
+      chromaConnection.on('connected', this.onReconnect);
+    }
   }
 
   async initialize() {
+    if (this.backend === 'embedded') {
+      await this.initializeSimpleStore();
+      return;
+    }
+
+    try {
+      await this.openChromaCollection();
+    } catch (error) {
+      if (!chromaConnection.isConnectionError(error)) throw error;
+      chromaConnection.markUnavailable(error);
+      if (this.backend !== 'auto') throw chromaConnection.unavailableError();
+      await this.failover();
+    }
+  }
+
+  async initializeSimpleStore() {
+    if (!this.simpleStoreLoading) this.simpleStoreLoading = this.simpleVectorStore.initialize();
+    await this.simpleStoreLoading;
+  }
+
+  async openChromaCollection() {
     try {
-      // Try to get existing collection
-      this.collection = await this.client.getCollection({
-        name: this.collectionName
+      this.collection = await this.client.getCollection({ name: this.storeName });
+      console.log(`Connected to ChromaDB collection ${this.collectionName}`);
+    } catch (error) {
+      if (chromaConnection.isConnectionError(error)) throw error;
+
+      // Create new collection if it doesn't exist
+      this.collection = await this.client.createCollection({
+        name: this.storeName,
+        // Cosine distance, so 1 - distance is the similarity used by relevance thresholds
+        metadata: {
+          description: this.description,
+          'hnsw:space': 'cosine',
+          embedding_model: this.embeddingService.modelId
+        }
       });
-      console.log('Connected to ChromaDB collection');
+      console.log(`Created new ChromaDB collection ${this.collectionName}`);
+    }
+    chromaConnection.markConnected();
+  }
+
+  // Run an operation against ChromaDB. When the server cannot be reached, auto mode fails over to
+  // the embedded store and runs onEmbedded instead; chroma mode fails with VECTOR_BACKEND_UNAVAILABLE.
+  async withChroma(operation, onEmbedded) {
+    try {
+      if (chromaConnection.status === 'unavailable') throw chromaConnection.unavailableError();
+      if (!this.collection) await this.openChromaCollection();
+      return await operation();
     } catch (error) {
-      if (error.message.includes('Could not connect to tenant') || 
-          error.message.includes('Failed to connect to chromadb')) {
-        console.log('ChromaDB server not available. Using simple in-memory vector store.');
-        this.useSimpleStore = true;
-        await simpleVectorStore.initialize();
-        return;
+      if (!chromaConnection.isConnectionError(error)) throw error;
+      if (error.code !== 'VECTOR_BACKEND_UNAVAILABLE') chromaConnection.markUnavailable(error);
+      if (this.backend !== 'auto') throw chromaConnection.unavailableError();
+
+      await this.failover();
+      return await onEmbedded();
+    }
+  }
+
+  // Run an operation on whichever backend is active
+  async onBackend(onChroma, onEmbedded) {
+    if (this.useSimpleStore) return await onEmbedded();
+    return await this.withChroma(onChroma, onEmbedded);
+  }
+
+  async failover() {
+    if (this.fallback) return;
+    await this.initializeSimpleStore();
+    if (this.fallback) return;
+
+    console.warn(`Collection ${this.collectionName} is using the embedded vector store until ChromaDB is reachable again`);
+    this.fallback = true;
+    this.useSimpleStore = true;
+    this.fallbackChanges = { chunkIds: new Set(), documentIds: new Set(), removedChunkIds: new Set() };
+  }
+
+  // Note a write made to the embedded store during a failover, so recover() can replay it
+  recordFallbackChange({ chunkIds = [], documentIds = [], removedChunkIds = [] }) {
+    if (!this.fallback) return;
+    chunkIds.forEach(id => this.fallbackChanges.chunkIds.add(id));
+    documentIds.forEach(id => this.fallbackChanges.documentIds.add(id));
+    removedChunkIds.forEach(id => this.fallbackChanges.removedChunkIds.add(id));
+  }
+
+  // ChromaDB is back after a failover: copy the changes made meanwhile and switch back to it.
+  // Writes wait until this is done; on failure the collection stays on the embedded store.
+  async recover() {
+    if (!this.fallback || this.recovering) return;
+    this.recovering = true;
+    await this.pauseWrites();
+
+    try {
+      if (!this.collection) await this.openChromaCollection();
+
+      // Deleted and replaced documents first, then every chunk written that still exists
+      const { chunkIds, documentIds, removedChunkIds } = this.fallbackChanges;
+      for (const documentId of documentIds) {
+        await this.deleteChromaDocumentChunks(documentId);
       }
-      
-      // Create new collection if it doesn't exist
-      try {
-        this.collection = await this.client.createCollection({
-          name: this.collectionName,
-          metadata: { description: 'Specialist Agent Knowledge Base' }
-        });
-        console.log('Created new ChromaDB collection');
-      } catch (createError) {
-        console.log('ChromaDB not available. Using simple in-memory vector store.');
-        this.useSimpleStore = true;
-        await simpleVectorStore.initialize();
+      if (removedChunkIds.size > 0) {
+        await this.collection.delete({ ids: Array.from(removedChunkIds) });
+        this.chromaDimensions = null;
+      }
+
+      const chunks = this.simpleVectorStore.getStoredChunks(Array.from(chunkIds));
+      for (let first = 0; first < chunks.length; first += COPY_BATCH_SIZE) {
+        await this.writeEmbeddedChunks(chunks.slice(first, first + COPY_BATCH_SIZE));
       }
+
+      this.fallback = false;
+      this.fallbackChanges = null;
+      this.useSimpleStore = false;
+      console.log(`Collection ${this.collectionName} is back on ChromaDB (${chunks.length} chunks written during the failover copied)`);
+    } catch (error) {
+      console.error(`Failed to move collection ${this.collectionName} back to ChromaDB:`, error.message);
+      // A lost connection retries on the next reconnect
+      if (chromaConnection.isConnectionError(error)) chromaConnection.markUnavailable(error);
+    } finally {
+      this.recovering = false;
+      this.resumeWrites();
     }
   }
 
-  async addDocuments(documents) {
-    if (this.useSimpleStore) {
-      return await simpleVectorStore.addDocuments(documents);
+  // Backend the collection currently reads and writes
+  get activeBackend() {
+    return this.useSimpleStore ? 'embedded' : 'chroma';
+  }
+
+  // Delete all stored chunks of this collection, in ChromaDB and in the embedded store
+  async drop() {
+    if (this.onReconnect) chromaConnection.removeListener('connected', this.onReconnect);
+
+    if (this.backend !== 'chroma') await this.simpleVectorStore.drop();
+    if (this.backend !== 'embedded') {
+      await this.withChroma(() => this.client.deleteCollection({ name: this.storeName }), async () => {
+        console.warn(`ChromaDB collection ${this.storeName} was left in place because ChromaDB is unavailable`);
+      });
     }
+    if (this.keywordIndex) this.keywordIndex.drop();
+  }
 
-    if (!this.collection) await this.initialize();
+  // Writes wait while a re-index is catching up and swapping stores, then go to the new store
+  async runWrite(write) {
+    while (this.writeGate) await this.writeGate;
 
-    const texts = documents.map(doc => doc.content);
-    const embeddings = await embeddingService.generateEmbeddings(texts);
-    
-    const ids = documents.map(() => uuidv4());
-    const metadatas = documents.map(doc => ({
-      source: doc.source || 'unknown',
-      title: doc.title || 'untitled',
-      chunk_index: doc.chunkIndex || 0
-    }));
+    this.activeWrites++;
+    try {
+      return await write();
+    } finally {
+      this.activeWrites--;
+      if (this.activeWrites === 0 && this.onWritesIdle) this.onWritesIdle();
+    }
+  }
+
+  // Hold new writes and wait for those in progress to finish
+  async pauseWrites() {
+    while (this.writeGate) await this.writeGate;
+
+    let release;
+    this.writeGate = new Promise(resolve => { release = resolve; });
+    this.releaseWrites = () => {
+      this.writeGate = null;
+      release();
+    };
 
-    await this.collection.add({
-      ids,
+    if (this.activeWrites > 0) {
+      await new Promise(resolve => { this.onWritesIdle = resolve; });
+      this.onWritesIdle = null;
+    }
+  }
+
+  resumeWrites() {
+    if (this.releaseWrites) this.releaseWrites();
+    this.releaseWrites = null;
+  }
+
+  // Exchange stored chunks and embedding model with another store of the same collection. Everything
+  // holding this store (document registry, open requests) uses the other store's data from now on.
+  swapBackend(other) {
+    const fields = [
+      'storeName', 'embeddingService', 'collection', 'chromaDimensions', 'useSimpleStore',
+      'simpleVectorStore', 'simpleStoreLoading', 'fallback', 'fallbackChanges'
+    ];
+    for (const field of fields) {
+      [this[field], other[field]] = [other[field], this[field]];
+    }
+  }
+
+  async addDocuments(documents, options = {}) {
+    return await this.runWrite(async () => {
+      const result = await this.onBackend(
+        () => this.addChromaDocuments(documents, options),
+        async () => {
+          const added = await this.simpleVectorStore.addDocuments(documents, options);
+          this.recordFallbackChange({ chunkIds: prepareChunks(documents).map(doc => doc.id) });
+          return added;
+        }
+      );
+
+      // Keep the BM25 index in step with the vector store
+      if (this.keywordIndex) this.keywordIndex.addChunks(this.toIndexedChunks(documents));
+      return result;
+    });
+  }
+
+  async addChromaDocuments(documents, options) {
+    // Skip chunks that are already stored or repeated within this batch
+    const prepared = prepareChunks(documents);
+    const existing = await this.collection.get({
+      ids: prepared.map(doc => doc.id),
+      include: []
+    });
+    const existingIds = new Set(existing.ids);
+    const chunks = prepared.filter(doc => !existingIds.has(doc.id));
+    const skipped = documents.length - chunks.length;
+
+    if (chunks.length === 0) {
+      console.log(`Skipped ${skipped} duplicate chunks in ChromaDB vector store`);
+      return { added: 0, skipped };
+    }
+
+    const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(doc => doc.content), options);
+    await this.writeChunks(chunks, embeddings);
+
+    console.log(`Added ${chunks.length} documents to ChromaDB vector store (${skipped} duplicates skipped)`);
+    return { added: chunks.length, skipped };
+  }
+
+  // Swap a document's chunks for new ones; old chunks are only removed once the new embeddings exist
+  async replaceDocumentChunks(documentId, documents, options = {}) {
+    return await this.runWrite(async () => {
+      const result = await this.onBackend(
+        () => this.replaceChromaDocumentChunks(documentId, documents, options),
+        async () => {
+          const replaced = await this.simpleVectorStore.replaceDocumentChunks(documentId, documents, options);
+          this.recordFallbackChange({ documentIds: [documentId], chunkIds: prepareChunks(documents).map(doc => doc.id) });
+          return replaced;
+        }
+      );
+
+      if (this.keywordIndex) {
+        this.keywordIndex.removeChunks(metadata => metadata.document_id === documentId);
+        this.keywordIndex.addChunks(this.toIndexedChunks(documents));
+      }
+      return result;
+    });
+  }
+
+  async replaceChromaDocumentChunks(documentId, documents, options) {
+    const chunks = prepareChunks(documents);
+    const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(doc => doc.content), options);
+    await this.checkChromaEmbeddings(embeddings);
+
+    await this.deleteChromaDocumentChunks(documentId);
+    await this.writeChunks(chunks, embeddings);
+
+    console.log(`Replaced chunks of document ${documentId} with ${chunks.length} documents in ChromaDB vector store`);
+    return { added: chunks.length, skipped: documents.length - chunks.length };
+  }
+
+  async writeChunks(chunks, embeddings) {
+    await this.writeStoredChunks(chunks.map(doc => ({ id: doc.id, content: doc.content, metadata: buildChunkMetadata(doc) })), embeddings);
+  }
+
+  // upsert overwrites chunks that are already stored, add leaves them as they are
+  async writeStoredChunks(chunks, embeddings, method = 'add') {
+    if (chunks.length === 0) return;
+    await this.checkChromaEmbeddings(embeddings);
+
+    await this.collection[method]({
+      ids: chunks.map(chunk => chunk.id),
       embeddings,
-      documents: texts,
-      metadatas
+      documents: chunks.map(chunk => chunk.content),
+      metadatas: chunks.map(chunk => chunk.metadata)
     });
+    this.chromaDimensions = embeddings[0].length;
+  }
+
+  // Write chunks that carry their embedding ({ id, content, metadata, embedding }) to ChromaDB
+  async writeEmbeddedChunks(chunks) {
+    const stored = chunks.map(({ id, content, metadata }) => ({ id, content, metadata }));
+    await this.writeStoredChunks(stored, chunks.map(chunk => chunk.embedding), 'upsert');
+  }
 
-    console.log(`Added ${documents.length} documents to ChromaDB vector store`);
+  // Add chunks copied from another store ({ id, content, metadata }), embedding them with this
+  // store's model. Used by re-indexing, so the keyword index is left alone.
+  async importChunks(chunks, options = {}) {
+    return await this.onBackend(
+      async () => {
+        const embeddings = await this.embeddingService.generateEmbeddings(chunks.map(chunk => chunk.content), options);
+        await this.writeStoredChunks(chunks, embeddings);
+      },
+      async () => {
+        await this.simpleVectorStore.importChunks(chunks, options);
+        this.recordFallbackChange({ chunkIds: chunks.map(chunk => chunk.id) });
+      }
+    );
   }
 
-  async similarity_search(query, k = 5) {
-    if (this.useSimpleStore) {
-      return await simpleVectorStore.similarity_search(query, k);
+  // Add chunks that carry their embedding ({ id, content, metadata, embedding }), replacing stored
+  // chunks with the same ID. Used to copy a collection between backends without embedding it again.
+  async copyStoredChunks(chunks) {
+    if (chunks.length === 0) return;
+    return await this.onBackend(
+      () => this.writeEmbeddedChunks(chunks),
+      async () => {
+        const stored = chunks.map(({ id, content, metadata }) => ({ id, content, metadata }));
+        await this.simpleVectorStore.appendStoredChunks(stored, chunks.map(chunk => chunk.embedding));
+        this.recordFallbackChange({ chunkIds: chunks.map(chunk => chunk.id) });
+      }
+    );
+  }
+
+  async removeChunksById(ids) {
+    if (ids.length === 0) return;
+    return await this.onBackend(
+      async () => {
+        await this.collection.delete({ ids });
+        this.chromaDimensions = null;
+      },
+      async () => {
+        await this.simpleVectorStore.removeChunksById(ids);
+        this.recordFallbackChange({ removedChunkIds: ids });
+      }
+    );
+  }
+
+  // Model ("<provider>:<model>") and dimension of the stored embeddings, null while the store is
+  // empty. ChromaDB collections created before the model was recorded only reveal their dimension.
+  async getEmbeddingInfo() {
+    return await this.onBackend(
+      () => this.getChromaEmbeddingInfo(),
+      async () => this.simpleVectorStore.getEmbeddingInfo()
+    );
+  }
+
+  async getChromaEmbeddingInfo() {
+    if (!this.chromaDimensions) {
+      const sample = await this.collection.get({ limit: 1, include: ['embeddings'] });
+      this.chromaDimensions = sample.ids.length > 0 ? sample.embeddings[0].length : null;
     }
 
-    if (!this.collection) await this.initialize();
+    return {
+      collectionName: this.collectionName,
+      model: this.chromaDimensions ? (this.collection.metadata || {}).embedding_model || null : null,
+      dimensions: this.chromaDimensions
+    };
+  }
+
+  async checkChromaEmbeddings(embeddings) {
+    checkEmbeddings(await this.getChromaEmbeddingInfo(), this.embeddingService.modelId, embeddings);
+  }
+
+  toIndexedChunks(documents) {
+    return prepareChunks(documents).map(doc => ({
+      id: doc.id,
+      content: doc.content,
+      metadata: buildChunkMetadata(doc)
+    }));
+  }
+
+  // filter uses the query filter syntax from utils/metadataFilter
+  async similarity_search(query, k = 5, filter = null) {
+    return await this.onBackend(
+      () => this.chromaSimilaritySearch(query, k, filter),
+      () => this.simpleVectorStore.similarity_search(query, k, filter)
+    );
+  }
+
+  async chromaSimilaritySearch(query, k, filter) {
+    const queryEmbedding = await this.embeddingService.generateEmbedding(query);
+    await this.checkChromaEmbeddings([queryEmbedding]);
 
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
-    
     const results = await this.collection.query({
       queryEmbeddings: [queryEmbedding],
-      nResults: k
+      nResults: k,
+      where: toChromaWhere(filter)
     });
 
     return results.documents[0].map((doc, index) => ({
+      id: results.ids[0][index],
       content: doc,
       metadata: results.metadatas[0][index],
       distance: results.distances[0][index]
     }));
   }
+
+  // Every stored chunk, used to build the keyword index for existing data
+  async getAllChunks() {
+    return await this.onBackend(
+      async () => {
+        const results = await this.collection.get({
+          include: ['documents', 'metadatas']
+        });
+
+        return results.ids.map((id, index) => ({
+          id,
+          content: results.documents[index],
+          metadata: results.metadatas[index]
+        }));
+      },
+      () => this.simpleVectorStore.getAllChunks()
+    );
+  }
+
+  // Chunks with their embeddings, for copying to another backend. Unknown IDs are skipped.
+  async getStoredChunks(ids) {
+    return await this.onBackend(
+      async () => {
+        const chunks = [];
+        for (let first = 0; first < ids.length; first += COPY_BATCH_SIZE) {
+          const results = await this.collection.get({
+            ids: ids.slice(first, first + COPY_BATCH_SIZE),
+            include: ['documents', 'metadatas', 'embeddings']
+          });
+          results.ids.forEach((id, index) => chunks.push({
+            id,
+            content: results.documents[index],
+            metadata: results.metadatas[index],
+            embedding: Array.from(results.embeddings[index])
+          }));
+        }
+        return chunks;
+      },
+      async () => this.simpleVectorStore.getStoredChunks(ids)
+    );
+  }
+
+  async getDocumentChunks(documentId) {
+    return await this.onBackend(
+      async () => {
+        const results = await this.collection.get({
+          where: { document_id: documentId },
+          include: ['documents', 'metadatas']
+        });
+
+        return results.ids
+          .map((id, index) => ({
+            id,
+            content: results.documents[index],
+            metadata: results.metadatas[index]
+          }))
+          .sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index);
+      },
+      () => this.simpleVectorStore.getDocumentChunks(documentId)
+    );
+  }
+
+  async deleteDocumentChunks(documentId) {
+    return await this.runWrite(async () => {
+      const removed = await this.onBackend(
+        () => this.deleteChromaDocumentChunks(documentId),
+        async () => {
+          const count = await this.simpleVectorStore.deleteDocumentChunks(documentId);
+          this.recordFallbackChange({ documentIds: [documentId] });
+          return count;
+        }
+      );
+
+      if (this.keywordIndex) this.keywordIndex.removeChunks(metadata => metadata.document_id === documentId);
+      return removed;
+    });
+  }
+
+  async deleteChromaDocumentChunks(documentId) {
+    const existing = await this.collection.get({
+      where: { document_id: documentId },
+      include: []
+    });
+
+    if (existing.ids.length > 0) {
+      await this.collection.delete({ ids: existing.ids });
+      this.chromaDimensions = null; // The collection may be empty now, which lifts the model check
+    }
+
+    console.log(`Removed ${existing.ids.length} chunks of document ${documentId} from ChromaDB vector store`);
+    return existing.ids.length;
+  }
 }
 
-module.exports = new VectorStore();
+module.exports = VectorStore;
@@ -0,0 +1,260 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DOMParser } = require('@xmldom/xmldom');
+const documentLoader = require('../utils/documentLoader');
+const { htmlToText, extractLinks } = require('../utils/htmlToText');
+const { parseRobotsTxt, isPathAllowed } = require('../utils/robotsTxt');
+const { assertPublicUrl } = require('../utils/networkAddress');
+
+const USER_AGENT = 'SpecialistAgent/1.0';
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const MAX_SITEMAP_DEPTH = 3; // Levels of nested sitemap indexes that are followed
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Fetches web pages for one ingest request. Pages must be on allowedDomains (default: the hosts
+// of the start URL or sitemap, subdomains included), at most maxPages are queued, links are
+// followed up to maxDepth hops from the start pages, and robots.txt is respected.
+// Queue entries are { url, depth }; URLs blocked by robots.txt are collected in skipped.
+// Hosts that resolve to loopback, private or link-local addresses are refused, before every
+// request and redirect, unless allowPrivateNetworks (WEB_INGEST_ALLOW_PRIVATE_NETWORKS) is set.
+class WebCrawler {
+  constructor({
+    maxDepth = 0,
+    maxPages = 100,
+    allowedDomains = [],
+    timeoutMs = 15000,
+    maxBytes = 10 * 1024 * 1024,
+    allowPrivateNetworks = process.env.WEB_INGEST_ALLOW_PRIVATE_NETWORKS === 'true'
+  } = {}) {
+    this.maxDepth = maxDepth;
+    this.maxPages = maxPages;
+    this.allowedDomains = allowedDomains.map(domain => domain.toLowerCase());
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+    this.allowPrivateNetworks = allowPrivateNetworks;
+    this.seen = new Set(); // Every URL considered so far
+    this.queued = 0;
+    this.skipped = [];
+    this.robotsRules = new Map(); // Promise of the robots.txt rules by origin
+  }
+
+  // Throws URL_NOT_ALLOWED for start URLs on non-public addresses
+  async addStartUrls(urls) {
+    for (const url of urls) {
+      await this.checkAddress(url);
+    }
+    this.allowHosts(urls);
+    return await this.enqueue(urls, 0);
+  }
+
+  // Queue the pages listed in a sitemap or sitemap index
+  async addSitemap(sitemapUrl) {
+    this.allowHosts([sitemapUrl]);
+    return await this.enqueue(await this.readSitemap(sitemapUrl, 0), 0);
+  }
+
+  allowHosts(urls) {
+    if (this.allowedDomains.length > 0) return;
+    this.allowedDomains = urls.map(url => new URL(url).hostname.toLowerCase());
+  }
+
+  isAllowedDomain(hostname) {
+    const host = hostname.toLowerCase();
+    return this.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  async readSitemap(sitemapUrl, depth) {
+    const response = await this.fetch(sitemapUrl);
+    const xml = new DOMParser().parseFromString((await this.readBody(response)).toString('utf-8'), 'text/xml');
+    const locations = Array.from(xml.getElementsByTagName('loc'))
+      .map(loc => ({ parent: loc.parentNode.localName, url: loc.textContent.trim() }));
+
+    const pages = locations.filter(loc => loc.parent === 'url').map(loc => loc.url);
+    if (depth >= MAX_SITEMAP_DEPTH) return pages;
+
+    for (const { parent, url } of locations) {
+      if (parent !== 'sitemap' || !this.isAllowedDomain(new URL(url).hostname)) continue;
+      try {
+        pages.push(...await this.readSitemap(url, depth + 1));
+      } catch (error) {
+        this.skipped.push({ url, reason: `sitemap could not be read: ${error.message}` });
+      }
+    }
+
+    return pages;
+  }
+
+  // Queue entries for the URLs that were not seen before, are on an allowed domain and allowed by robots.txt
+  async enqueue(urls, depth) {
+    const entries = [];
+
+    for (const rawUrl of urls) {
+      let url;
+      try {
+        url = new URL(rawUrl);
+      } catch {
+        continue;
+      }
+      url.hash = '';
+
+      if (this.seen.has(url.href) || !this.isAllowedDomain(url.hostname)) continue;
+      if (this.queued >= this.maxPages) break;
+      this.seen.add(url.href);
+
+      if (!await this.isAllowedByRobots(url)) {
+        this.skipped.push({ url: url.href, reason: 'disallowed by robots.txt' });
+        continue;
+      }
+
+      this.queued++;
+      entries.push({ url: url.href, depth });
+    }
+
+    return entries;
+  }
+
+  // Fetch a queued page and turn it into a document with the URL as its source. Also returns
+  // the queue entries for the page's links while below maxDepth.
+  async loadPage({ url, depth }) {
+    const response = await this.fetch(url);
+    const finalUrl = new URL(response.url || url);
+    if (!this.isAllowedDomain(finalUrl.hostname)) {
+      throw new Error(`Redirected outside the allowed domains to ${finalUrl.href}`);
+    }
+
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const body = await this.readBody(response);
+
+    if (!HTML_TYPES.includes(mimeType)) {
+      return { document: await this.loadFile(url, body, mimeType), discovered: [] };
+    }
+
+    const html = body.toString('utf-8');
+    const { text, title } = htmlToText(html);
+    const discovered = depth < this.maxDepth
+      ? await this.enqueue(extractLinks(html, finalUrl.href), depth + 1)
+      : [];
+
+    return {
+      document: { content: text, source: url, title: title || this.getUrlTitle(url), type: 'html' },
+      discovered
+    };
+  }
+
+  // Non-HTML responses (PDF, Markdown, CSV, ...) go through the document loaders via a temporary file
+  async loadFile(url, body, mimeType) {
+    const extension = path.extname(new URL(url).pathname).toLowerCase();
+    if (!documentLoader.isSupported(`download${extension}`, mimeType)) {
+      throw new Error(`Unsupported content type: ${mimeType || extension || 'unknown'}`);
+    }
+
+    const tempPath = path.join(os.tmpdir(), `web-${uuidv4()}${extension}`);
+    await fs.writeFile(tempPath, body);
+    try {
+      const document = await documentLoader.loadDocument(tempPath, { mimeType });
+      return { ...document, source: url, title: this.getUrlTitle(url) };
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  // Last path segment without its extension, or the host name for the site root
+  getUrlTitle(url) {
+    const { hostname, pathname } = new URL(url);
+    const name = path.posix.basename(decodeURIComponent(pathname));
+    return name ? path.posix.parse(name).name : hostname;
+  }
+
+  async checkAddress(url) {
+    if (!this.allowPrivateNetworks) await assertPublicUrl(url);
+  }
+
+  async fetch(url) {
+    const response = await this.request(url);
+    if (!response.ok) {
+      await this.discardBody(response);
+      throw new Error(`HTTP ${response.status} fetching ${url}`);
+    }
+    return response;
+  }
+
+  // GET a URL, following redirects here rather than in fetch() so the address of every hop is checked
+  async request(url) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      await this.checkAddress(current);
+      const response = await fetch(current, {
+        headers: { 'User-Agent': USER_AGENT },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) return response;
+
+      await this.discardBody(response);
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects fetching ${url}`);
+      }
+      current = new URL(location, current).href;
+    }
+  }
+
+  async discardBody(response) {
+    if (response.body) await response.body.cancel();
+  }
+
+  // Read the body in pieces and abort the download as soon as it exceeds maxBytes, which also
+  // covers chunked responses without a Content-Length
+  async readBody(response) {
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > this.maxBytes) {
+      await this.discardBody(response);
+      throw new Error(`Response larger than ${this.maxBytes} bytes`);
+    }
+    if (!response.body) return Buffer.alloc(0);
+
+    const reader = response.body.getReader();
+    const pieces = [];
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      length += value.length;
+      if (length > this.maxBytes) {
+        await reader.cancel();
+        throw new Error(`Response larger than ${this.maxBytes} bytes`);
+      }
+      pieces.push(value);
+    }
+    return Buffer.concat(pieces, length);
+  }
+
+  async isAllowedByRobots(url) {
+    if (!this.robotsRules.has(url.origin)) {
+      this.robotsRules.set(url.origin, this.fetchRobotsRules(url.origin));
+    }
+    return isPathAllowed(await this.robotsRules.get(url.origin), url.pathname + url.search);
+  }
+
+  // No robots.txt allows everything; a server error disallows everything until the next crawl
+  async fetchRobotsRules(origin) {
+    try {
+      const response = await this.request(`${origin}/robots.txt`);
+      if (!response.ok) {
+        await this.discardBody(response);
+        return response.status >= 500 ? [{ allow: false, path: '/' }] : [];
+      }
+      return parseRobotsTxt((await this.readBody(response)).toString('utf-8'), USER_AGENT);
+    } catch (error) {
+      console.warn(`Could not fetch robots.txt for ${origin}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = WebCrawler;
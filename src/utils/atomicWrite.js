@@ -0,0 +1,26 @@
+const fs = require('fs').promises;
+
+// Write a file through a temporary file renamed into place, so a crash mid-write leaves either
+// the old or the new content, never a truncated file. options (e.g. mode) go to fs.writeFile.
+async function writeFileAtomic(filePath, data, options) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data, options);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Move an unreadable file aside, so it can be inspected instead of being overwritten
+async function keepCorruptFile(filePath) {
+  const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+  await fs.rename(filePath, corruptPath);
+  return corruptPath;
+}
+
+module.exports = {
+  writeFileAtomic,
+  keepCorruptFile
+};
@@ -0,0 +1,117 @@
+// Metadata stored with every chunk, shared by all vector store backends and the keyword index.
+// Values must be strings, numbers or booleans so they can be stored in ChromaDB, which is why
+// tags are kept both as a comma-separated list and as one "tag:<name>" flag per tag.
+
+const TAG_PREFIX = 'tag:';
+const RESERVED_KEYS = [
+  'source', 'title', 'type', 'pages', 'tags',
+  'chunk_index', 'document_id', 'content_hash', 'document_hash',
+  'start_offset', 'end_offset', 'page_start', 'page_end', 'heading_path', 'table_header'
+];
+
+function getTagKey(tag) {
+  return `${TAG_PREFIX}${tag}`;
+}
+
+// Accepts an array or a comma-separated string; returns trimmed, lowercased, unique tags
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const normalized = list.map(tag => {
+    if (typeof tag !== 'string') {
+      throw new Error('Tags must be strings');
+    }
+    return tag.trim().toLowerCase();
+  }).filter(tag => tag.length > 0);
+
+  for (const tag of normalized) {
+    if (tag.includes(',')) {
+      throw new Error(`Invalid tag "${tag}": tags cannot contain commas`);
+    }
+  }
+
+  return Array.from(new Set(normalized));
+}
+
+// Validate user-supplied metadata: a flat object of scalar values that does not override system fields
+function normalizeUserMetadata(metadata) {
+  if (metadata === undefined || metadata === null) return {};
+
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('Metadata must be an object of key/value pairs');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (RESERVED_KEYS.includes(key) || key.startsWith(TAG_PREFIX)) {
+      throw new Error(`Metadata key "${key}" is reserved`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Metadata value for "${key}" must be a string, number or boolean`);
+    }
+    normalized[key] = value;
+  }
+
+  return normalized;
+}
+
+function buildChunkMetadata(doc) {
+  const tags = doc.tags || [];
+  const metadata = {
+    ...(doc.metadata || {}),
+    source: doc.source || 'unknown',
+    title: doc.title || 'untitled',
+    type: doc.type || 'unknown',
+    chunk_index: doc.chunkIndex || 0,
+    document_id: doc.documentId || '',
+    content_hash: doc.contentHash,
+    document_hash: doc.documentHash || '',
+    tags: tags.join(',')
+  };
+
+  if (typeof doc.pages === 'number') {
+    metadata.pages = doc.pages;
+  }
+
+  // Where the chunk sits in the document text, for citations
+  if (typeof doc.startOffset === 'number') {
+    metadata.start_offset = doc.startOffset;
+    metadata.end_offset = doc.endOffset;
+  }
+  if (typeof doc.pageStart === 'number') {
+    metadata.page_start = doc.pageStart;
+    metadata.page_end = doc.pageEnd;
+  }
+  if (doc.headingPath) {
+    metadata.heading_path = doc.headingPath;
+  }
+  // Header rows repeated at the top of spreadsheet chunks, which offsets do not cover
+  if (doc.tableHeader) {
+    metadata.table_header = doc.tableHeader;
+  }
+
+  for (const tag of tags) {
+    metadata[getTagKey(tag)] = true;
+  }
+
+  return metadata;
+}
+
+// Metadata compared independently of key order, which ChromaDB does not preserve
+function canonicalMetadata(metadata) {
+  return JSON.stringify(Object.keys(metadata || {}).sort().map(key => [key, metadata[key]]));
+}
+
+// Whether copy holds the same content and metadata as chunk; copy may be missing
+function isSameChunk(chunk, copy) {
+  return Boolean(copy) && chunk.content === copy.content && canonicalMetadata(chunk.metadata) === canonicalMetadata(copy.metadata);
+}
+
+module.exports = {
+  buildChunkMetadata,
+  isSameChunk,
+  normalizeTags,
+  normalizeUserMetadata,
+  getTagKey
+};
@@ -0,0 +1,38 @@
+// Inline citation markers like [1] or [2, 3] refer to the numbered passages in the prompt's document context.
+// Code is matched as well so that it can be skipped: fenced blocks (to the end of the answer if
+// unclosed) and inline spans. Brackets directly after a name, like items[0], are indexes, not markers.
+const CITATION_PATTERN = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)|\s?(?<![\p{L}\p{N}_])\[(\d+(?:\s*,\s*\d+)*)\]/gu;
+
+// Check the markers in an answer against the number of passages it was given.
+// Markers that point to non-existent passages are removed; returns the cleaned answer,
+// the passage numbers that were cited and the invalid numbers that were dropped.
+function resolveCitations(answer, passageCount) {
+  const cited = new Set();
+  const invalid = new Set();
+
+  const cleaned = answer.replace(CITATION_PATTERN, (marker, code, list) => {
+    if (code) return marker;
+
+    const numbers = list.split(',').map(number => parseInt(number.trim(), 10));
+    const valid = numbers.filter(number => number >= 1 && number <= passageCount);
+
+    numbers.filter(number => !valid.includes(number)).forEach(number => invalid.add(number));
+    valid.forEach(number => cited.add(number));
+
+    if (valid.length === numbers.length) return marker;
+    if (valid.length === 0) return '';
+
+    const leadingSpace = marker.startsWith('[') ? '' : marker[0];
+    return `${leadingSpace}[${valid.join(', ')}]`;
+  });
+
+  return {
+    answer: cleaned,
+    cited: Array.from(cited).sort((a, b) => a - b),
+    invalid: Array.from(invalid).sort((a, b) => a - b)
+  };
+}
+
+module.exports = {
+  resolveCitations
+};
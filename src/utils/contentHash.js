@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// SHA-256 of the text, used to detect unchanged documents and duplicate chunks
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+}
+
+// Deterministic chunk ID so the same chunk of the same document is never stored twice
+function getChunkId(documentId, contentHash) {
+  return hashContent(`${documentId || ''}:${contentHash}`).substring(0, 32);
+}
+
+// Attach content hashes and chunk IDs, dropping chunks repeated within the batch
+function prepareChunks(documents) {
+  const seen = new Set();
+  const chunks = [];
+
+  for (const doc of documents) {
+    const contentHash = doc.contentHash || hashContent(doc.content);
+    const id = getChunkId(doc.documentId, contentHash);
+
+    if (seen.has(id)) continue;
+    seen.add(id);
+    chunks.push({ ...doc, contentHash, id });
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  hashContent,
+  getChunkId,
+  prepareChunks
+};
@@ -2,25 +2,70 @@ const fs = require('fs').promises;
 const path = require('path');
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const picomatch = require('picomatch');
+const { htmlToText } = require('./htmlToText');
+const { parseCsv, renderTables } = require('./tableText');
+const { readPptxSlides, readXlsxSheets } = require('./officeDocuments');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // Same limit as uploads
+
+// Patterns without a "/" match file and folder names at any depth, like .gitignore entries
+function toGlob(pattern) {
+  return pattern.includes('/') ? pattern.replace(/^\.?\//, '') : `**/${pattern}`;
+}
 
 class DocumentLoader {
-  async loadDocument(filePath) {
-    const extension = path.extname(filePath).toLowerCase();
+  constructor() {
+    // Loaders by file extension, and by MIME type for files whose extension is missing or unknown
+    this.loadersByExtension = new Map();
+    this.loadersByMimeType = new Map();
+
+    this.registerLoader(['.txt'], ['text/plain'], this.loadTextFile);
+    this.registerLoader(['.md', '.markdown'], ['text/markdown', 'text/x-markdown'], this.loadMarkdownFile);
+    this.registerLoader(['.pdf'], ['application/pdf'], this.loadPdfFile);
+    this.registerLoader(['.docx'], ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], this.loadDocxFile);
+    this.registerLoader(['.html', '.htm'], ['text/html', 'application/xhtml+xml'], this.loadHtmlFile);
+    this.registerLoader(['.csv'], ['text/csv'], this.loadCsvFile);
+    this.registerLoader(['.json'], ['application/json'], this.loadJsonFile);
+    this.registerLoader(['.pptx'], ['application/vnd.openxmlformats-officedocument.presentationml.presentation'], this.loadPptxFile);
+    this.registerLoader(['.xlsx'], ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'], this.loadXlsxFile);
+  }
+
+  // load(filePath, fileName) resolves to { content, source, title, type, ... }
+  registerLoader(extensions, mimeTypes, load) {
+    const loader = load.bind(this);
+    extensions.forEach(extension => this.loadersByExtension.set(extension.toLowerCase(), loader));
+    mimeTypes.forEach(mimeType => this.loadersByMimeType.set(mimeType.toLowerCase(), loader));
+  }
+
+  getLoader(fileName, mimeType = null) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (this.loadersByExtension.has(extension)) {
+      return this.loadersByExtension.get(extension);
+    }
+
+    // Ignore parameters such as "; charset=utf-8"
+    const type = mimeType ? mimeType.split(';')[0].trim().toLowerCase() : null;
+    return this.loadersByMimeType.get(type) || null;
+  }
+
+  isSupported(fileName, mimeType = null) {
+    return this.getLoader(fileName, mimeType) !== null;
+  }
+
+  getSupportedExtensions() {
+    return Array.from(this.loadersByExtension.keys());
+  }
+
+  async loadDocument(filePath, { mimeType = null } = {}) {
     const fileName = path.basename(filePath);
+    const loader = this.getLoader(fileName, mimeType);
 
     try {
-      switch (extension) {
-        case '.txt':
-          return await this.loadTextFile(filePath, fileName);
-        case '.pdf':
-          return await this.loadPdfFile(filePath, fileName);
-        case '.docx':
-          return await this.loadDocxFile(filePath, fileName);
-        case '.md':
-          return await this.loadMarkdownFile(filePath, fileName);
-        default:
-          throw new Error(`Unsupported file type: ${extension}`);
+      if (!loader) {
+        throw new Error(`Unsupported file type: ${path.extname(filePath).toLowerCase() || mimeType || 'unknown'}`);
       }
+      return await loader(filePath, fileName);
     } catch (error) {
       console.error(`Error loading document ${fileName}:`, error);
       throw error;
@@ -39,16 +84,60 @@ class DocumentLoader {
 
   async loadPdfFile(filePath, fileName) {
     const buffer = await fs.readFile(filePath);
-    const data = await pdf(buffer);
+    const pageTexts = [];
+    const data = await pdf(buffer, {
+      pagerender: async (pageData) => {
+        const text = await this.renderPdfPage(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+
     return {
       content: data.text,
       source: fileName,
       title: fileName.replace('.pdf', ''),
       type: 'pdf',
-      pages: data.numpages
+      pages: data.numpages,
+      pageStarts: this.getPageStarts(pageTexts, data.numrender)
     };
   }
 
+  // Same text extraction as pdf-parse's default renderer: items on one line are joined, new lines start on a new y
+  async renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  // Character offset where each page starts in the text pdf-parse builds, which prefixes every page with "\n\n".
+  // Pages that failed to render contribute empty text.
+  getPageStarts(pageTexts, pageCount) {
+    const pageStarts = [];
+    let offset = 0;
+
+    for (let i = 0; i < pageCount; i++) {
+      offset += 2;
+      pageStarts.push(offset);
+      offset += (pageTexts[i] || '').length;
+    }
+
+    return pageStarts;
+  }
+
   async loadDocxFile(filePath, fileName) {
     const buffer = await fs.readFile(filePath);
     const result = await mammoth.extractRawText({ buffer });
@@ -70,25 +159,170 @@ class DocumentLoader {
     };
   }
 
-  async loadDocumentsFromDirectory(directoryPath) {
-    const documents = [];
-    const files = await fs.readdir(directoryPath);
+  async loadHtmlFile(filePath, fileName) {
+    const html = await fs.readFile(filePath, 'utf-8');
+    const { text, title } = htmlToText(html);
+    return {
+      content: text,
+      source: fileName,
+      title: title || path.parse(fileName).name,
+      type: 'html'
+    };
+  }
+
+  async loadCsvFile(filePath, fileName) {
+    const rows = parseCsv(await fs.readFile(filePath, 'utf-8'));
+    const { content, tables } = renderTables([{ title: null, rows }]);
+    return {
+      content,
+      source: fileName,
+      title: path.parse(fileName).name,
+      type: 'csv',
+      tables
+    };
+  }
+
+  // JSON is flattened to one "path: value" line per scalar, e.g. "items[0].price: 12"
+  async loadJsonFile(filePath, fileName) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return {
+      content: this.flattenJson(data).join('\n'),
+      source: fileName,
+      title: path.parse(fileName).name,
+      type: 'json'
+    };
+  }
+
+  flattenJson(value, prefix = '') {
+    if (value === null || typeof value !== 'object') {
+      return [prefix ? `${prefix}: ${value}` : String(value)];
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [`${prefix}[${index}]`, item])
+      : Object.entries(value).map(([key, item]) => [prefix ? `${prefix}.${key}` : key, item]);
+
+    return entries.flatMap(([key, item]) => this.flattenJson(item, key));
+  }
+
+  // One block per slide, starting with "Slide n: title"; slides are tracked like PDF pages
+  async loadPptxFile(filePath, fileName) {
+    const slides = await readPptxSlides(await fs.readFile(filePath));
+    let content = '';
+    const pageStarts = [];
 
-    for (const file of files) {
-      const filePath = path.join(directoryPath, file);
-      const stat = await fs.stat(filePath);
+    slides.forEach((slide, index) => {
+      const heading = slide.title ? `Slide ${index + 1}: ${slide.title}` : `Slide ${index + 1}`;
+      const notes = slide.notes.length > 0 ? [`Notes: ${slide.notes.join(' ')}`] : [];
 
-      if (stat.isFile()) {
+      if (content) content += '\n\n';
+      pageStarts.push(content.length);
+      content += [heading, ...slide.paragraphs, ...notes].join('\n');
+    });
+
+    return {
+      content,
+      source: fileName,
+      title: path.parse(fileName).name,
+      type: 'pptx',
+      pages: slides.length,
+      pageStarts
+    };
+  }
+
+  // Each sheet becomes a table headed by its name and first non-empty row
+  async loadXlsxFile(filePath, fileName) {
+    const sheets = await readXlsxSheets(await fs.readFile(filePath));
+    const { content, tables } = renderTables(sheets.map(sheet => ({ title: `Sheet: ${sheet.name}`, rows: sheet.rows })));
+    return {
+      content,
+      source: fileName,
+      title: path.parse(fileName).name,
+      type: 'xlsx',
+      tables
+    };
+  }
+
+  // Find the files to ingest under a directory, in path order. include and exclude are glob patterns
+  // matched against "/"-separated paths relative to the directory; excluded folders are not entered.
+  // Hidden files and folders are ignored unless includeHidden is set, and symlinks are reported as
+  // skipped unless followSymlinks is set. Returns { files, skipped }, with files as
+  // { path, relativePath, size, mtimeMs } and skipped as { path: relativePath, reason }.
+  async scanDirectory(directoryPath, {
+    recursive = true,
+    include = [],
+    exclude = [],
+    includeHidden = false,
+    followSymlinks = false,
+    maxFileSize = DEFAULT_MAX_FILE_SIZE
+  } = {}) {
+    const isIncluded = include.length > 0 ? picomatch(include.map(toGlob), { dot: true }) : () => true;
+    const isExcluded = exclude.length > 0 ? picomatch(exclude.map(toGlob), { dot: true }) : () => false;
+    const files = [];
+    const skipped = [];
+
+    // ancestors holds the real paths of the folders above, so symlink loops end
+    const walk = async (directory, relativeDirectory, ancestors) => {
+      const realPath = await fs.realpath(directory);
+      if (ancestors.has(realPath)) return;
+      const parents = new Set(ancestors).add(realPath);
+
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const filePath = path.join(directory, entry.name);
+        const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+
+        if (!includeHidden && entry.name.startsWith('.')) continue;
+        if (isExcluded(relativePath)) continue;
+
+        if (entry.isSymbolicLink() && !followSymlinks) {
+          skipped.push({ path: relativePath, reason: 'symlink' });
+          continue;
+        }
+
+        let stat;
         try {
-          const document = await this.loadDocument(filePath);
-          documents.push(document);
+          stat = await fs.stat(filePath);
         } catch (error) {
-          console.warn(`Skipping file ${file}: ${error.message}`);
+          skipped.push({ path: relativePath, reason: `unreadable: ${error.code || error.message}` });
+          continue;
+        }
+
+        if (stat.isDirectory()) {
+          if (recursive) await walk(filePath, relativePath, parents);
+          continue;
+        }
+        if (!stat.isFile() || !isIncluded(relativePath)) continue;
+
+        if (!this.isSupported(entry.name)) {
+          skipped.push({ path: relativePath, reason: 'unsupported file type' });
+        } else if (stat.size > maxFileSize) {
+          skipped.push({ path: relativePath, reason: `larger than ${maxFileSize} bytes` });
+        } else {
+          files.push({ path: filePath, relativePath, size: stat.size, mtimeMs: stat.mtimeMs });
         }
       }
-    }
+    };
+
+    await walk(directoryPath, '', new Set());
+    return { files, skipped };
+  }
 
-    return documents;
+  // Load a file found by scanDirectory. The source is its path relative to the directory, so files
+  // with the same name in different folders stay separate documents; the registry tells directories
+  // apart by file.directory. The file's size and modification time are kept for incremental ingestion.
+  async loadDirectoryFile(directoryPath, file) {
+    const document = await this.loadDocument(file.path);
+    document.source = file.relativePath;
+    document.file = {
+      directory: path.resolve(directoryPath),
+      path: file.relativePath,
+      size: file.size,
+      mtimeMs: file.mtimeMs
+    };
+    return document;
   }
 }
 
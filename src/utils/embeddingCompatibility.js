@@ -0,0 +1,32 @@
+// Vectors of different embedding models cannot be compared: cosine similarity between them is
+// meaningless, or undefined when their dimensions differ. Vector stores record the model
+// ("<provider>:<model>") and dimension of their embeddings and refuse anything else.
+
+const mismatchError = (message) => {
+  const error = new Error(message);
+  error.code = 'EMBEDDING_MISMATCH';
+  return error;
+};
+
+// Throw EMBEDDING_MISMATCH unless the embeddings come from the store's model and have its
+// dimension. A store that has not recorded its model or dimension yet accepts any.
+function checkEmbeddings({ collectionName, model, dimensions }, embeddingModel, embeddings) {
+  const reindexHint = `Re-index the collection (POST /api/collections/${collectionName}/reindex) to use another model.`;
+
+  if (model && model !== embeddingModel) {
+    throw mismatchError(
+      `Collection ${collectionName} holds embeddings from ${model}, but is configured for ${embeddingModel}. ${reindexHint}`
+    );
+  }
+
+  const wrongSize = dimensions ? embeddings.find(embedding => embedding.length !== dimensions) : null;
+  if (wrongSize) {
+    throw mismatchError(
+      `Collection ${collectionName} holds ${dimensions}-dimension embeddings, but ${embeddingModel} produced ${wrongSize.length} dimensions. ${reindexHint}`
+    );
+  }
+}
+
+module.exports = {
+  checkEmbeddings
+};
@@ -0,0 +1,392 @@
+// Hierarchical navigable small world graph (Malkov & Yashunin, 2016) for approximate
+// nearest-neighbour search. Nodes are the slot numbers of the owning store, which keeps the
+// vectors in one Float32Array; vectors are normalized, so cosine similarity is their dot product.
+
+// Unrolled by four, which V8 runs noticeably faster; this is where searches spend their time
+function dotProduct(a, aOffset, b, bOffset, length) {
+  let sum0 = 0;
+  let sum1 = 0;
+  let sum2 = 0;
+  let sum3 = 0;
+  let i = 0;
+  for (; i + 3 < length; i += 4) {
+    sum0 += a[aOffset + i] * b[bOffset + i];
+    sum1 += a[aOffset + i + 1] * b[bOffset + i + 1];
+    sum2 += a[aOffset + i + 2] * b[bOffset + i + 2];
+    sum3 += a[aOffset + i + 3] * b[bOffset + i + 3];
+  }
+  for (; i < length; i++) {
+    sum0 += a[aOffset + i] * b[bOffset + i];
+  }
+  return sum0 + sum1 + sum2 + sum3;
+}
+
+// Scale to unit length in place; zero vectors are left as they are
+function normalize(vector) {
+  const norm = Math.sqrt(dotProduct(vector, 0, vector, 0, vector.length));
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+// Binary heap of (slot, similarity) pairs with the lowest similarity on top, or the highest
+// when highestFirst is set
+class SimilarityHeap {
+  constructor(highestFirst = false) {
+    this.sign = highestFirst ? -1 : 1;
+    this.slots = [];
+    this.keys = []; // sign * similarity; the smallest key is on top
+  }
+
+  get size() {
+    return this.slots.length;
+  }
+
+  peekSimilarity() {
+    return this.sign * this.keys[0];
+  }
+
+  push(slot, similarity) {
+    const key = this.sign * similarity;
+    let i = this.slots.length;
+    this.slots.push(slot);
+    this.keys.push(key);
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] <= key) break;
+      this.slots[i] = this.slots[parent];
+      this.keys[i] = this.keys[parent];
+      i = parent;
+    }
+    this.slots[i] = slot;
+    this.keys[i] = key;
+  }
+
+  pop() {
+    const top = { slot: this.slots[0], similarity: this.sign * this.keys[0] };
+    const lastSlot = this.slots.pop();
+    const lastKey = this.keys.pop();
+    const size = this.slots.length;
+    if (size === 0) return top;
+
+    let i = 0;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= size) break;
+      if (child + 1 < size && this.keys[child + 1] < this.keys[child]) child++;
+      if (this.keys[child] >= lastKey) break;
+      this.slots[i] = this.slots[child];
+      this.keys[i] = this.keys[child];
+      i = child;
+    }
+    this.slots[i] = lastSlot;
+    this.keys[i] = lastKey;
+    return top;
+  }
+
+  // Pairs sorted by similarity, highest first
+  toSortedArray() {
+    return this.slots
+      .map((slot, index) => ({ slot, similarity: this.sign * this.keys[index] }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+}
+
+class HnswIndex {
+  constructor({ dimensions, getVectors, m = 16, efConstruction = 100 }) {
+    this.dimensions = dimensions;
+    this.getVectors = getVectors; // Returns the Float32Array holding the vectors of all slots
+    this.m = m; // Links per node and layer; twice as many on layer 0
+    this.efConstruction = efConstruction; // Candidates considered when linking a new node
+    this.levelFactor = 1 / Math.log(m);
+    this.levels = []; // Top layer of each node, undefined for slots that are not in the graph
+    this.links = []; // links[slot][layer] = neighbouring slots
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.visitMarks = new Uint32Array(0); // Avoids a Set per search
+    this.visitTag = 0;
+  }
+
+  similarity(query, slot, vectors) {
+    return dotProduct(query, 0, vectors, slot * this.dimensions, this.dimensions);
+  }
+
+  vectorAt(slot, vectors) {
+    return vectors.subarray(slot * this.dimensions, (slot + 1) * this.dimensions);
+  }
+
+  maxLinks(layer) {
+    return layer === 0 ? 2 * this.m : this.m;
+  }
+
+  add(slot) {
+    const vectors = this.getVectors();
+    const vector = this.vectorAt(slot, vectors);
+    const level = Math.floor(-Math.log(1 - Math.random()) * this.levelFactor);
+
+    this.levels[slot] = level;
+    this.links[slot] = Array.from({ length: level + 1 }, () => []);
+    this.ensureVisitMarks(slot + 1);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = { slot: this.entryPoint, similarity: this.similarity(vector, this.entryPoint, vectors) };
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedySearch(vector, entry, layer, vectors);
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(vector, entries, this.efConstruction, layer, null, vectors).toSortedArray();
+      const neighbours = this.selectNeighbours(candidates, this.m, vectors);
+
+      this.links[slot][layer] = neighbours;
+      for (const neighbour of neighbours) {
+        this.connect(neighbour, slot, layer, vectors);
+      }
+      entries = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+    }
+  }
+
+  // The k nodes most similar to a normalized query, best first, among those accepted by
+  // accept(slot). Rejected nodes are still traversed, so deleted and filtered-out nodes keep the
+  // graph connected; a larger ef finds accepted nodes when few of them qualify.
+  search(query, k, ef, accept = null) {
+    if (this.entryPoint === -1) return [];
+
+    const vectors = this.getVectors();
+    let entry = { slot: this.entryPoint, similarity: this.similarity(query, this.entryPoint, vectors) };
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedySearch(query, entry, layer, vectors);
+    }
+
+    return this.searchLayer(query, [entry], Math.max(ef, k), 0, accept, vectors).toSortedArray().slice(0, k);
+  }
+
+  greedySearch(query, entry, layer, vectors) {
+    let current = entry;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const slot of this.links[current.slot][layer]) {
+        const similarity = this.similarity(query, slot, vectors);
+        if (similarity > current.similarity) {
+          current = { slot, similarity };
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Best-first search of one layer, returning a heap of up to ef accepted nodes
+  searchLayer(query, entries, ef, layer, accept, vectors) {
+    const tag = this.nextVisitTag();
+    const candidates = new SimilarityHeap(true);
+    const results = new SimilarityHeap();
+
+    for (const { slot, similarity } of entries) {
+      if (this.visitMarks[slot] === tag) continue;
+      this.visitMarks[slot] = tag;
+      candidates.push(slot, similarity);
+      if (!accept || accept(slot)) {
+        results.push(slot, similarity);
+        if (results.size > ef) results.pop();
+      }
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.similarity < results.peekSimilarity()) break;
+
+      for (const slot of this.links[current.slot][layer]) {
+        if (this.visitMarks[slot] === tag) continue;
+        this.visitMarks[slot] = tag;
+
+        const similarity = this.similarity(query, slot, vectors);
+        if (results.size < ef || similarity > results.peekSimilarity()) {
+          candidates.push(slot, similarity);
+          if (!accept || accept(slot)) {
+            results.push(slot, similarity);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Neighbour selection heuristic from the HNSW paper: skip candidates that are closer to an
+  // already selected neighbour than to the node itself, so links spread across clusters.
+  // candidates must be sorted by similarity to the node, highest first.
+  selectNeighbours(candidates, count, vectors) {
+    const selected = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const vector = this.vectorAt(candidate.slot, vectors);
+      let diverse = true;
+      for (const slot of selected) {
+        if (this.similarity(vector, slot, vectors) > candidate.similarity) {
+          diverse = false;
+          break;
+        }
+      }
+      if (diverse) selected.push(candidate.slot);
+    }
+
+    return selected;
+  }
+
+  // Link from -> to, pruning from's links when it has too many
+  connect(from, to, layer, vectors) {
+    const links = this.links[from][layer];
+    links.push(to);
+    if (links.length <= this.maxLinks(layer)) return;
+
+    const base = this.vectorAt(from, vectors);
+    const candidates = links
+      .map(slot => ({ slot, similarity: this.similarity(base, slot, vectors) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    this.links[from][layer] = this.selectNeighbours(candidates, this.maxLinks(layer), vectors);
+  }
+
+  // Renumber slots after the owner dropped deleted ones: mapping[oldSlot] is the new slot, or -1
+  // for dropped slots. Must be called while getVectors() still returns the old layout. Links to
+  // dropped nodes are replaced by the best of those nodes' own neighbours.
+  remap(mapping) {
+    const vectors = this.getVectors();
+    const levels = [];
+    const links = [];
+
+    this.levels.forEach((level, slot) => {
+      if (mapping[slot] === -1) return;
+      levels[mapping[slot]] = level;
+      links[mapping[slot]] = this.links[slot].map((neighbours, layer) => this.repairLinks(slot, neighbours, layer, mapping, vectors));
+    });
+
+    let entryPoint = this.entryPoint === -1 ? -1 : mapping[this.entryPoint];
+    if (entryPoint === -1) {
+      levels.forEach((level, slot) => {
+        if (entryPoint === -1 || level > levels[entryPoint]) entryPoint = slot;
+      });
+    }
+
+    this.levels = levels;
+    this.links = links;
+    this.entryPoint = entryPoint;
+    this.maxLevel = entryPoint === -1 ? -1 : levels[entryPoint];
+  }
+
+  repairLinks(slot, neighbours, layer, mapping, vectors) {
+    if (neighbours.every(neighbour => mapping[neighbour] !== -1)) {
+      return neighbours.map(neighbour => mapping[neighbour]);
+    }
+
+    const candidates = new Set();
+    for (const neighbour of neighbours) {
+      if (mapping[neighbour] !== -1) {
+        candidates.add(neighbour);
+        continue;
+      }
+      for (const next of this.links[neighbour][layer]) {
+        if (next !== slot && mapping[next] !== -1) candidates.add(next);
+      }
+    }
+
+    const base = this.vectorAt(slot, vectors);
+    const sorted = Array.from(candidates)
+      .map(candidate => ({ slot: candidate, similarity: this.similarity(base, candidate, vectors) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    return this.selectNeighbours(sorted, this.maxLinks(layer), vectors).map(neighbour => mapping[neighbour]);
+  }
+
+  ensureVisitMarks(slotCount) {
+    if (slotCount <= this.visitMarks.length) return;
+    const marks = new Uint32Array(Math.max(slotCount, 2 * this.visitMarks.length));
+    marks.set(this.visitMarks);
+    this.visitMarks = marks;
+  }
+
+  nextVisitTag() {
+    this.visitTag++;
+    if (this.visitTag === 0xffffffff) {
+      this.visitMarks.fill(0);
+      this.visitTag = 1;
+    }
+    return this.visitTag;
+  }
+
+  // Graph as 32-bit integers: m, efConstruction, entry point, top level and slot count, then per
+  // slot its level (-1 when not in the graph) and per layer the link count and linked slots
+  serialize() {
+    let size = 5;
+    for (let slot = 0; slot < this.levels.length; slot++) {
+      size++;
+      if (this.levels[slot] === undefined) continue;
+      for (const neighbours of this.links[slot]) size += 1 + neighbours.length;
+    }
+
+    const data = new Int32Array(size);
+    data.set([this.m, this.efConstruction, this.entryPoint, this.maxLevel, this.levels.length]);
+    let position = 5;
+    for (let slot = 0; slot < this.levels.length; slot++) {
+      if (this.levels[slot] === undefined) {
+        data[position++] = -1;
+        continue;
+      }
+      data[position++] = this.levels[slot];
+      for (const neighbours of this.links[slot]) {
+        data[position++] = neighbours.length;
+        data.set(neighbours, position);
+        position += neighbours.length;
+      }
+    }
+
+    return data;
+  }
+
+  static deserialize(data, { dimensions, getVectors }) {
+    const index = new HnswIndex({ dimensions, getVectors, m: data[0], efConstruction: data[1] });
+    index.entryPoint = data[2];
+    index.maxLevel = data[3];
+
+    const slotCount = data[4];
+    let position = 5;
+    for (let slot = 0; slot < slotCount; slot++) {
+      const level = data[position++];
+      if (level === -1) continue;
+
+      index.levels[slot] = level;
+      index.links[slot] = [];
+      for (let layer = 0; layer <= level; layer++) {
+        const count = data[position++];
+        index.links[slot].push(Array.from(data.subarray(position, position + count)));
+        position += count;
+      }
+    }
+
+    index.ensureVisitMarks(slotCount);
+    return index;
+  }
+}
+
+module.exports = {
+  HnswIndex,
+  dotProduct,
+  normalize
+};
@@ -0,0 +1,144 @@
+const { parse, NodeType } = require('node-html-parser');
+
+// Scripts, styles and page chrome carry no document content
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'footer', 'aside']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'form', 'header', 'hr', 'html', 'main', 'ol', 'p', 'section', 'summary', 'ul'
+]);
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// Convert an HTML page to clean text. Only the main content is kept when the page marks it
+// with <main>, role="main" or a single <article>. Headings become Markdown headings so the
+// text can be chunked by section, lists become "-" or numbered items, tables become
+// " | "-separated rows and <pre> blocks become fenced code blocks. Returns the text and the page title.
+function htmlToText(html) {
+  const root = parseHtml(html);
+  const titleElement = root.querySelector('title') || root.querySelector('h1');
+
+  return {
+    text: normalizeWhitespace(renderNode(getMainContent(root))),
+    title: titleElement ? collapseSpaces(titleElement.text).trim() : null
+  };
+}
+
+// Absolute http(s) URLs of the page's links, without fragments, in document order
+function extractLinks(html, baseUrl) {
+  const root = parseHtml(html);
+  const base = root.querySelector('base[href]');
+  const links = new Set();
+
+  for (const anchor of root.querySelectorAll('a[href]')) {
+    try {
+      const url = new URL(anchor.getAttribute('href'), base ? new URL(base.getAttribute('href'), baseUrl) : baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+      url.hash = '';
+      links.add(url.href);
+    } catch {
+      // Ignore malformed links
+    }
+  }
+
+  return Array.from(links);
+}
+
+function parseHtml(html) {
+  // The parser keeps the doctype as text
+  return parse(html.replace(/<!doctype[^>]*>/i, ''));
+}
+
+function getMainContent(root) {
+  const main = root.querySelector('main') || root.querySelector('[role="main"]');
+  if (main) return main;
+
+  const articles = root.querySelectorAll('article');
+  return articles.length === 1 ? articles[0] : root;
+}
+
+function renderNode(node) {
+  if (node.nodeType === NodeType.TEXT_NODE) {
+    return collapseSpaces(node.text);
+  }
+  if (node.nodeType !== NodeType.ELEMENT_NODE) {
+    return renderChildren(node);
+  }
+
+  const tag = (node.tagName || '').toLowerCase();
+  if (SKIPPED_TAGS.has(tag)) return '';
+
+  const heading = tag.match(HEADING_PATTERN);
+  if (heading) {
+    return `\n\n${'#'.repeat(Number(heading[1]))} ${renderChildren(node).replace(/\s+/g, ' ').trim()}\n\n`;
+  }
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'pre':
+      return `\n\n\`\`\`\n${node.text.replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`;
+    case 'li':
+      return `\n- ${renderChildren(node).trim()}`;
+    case 'ol':
+      return `\n\n${renderOrderedList(node)}\n\n`;
+    case 'table':
+      return `\n\n${renderTable(node)}\n\n`;
+    default:
+      return BLOCK_TAGS.has(tag) ? `\n\n${renderChildren(node)}\n\n` : renderChildren(node);
+  }
+}
+
+function renderChildren(node) {
+  return node.childNodes.map(renderNode).join('');
+}
+
+function renderOrderedList(list) {
+  let number = 0;
+  return list.childNodes.map(child => {
+    if ((child.tagName || '').toLowerCase() !== 'li') return renderNode(child);
+    number++;
+    return `\n${number}. ${renderChildren(child).trim()}`;
+  }).join('');
+}
+
+function renderTable(table) {
+  return table.querySelectorAll('tr')
+    .map(row => row.childNodes
+      .filter(cell => ['td', 'th'].includes((cell.tagName || '').toLowerCase()))
+      .map(cell => renderChildren(cell).replace(/\s+/g, ' ').trim())
+      .join(' | '))
+    .filter(row => row.replace(/[|\s]/g, '').length > 0)
+    .join('\n');
+}
+
+function collapseSpaces(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+// Trim lines and drop repeated blank lines, leaving the inside of code fences untouched
+function normalizeWhitespace(text) {
+  const lines = [];
+  let inFence = false;
+
+  for (const line of text.split('\n')) {
+    if (line.trim() === '```') {
+      inFence = !inFence;
+      lines.push('```');
+      continue;
+    }
+    if (inFence) {
+      lines.push(line);
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (trimmed === '' && (lines.length === 0 || lines[lines.length - 1] === '')) continue;
+    lines.push(trimmed);
+  }
+
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  htmlToText,
+  extractLinks
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Verification of HS256-signed JSON Web Tokens. Other algorithms (including "none") are rejected.
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+const CLOCK_SKEW_SECONDS = 60;
+
+function isJwt(token) {
+  return JWT_PATTERN.test(token);
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+// Return the token's claims, or throw an Error saying why the token is not acceptable.
+// exp and nbf are always checked; iss and aud only when expected values are given.
+function verifyJwt(token, secret, { issuer, audience } = {}) {
+  if (!isJwt(token)) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, payload, signature] = token.split('.');
+  if (decodeSegment(header).alg !== 'HS256') {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = decodeSegment(payload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new Error('Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('Invalid token issuer');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error('Invalid token audience');
+  }
+
+  return claims;
+}
+
+// Create an HS256 token for the given claims (used to issue tokens for testing and scripts)
+function signJwt(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${data}.${sign(data, secret).toString('base64url')}`;
+}
+
+module.exports = {
+  isJwt,
+  verifyJwt,
+  signJwt
+};
@@ -0,0 +1,172 @@
+const { getTagKey, normalizeTags } = require('./chunkMetadata');
+
+// Query filters use a subset of the ChromaDB "where" syntax:
+//   { "type": "pdf" }                                  equality
+//   { "pages": { "$gte": 10 } }                        $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin
+//   { "tags": { "$in": ["hr", "legal"] } }             tags also accept a single tag or $all
+//   { "$or": [{ "type": "pdf" }, { "type": "docx" }] } $and / $or combine filters
+// They are translated to Chroma where clauses or evaluated in-process for the other stores.
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const LIST_OPERATORS = ['$in', '$nin'];
+const TAG_OPERATORS = ['$eq', '$in', '$all'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Throws an Error describing the first problem found in the filter
+function validateFilter(filter) {
+  if (!isPlainObject(filter)) {
+    throw new Error('Filter must be an object');
+  }
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new Error(`${key} must be a non-empty array of filters`);
+      }
+      condition.forEach(validateFilter);
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      throw new Error(`Unknown filter operator ${key}`);
+    }
+
+    if (key === 'tags') {
+      validateTagCondition(condition);
+    } else {
+      validateFieldCondition(key, condition);
+    }
+  }
+}
+
+function validateFieldCondition(field, condition) {
+  if (isScalar(condition)) return;
+
+  if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+    throw new Error(`Condition for "${field}" must be a value or an operator object`);
+  }
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      if (!isScalar(operand)) {
+        throw new Error(`${operator} on "${field}" requires a string, number or boolean`);
+      }
+      if (['$gt', '$gte', '$lt', '$lte'].includes(operator) && typeof operand !== 'number') {
+        throw new Error(`${operator} on "${field}" requires a number`);
+      }
+    } else if (LIST_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+        throw new Error(`${operator} on "${field}" requires a non-empty array of values`);
+      }
+    } else {
+      throw new Error(`Unsupported operator ${operator} on "${field}"`);
+    }
+  }
+}
+
+function validateTagCondition(condition) {
+  if (typeof condition === 'string') return;
+
+  if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+    throw new Error('Condition for "tags" must be a tag or an operator object');
+  }
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (!TAG_OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported operator ${operator} on "tags". Use one of: ${TAG_OPERATORS.join(', ')}`);
+    }
+    if (operator === '$eq' ? typeof operand !== 'string' : !Array.isArray(operand) || operand.length === 0) {
+      throw new Error(`${operator} on "tags" requires ${operator === '$eq' ? 'a tag' : 'a non-empty array of tags'}`);
+    }
+  }
+}
+
+// Normalize a tag condition to { any: [...], all: [...] }
+function parseTagCondition(condition) {
+  if (typeof condition === 'string') {
+    return { any: [], all: normalizeTags([condition]) };
+  }
+
+  return {
+    any: normalizeTags(condition.$in || []),
+    all: normalizeTags([...(condition.$all || []), ...(condition.$eq ? [condition.$eq] : [])])
+  };
+}
+
+const combine = (operator, clauses) => (clauses.length === 1 ? clauses[0] : { [operator]: clauses });
+
+// Translate a validated filter to a ChromaDB where clause (undefined when there is nothing to filter)
+function toChromaWhere(filter) {
+  if (!filter || Object.keys(filter).length === 0) return undefined;
+
+  const clauses = [];
+  for (const [key, condition] of Object.entries(filter)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      clauses.push(combine(key, condition.map(toChromaWhere)));
+    } else if (key === 'tags') {
+      const { any, all } = parseTagCondition(condition);
+      if (any.length > 0) {
+        clauses.push(combine('$or', any.map(tag => ({ [getTagKey(tag)]: true }))));
+      }
+      clauses.push(...all.map(tag => ({ [getTagKey(tag)]: true })));
+    } else if (isScalar(condition)) {
+      clauses.push({ [key]: condition });
+    } else {
+      clauses.push(...Object.entries(condition).map(([operator, operand]) => ({ [key]: { [operator]: operand } })));
+    }
+  }
+
+  return combine('$and', clauses);
+}
+
+function matchesOperator(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$ne':
+      return value !== operand;
+    case '$gt':
+      return typeof value === 'number' && value > operand;
+    case '$gte':
+      return typeof value === 'number' && value >= operand;
+    case '$lt':
+      return typeof value === 'number' && value < operand;
+    case '$lte':
+      return typeof value === 'number' && value <= operand;
+    case '$in':
+      return operand.includes(value);
+    case '$nin':
+      return !operand.includes(value);
+    default:
+      return false;
+  }
+}
+
+// Evaluate a validated filter against a chunk's metadata
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    if (key === 'tags') {
+      const { any, all } = parseTagCondition(condition);
+      const hasTag = tag => metadata[getTagKey(tag)] === true;
+      return (any.length === 0 || any.some(hasTag)) && all.every(hasTag);
+    }
+
+    if (isScalar(condition)) return metadata[key] === condition;
+
+    return Object.entries(condition).every(([operator, operand]) => matchesOperator(metadata[key], operator, operand));
+  });
+}
+
+module.exports = {
+  validateFilter,
+  toChromaWhere,
+  matchesFilter
+};
@@ -0,0 +1,77 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses web ingestion must not reach: "this" network, loopback, private (RFC 1918), carrier-grade
+// NAT, link-local (cloud metadata services), benchmarking, multicast and reserved ranges, and their
+// IPv6 counterparts including unique-local addresses
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(network, prefix, type);
+}
+
+const addressError = (message) => {
+  const error = new Error(message);
+  error.code = 'URL_NOT_ALLOWED';
+  return error;
+};
+
+// The IPv4 address embedded in an IPv4-mapped IPv6 address (::ffff:a.b.c.d or ::ffff:xxxx:xxxx), or null
+function getMappedIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return null;
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPublicAddress(address) {
+  const mapped = getMappedIPv4(address);
+  if (mapped) return isPublicAddress(mapped);
+
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return !blockList.check(address, type);
+}
+
+// Resolve the URL's host and throw URL_NOT_ALLOWED if any of its addresses is not public
+async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Could not resolve ${hostname}: ${error.code || error.message}`);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw addressError(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl
+};
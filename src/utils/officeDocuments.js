@@ -0,0 +1,172 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Text extraction for Office Open XML files (.pptx, .xlsx), which are zip archives of XML parts
+const NS = {
+  drawing: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  presentation: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+  spreadsheet: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+async function readXml(zip, partName) {
+  const file = zip.file(partName);
+  if (!file) return null;
+  return new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+}
+
+function elements(node, namespace, name) {
+  return Array.from(node.getElementsByTagNameNS(namespace, name));
+}
+
+// Relationship targets of a part by relationship ID, resolved to part names in the archive
+async function readRelationships(zip, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = await readXml(zip, relsName);
+  const relationships = new Map();
+  if (!xml) return relationships;
+
+  for (const rel of elements(xml, NS.packageRelationships, 'Relationship')) {
+    const target = rel.getAttribute('Target');
+    relationships.set(rel.getAttribute('Id'), {
+      type: rel.getAttribute('Type'),
+      part: target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partName), target))
+    });
+  }
+
+  return relationships;
+}
+
+// Text of each DrawingML paragraph under the node
+function paragraphTexts(node) {
+  return elements(node, NS.drawing, 'p')
+    .map(paragraph => elements(paragraph, NS.drawing, 't').map(text => text.textContent).join('').trim())
+    .filter(text => text.length > 0);
+}
+
+function placeholderType(shape) {
+  const placeholder = elements(shape, NS.presentation, 'ph')[0];
+  return placeholder ? placeholder.getAttribute('type') || 'body' : null;
+}
+
+// Slides in presentation order as { title, paragraphs, notes }
+async function readPptxSlides(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentationPart = 'ppt/presentation.xml';
+  const presentation = await readXml(zip, presentationPart);
+  if (!presentation) throw new Error('Not a PowerPoint presentation');
+
+  const relationships = await readRelationships(zip, presentationPart);
+  const slides = [];
+
+  for (const slideId of elements(presentation, NS.presentation, 'sldId')) {
+    const slideRel = relationships.get(slideId.getAttributeNS(NS.relationships, 'id'));
+    const slide = slideRel && await readXml(zip, slideRel.part);
+    if (!slide) continue;
+
+    let title = null;
+    const paragraphs = [];
+    for (const shape of elements(slide, NS.presentation, 'sp')) {
+      const texts = paragraphTexts(shape);
+      const type = placeholderType(shape);
+      if (!title && (type === 'title' || type === 'ctrTitle') && texts.length > 0) {
+        title = texts.join(' ');
+      } else {
+        paragraphs.push(...texts);
+      }
+    }
+    // Tables sit in graphic frames rather than shapes
+    for (const frame of elements(slide, NS.presentation, 'graphicFrame')) {
+      paragraphs.push(...paragraphTexts(frame));
+    }
+
+    // Speaker notes are the body placeholder of the slide's notes page
+    const notesRel = Array.from((await readRelationships(zip, slideRel.part)).values())
+      .find(rel => rel.type.endsWith('/notesSlide'));
+    const notesSlide = notesRel && await readXml(zip, notesRel.part);
+    const notes = notesSlide
+      ? elements(notesSlide, NS.presentation, 'sp')
+        .filter(shape => placeholderType(shape) === 'body')
+        .flatMap(paragraphTexts)
+      : [];
+
+    slides.push({ title, paragraphs, notes });
+  }
+
+  return slides;
+}
+
+// Column index (0-based) of a cell reference such as "C12"
+function columnIndex(reference) {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function cellValue(cell, sharedStrings) {
+  const type = cell.getAttribute('t');
+  const valueElement = elements(cell, NS.spreadsheet, 'v')[0];
+  const value = valueElement ? valueElement.textContent : '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] || '';
+    case 'inlineStr':
+      return elements(cell, NS.spreadsheet, 't').map(text => text.textContent).join('');
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    default:
+      // Numbers, formula results and errors as stored; dates stay serial numbers
+      return value;
+  }
+}
+
+// Worksheets in workbook order as { name, rows }, each row an array of cell texts
+async function readXlsxSheets(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const workbookPart = 'xl/workbook.xml';
+  const workbook = await readXml(zip, workbookPart);
+  if (!workbook) throw new Error('Not an Excel workbook');
+
+  const relationships = await readRelationships(zip, workbookPart);
+  const sharedStringsXml = await readXml(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? elements(sharedStringsXml, NS.spreadsheet, 'si')
+      .map(item => elements(item, NS.spreadsheet, 't')
+        .filter(text => text.parentNode.localName !== 'rPh') // Skip phonetic readings
+        .map(text => text.textContent)
+        .join(''))
+    : [];
+
+  const sheets = [];
+  for (const sheetElement of elements(workbook, NS.spreadsheet, 'sheet')) {
+    const sheetRel = relationships.get(sheetElement.getAttributeNS(NS.relationships, 'id'));
+    const sheet = sheetRel && await readXml(zip, sheetRel.part);
+    if (!sheet) continue;
+
+    const rows = elements(sheet, NS.spreadsheet, 'row').map(row => {
+      const cells = [];
+      elements(row, NS.spreadsheet, 'c').forEach(cell => {
+        const reference = cell.getAttribute('r');
+        cells[reference ? columnIndex(reference) : cells.length] = cellValue(cell, sharedStrings);
+      });
+      return Array.from(cells, cell => cell || '');
+    });
+
+    sheets.push({ name: sheetElement.getAttribute('name'), rows });
+  }
+
+  return sheets;
+}
+
+module.exports = {
+  readPptxSlides,
+  readXlsxSheets
+};
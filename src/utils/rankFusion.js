@@ -0,0 +1,19 @@
+// Reciprocal rank fusion: merge ranked result lists by summing 1 / (k + rank) for each result ID.
+// Fields from every list are kept, so a result found by both retrievers carries both scores.
+function reciprocalRankFusion(resultLists, k = 60) {
+  const fused = new Map();
+
+  for (const results of resultLists) {
+    results.forEach((result, rank) => {
+      const entry = fused.get(result.id) || { ...result, fusedScore: 0 };
+      Object.assign(entry, result, { fusedScore: entry.fusedScore + 1 / (k + rank + 1) });
+      fused.set(result.id, entry);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+module.exports = {
+  reciprocalRankFusion
+};
@@ -0,0 +1,67 @@
+// Minimal robots.txt support: the group for our user agent (or "*") and its Allow/Disallow rules.
+// Paths may use "*" wildcards and a trailing "$"; the longest matching rule wins, Allow on ties.
+
+function parseRobotsTxt(text, userAgent) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group of rules
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else {
+      lastWasAgent = false;
+      if (group && (field === 'allow' || field === 'disallow')) {
+        group.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const matching = groups.filter(({ agents }) => agents.some(name => name !== '*' && agent.includes(name)));
+  const selected = matching.length > 0 ? matching : groups.filter(({ agents }) => agents.includes('*'));
+
+  // An empty Disallow allows everything
+  return selected.flatMap(({ rules }) => rules).filter(rule => rule.path !== '');
+}
+
+function ruleToRegExp(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+}
+
+// Whether a URL path (with query string) may be fetched under the given rules
+function isPathAllowed(rules, urlPath) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!ruleToRegExp(rule.path).test(urlPath)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isPathAllowed
+};
@@ -0,0 +1,85 @@
+const DELIMITERS = [',', ';', '\t'];
+
+// Parse CSV text (RFC 4180: quoted fields may contain delimiters, quotes and newlines).
+// The delimiter is the one of comma, semicolon and tab that occurs most in the first line.
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, ''); // Strip the byte order mark spreadsheet apps write
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+// Render tables as text with one " | "-separated line per row, each table starting with its
+// optional title and header row. Empty rows are dropped. Returns the text and, for each table,
+// the character ranges of its header and of the whole table, so the text splitter can chunk
+// on row boundaries and repeat the header in every chunk.
+function renderTables(tables) {
+  let content = '';
+  const ranges = [];
+
+  for (const { title, rows } of tables) {
+    const lines = rows
+      .map(cells => cells.map(cell => String(cell).replace(/\s+/g, ' ').trim()))
+      .filter(cells => cells.some(cell => cell !== ''))
+      .map(cells => cells.join(' | '));
+    if (lines.length === 0) continue;
+
+    if (content) content += '\n\n';
+    const start = content.length;
+    const header = title ? `${title}\n${lines[0]}` : lines[0];
+
+    content += [header, ...lines.slice(1)].join('\n');
+    ranges.push({ start, headerEnd: start + header.length, end: content.length });
+  }
+
+  return { content, tables: ranges };
+}
+
+module.exports = {
+  parseCsv,
+  renderTables
+};
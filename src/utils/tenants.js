@@ -0,0 +1,17 @@
+// Tenants isolate collections, conversations and ingestion jobs from each other. Without
+// authentication every request belongs to the default tenant, and so do records created
+// before tenants existed (they have no tenant field).
+
+const DEFAULT_TENANT = 'default';
+const TENANT_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,39}$/;
+
+const isValidTenant = (tenant) => typeof tenant === 'string' && TENANT_PATTERN.test(tenant);
+
+// Whether a collection config, conversation or job belongs to the tenant
+const belongsToTenant = (record, tenant) => (record.tenant || DEFAULT_TENANT) === tenant;
+
+module.exports = {
+  DEFAULT_TENANT,
+  isValidTenant,
+  belongsToTenant
+};
@@ -1,52 +1,349 @@
+const { countTokens } = require('./tokenCounter');
+
+const STRATEGIES = ['auto', 'recursive', 'markdown'];
+const MIN_CHUNK_SIZE = 16;
+
+// Split points tried from coarsest to finest: paragraphs, lines, sentences, words, then characters
+const SEPARATORS = ['\n\n', '\n', '. ', ' ', ''];
+const LINE_SEPARATORS = ['\n', ''];
+// Table rows are only split if a single row exceeds a chunk: then on cells, words and characters
+const ROW_SEPARATORS = ['\n', ' | ', ' ', ''];
+const MARKDOWN_TYPES = ['markdown', 'html'];
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const TABLE_ROW_PATTERN = /^\s*\|/;
+
+// Splits documents into chunks of at most chunkSize tokens, consecutive chunks sharing up to
+// chunkOverlap tokens. "recursive" splits on the coarsest separator that fits; "markdown" first
+// splits on headings and keeps fenced code blocks and tables whole; "auto" picks by document type,
+// and chunks the tables of spreadsheet documents on row boundaries with their header repeated.
 class TextSplitter {
-  constructor(chunkSize = 1000, chunkOverlap = 200) {
+  constructor({ chunkSize = 200, chunkOverlap = 40, strategy = 'auto' } = {}) {
     this.chunkSize = chunkSize;
     this.chunkOverlap = chunkOverlap;
+    this.strategy = strategy;
   }
 
-  splitText(text) {
-    const chunks = [];
-    let start = 0;
+  // Throws if the settings cannot produce chunks
+  static validateSettings({ strategy, chunkSize, chunkOverlap }) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`chunkStrategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE) {
+      throw new Error(`chunkSize must be an integer of at least ${MIN_CHUNK_SIZE} tokens`);
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+      throw new Error('chunkOverlap must be a non-negative integer smaller than chunkSize');
+    }
+  }
 
-    while (start < text.length) {
-      let end = start + this.chunkSize;
-      
-      // Try to find a good break point (sentence end)
-      if (end < text.length) {
-        const sentenceEnd = text.lastIndexOf('.', end);
-        const paragraphEnd = text.lastIndexOf('\n\n', end);
-        const breakPoint = Math.max(sentenceEnd, paragraphEnd);
-        
-        if (breakPoint > start) {
-          end = breakPoint + 1;
-        }
-      }
+  getSettings() {
+    return {
+      strategy: this.strategy,
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap
+    };
+  }
+
+  splitText(text, type = null) {
+    return this.splitTextWithOffsets(text, type).map(chunk => chunk.content);
+  }
 
-      chunks.push(text.slice(start, end).trim());
-      start = end - this.chunkOverlap;
+  // Split text into chunks, keeping the character range each trimmed chunk covers in the original
+  // text and, for Markdown, the path of headings the chunk sits under. tables are the
+  // { start, headerEnd, end } ranges of tabular text that loaders report for spreadsheets.
+  splitTextWithOffsets(text, type = null, tables = null) {
+    if (this.strategy === 'auto' && tables && tables.length > 0) {
+      return this.splitTables(text, tables);
     }
 
-    return chunks.filter(chunk => chunk.length > 0);
+    const strategy = this.strategy === 'auto'
+      ? (MARKDOWN_TYPES.includes(type) ? 'markdown' : 'recursive')
+      : this.strategy;
+
+    if (strategy === 'markdown') {
+      return this.splitMarkdown(text);
+    }
+
+    return this.mergePieces(text, this.splitRange(text, 0, text.length, SEPARATORS));
   }
 
   splitDocuments(documents) {
     const splitDocuments = [];
 
-    documents.forEach((doc, docIndex) => {
-      const chunks = this.splitText(doc.content);
-      
-      chunks.forEach((chunk, chunkIndex) => {
-        splitDocuments.push({
+    documents.forEach(({ pageStarts, tables, ...doc }, docIndex) => {
+      const chunks = this.splitTextWithOffsets(doc.content, doc.type, tables);
+
+      chunks.forEach(({ content, startOffset, endOffset, headingPath, tableHeader }, chunkIndex) => {
+        const chunk = {
           ...doc,
-          content: chunk,
+          content,
           chunkIndex,
-          originalDocIndex: docIndex
-        });
+          originalDocIndex: docIndex,
+          startOffset,
+          endOffset
+        };
+
+        if (headingPath) {
+          chunk.headingPath = headingPath;
+        }
+        if (tableHeader) {
+          chunk.tableHeader = tableHeader;
+        }
+
+        // Pages the chunk spans, for loaders that report page boundaries
+        if (pageStarts && pageStarts.length > 0) {
+          chunk.pageStart = this.getPageNumber(pageStarts, startOffset);
+          chunk.pageEnd = this.getPageNumber(pageStarts, endOffset - 1);
+        }
+
+        splitDocuments.push(chunk);
       });
     });
 
     return splitDocuments;
   }
+
+  // Break text[start, end) into pieces of at most chunkSize tokens, splitting on the first
+  // separator that occurs and recursing with finer separators into pieces that are still too big
+  splitRange(text, start, end, separators) {
+    const tokens = countTokens(text.slice(start, end));
+    if (tokens <= this.chunkSize) {
+      return [{ start, end, tokens }];
+    }
+
+    const [separator, ...finer] = separators;
+    if (!separator) {
+      return this.splitByCharacters(text, start, end, tokens);
+    }
+
+    // Separators stay attached to the end of the piece before them
+    const bounds = [];
+    let pieceStart = start;
+    let index = text.indexOf(separator, start);
+    while (index !== -1 && index + separator.length < end) {
+      bounds.push([pieceStart, index + separator.length]);
+      pieceStart = index + separator.length;
+      index = text.indexOf(separator, pieceStart);
+    }
+    bounds.push([pieceStart, end]);
+
+    return bounds.flatMap(([pieceStart, pieceEnd]) => this.splitRange(text, pieceStart, pieceEnd, finer));
+  }
+
+  // Last resort for text without any separator, such as long identifiers or base64
+  splitByCharacters(text, start, end, tokens) {
+    const width = Math.max(1, Math.floor((end - start) * this.chunkSize / tokens));
+    const pieces = [];
+
+    for (let pieceStart = start; pieceStart < end; pieceStart += width) {
+      const pieceEnd = Math.min(pieceStart + width, end);
+      pieces.push({ start: pieceStart, end: pieceEnd, tokens: countTokens(text.slice(pieceStart, pieceEnd)) });
+    }
+
+    return pieces;
+  }
+
+  // Greedily combine consecutive pieces into chunks, carrying trailing pieces of up to
+  // chunkOverlap tokens into the next chunk. Pieces themselves are never split here.
+  mergePieces(text, pieces, fields = {}) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const emit = () => {
+      const chunk = this.toChunk(text, current[0].start, current[current.length - 1].end);
+      if (chunk) chunks.push({ ...chunk, ...fields });
+    };
+
+    for (const piece of pieces) {
+      if (current.length > 0 && currentTokens + piece.tokens > this.chunkSize) {
+        emit();
+
+        while (current.length > 0 &&
+          (currentTokens > this.chunkOverlap || currentTokens + piece.tokens > this.chunkSize)) {
+          currentTokens -= current.shift().tokens;
+        }
+      }
+
+      current.push(piece);
+      currentTokens += piece.tokens;
+    }
+
+    if (current.length > 0) {
+      emit();
+    }
+
+    return chunks;
+  }
+
+  toChunk(text, start, end) {
+    const slice = text.slice(start, end);
+    const content = slice.trim();
+    if (content.length === 0) return null;
+
+    const startOffset = start + (slice.length - slice.trimStart().length);
+    return { content, startOffset, endOffset: startOffset + content.length };
+  }
+
+  // Chunk the rows of each table, prefixing every chunk with the table's header so rows keep their
+  // column names. Offsets cover the rows only. Text between tables is split recursively.
+  splitTables(text, tables) {
+    const chunks = [];
+    let position = 0;
+
+    const splitGap = end => {
+      if (end > position) {
+        chunks.push(...this.mergePieces(text, this.splitRange(text, position, end, SEPARATORS)));
+      }
+    };
+
+    for (const table of tables) {
+      splitGap(table.start);
+      position = table.end;
+
+      const header = text.slice(table.start, table.headerEnd).trim();
+      const rowSize = Math.max(this.chunkSize - countTokens(header) - 1, MIN_CHUNK_SIZE);
+      const rowSplitter = new TextSplitter({ chunkSize: rowSize, chunkOverlap: Math.min(this.chunkOverlap, rowSize - 1) });
+      const rows = rowSplitter.mergePieces(text, rowSplitter.splitRange(text, table.headerEnd, table.end, ROW_SEPARATORS));
+
+      if (rows.length === 0) {
+        // A table without rows is kept as its header
+        const chunk = this.toChunk(text, table.start, table.headerEnd);
+        if (chunk) chunks.push(chunk);
+      }
+      for (const row of rows) {
+        chunks.push({ ...row, content: `${header}\n${row.content}`, tableHeader: header });
+      }
+    }
+
+    splitGap(text.length);
+    return chunks;
+  }
+
+  // Chunk each heading section separately so every chunk has a single heading path
+  splitMarkdown(text) {
+    const lines = this.getLines(text);
+    const chunks = [];
+
+    for (const section of this.getMarkdownSections(lines)) {
+      const pieces = this.getMarkdownBlocks(lines, section.firstLine, section.lastLine).flatMap(block => {
+        // Code blocks and tables only split on line boundaries, and only if they exceed a whole chunk
+        const separators = block.atomic ? LINE_SEPARATORS : SEPARATORS;
+        return this.splitRange(text, block.start, block.end, separators);
+      });
+
+      const fields = section.headingPath.length > 0 ? { headingPath: section.headingPath.join(' > ') } : {};
+      chunks.push(...this.mergePieces(text, pieces, fields));
+    }
+
+    return chunks;
+  }
+
+  getLines(text) {
+    const lines = [];
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      lines.push({ text: line, start: offset, end: Math.min(offset + line.length + 1, text.length) });
+      offset += line.length + 1;
+    }
+
+    return lines;
+  }
+
+  // Sections start at each ATX heading outside code fences and carry the titles of their parent headings
+  getMarkdownSections(lines) {
+    const sections = [];
+    const headings = []; // Open headings as { level, title }
+    let section = { firstLine: 0, headingPath: [] };
+    let fence = null;
+
+    lines.forEach((line, index) => {
+      const fenceMatch = line.text.match(FENCE_PATTERN);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        return;
+      }
+      if (fence) return;
+
+      const heading = line.text.match(HEADING_PATTERN);
+      if (!heading) return;
+
+      if (index > section.firstLine) {
+        sections.push({ ...section, lastLine: index - 1 });
+      }
+
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title: heading[2] });
+      section = { firstLine: index, headingPath: headings.map(open => open.title) };
+    });
+
+    sections.push({ ...section, lastLine: lines.length - 1 });
+    return sections;
+  }
+
+  // Paragraphs, fenced code blocks and tables of a section, as character ranges
+  getMarkdownBlocks(lines, firstLine, lastLine) {
+    const blocks = [];
+    let index = firstLine;
+
+    while (index <= lastLine) {
+      const line = lines[index];
+      let endLine = index;
+      let atomic = false;
+
+      const fenceMatch = line.text.match(FENCE_PATTERN);
+      if (fenceMatch) {
+        // Runs to the closing fence, or to the end of the section if it is never closed
+        atomic = true;
+        const fence = fenceMatch[1];
+        while (endLine < lastLine) {
+          endLine++;
+          const closing = lines[endLine].text.match(FENCE_PATTERN);
+          if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) break;
+        }
+      } else if (TABLE_ROW_PATTERN.test(line.text)) {
+        atomic = true;
+        while (endLine < lastLine && TABLE_ROW_PATTERN.test(lines[endLine + 1].text)) {
+          endLine++;
+        }
+      } else {
+        // A paragraph ends at a blank line or where a code block or table starts
+        while (endLine < lastLine) {
+          const next = lines[endLine + 1].text;
+          if (next.trim() === '' || FENCE_PATTERN.test(next) || TABLE_ROW_PATTERN.test(next)) break;
+          endLine++;
+        }
+        // Keep the blank lines after it, so consecutive blocks cover the section without gaps
+        while (endLine < lastLine && lines[endLine + 1].text.trim() === '') {
+          endLine++;
+        }
+      }
+
+      blocks.push({ start: line.start, end: lines[endLine].end, atomic });
+      index = endLine + 1;
+    }
+
+    return blocks;
+  }
+
+  // 1-based number of the page containing the character offset
+  getPageNumber(pageStarts, offset) {
+    let page = 1;
+    for (let i = 0; i < pageStarts.length && pageStarts[i] <= offset; i++) {
+      page = i + 1;
+    }
+    return page;
+  }
 }
 
 module.exports = TextSplitter;
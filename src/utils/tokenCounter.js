@@ -0,0 +1,11 @@
+// Approximate token count for chunk sizing without a model-specific tokenizer.
+// Words count as one token per 4 characters (rounded up) and each punctuation mark as one,
+// which tracks BPE tokenizers closely enough for prose, Markdown and code.
+function countTokens(text) {
+  const pieces = text.match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+  return pieces.reduce((total, piece) => total + Math.ceil(piece.length / 4), 0);
+}
+
+module.exports = {
+  countTokens
+};
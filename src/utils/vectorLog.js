@@ -0,0 +1,111 @@
+// Binary storage format of the embedded vector store: an append-only log. The file starts with a
+// 16-byte header (magic "VLOG", uint32 format version, 8-byte generation ID); every record is a
+// type byte, the uint32 length of its body, and the body:
+//   CHUNK   uint32 JSON length, JSON { id, content, metadata }, float32 embedding
+//   DELETE  JSON array of chunk IDs
+//   MODEL   JSON { embeddingModel }, the model of the chunks that follow
+// Integers are little-endian; embeddings are written in platform byte order (little-endian on
+// every platform Node.js supports). Compaction rewrites the file under a new generation ID.
+
+const crypto = require('crypto');
+
+const MAGIC = Buffer.from('VLOG');
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 16;
+const RECORD_PREFIX_SIZE = 5;
+
+const RECORD_CHUNK = 1;
+const RECORD_DELETE = 2;
+const RECORD_MODEL = 3;
+
+function newGeneration() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function encodeHeader(generation) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt32LE(FORMAT_VERSION, 4);
+  Buffer.from(generation, 'hex').copy(header, 8);
+  return header;
+}
+
+function encodeJsonRecord(type, value) {
+  const body = Buffer.from(JSON.stringify(value));
+  const record = Buffer.alloc(RECORD_PREFIX_SIZE + body.length);
+  record.writeUInt8(type, 0);
+  record.writeUInt32LE(body.length, 1);
+  body.copy(record, RECORD_PREFIX_SIZE);
+  return record;
+}
+
+// embedding must be a Float32Array
+function encodeChunk(chunk, embedding) {
+  const json = Buffer.from(JSON.stringify({ id: chunk.id, content: chunk.content, metadata: chunk.metadata }));
+  const record = Buffer.alloc(RECORD_PREFIX_SIZE + 4 + json.length + embedding.byteLength);
+
+  record.writeUInt8(RECORD_CHUNK, 0);
+  record.writeUInt32LE(record.length - RECORD_PREFIX_SIZE, 1);
+  record.writeUInt32LE(json.length, RECORD_PREFIX_SIZE);
+  json.copy(record, RECORD_PREFIX_SIZE + 4);
+  Buffer.from(embedding.buffer, embedding.byteOffset, embedding.byteLength).copy(record, RECORD_PREFIX_SIZE + 4 + json.length);
+  return record;
+}
+
+function encodeDelete(ids) {
+  return encodeJsonRecord(RECORD_DELETE, ids);
+}
+
+function encodeModel(embeddingModel) {
+  return encodeJsonRecord(RECORD_MODEL, { embeddingModel });
+}
+
+// Replay a log, calling onChunk(chunk, embedding), onDelete(ids) and onModel(embeddingModel) in
+// order. Returns the generation and the length of the complete records: a record cut short by
+// an interrupted write ends the log.
+function readLog(buffer, { onChunk, onDelete, onModel }) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not a vector storage file');
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported vector storage format version ${version}`);
+  }
+
+  const generation = buffer.toString('hex', 8, HEADER_SIZE);
+  let offset = HEADER_SIZE;
+
+  while (offset + RECORD_PREFIX_SIZE <= buffer.length) {
+    const type = buffer.readUInt8(offset);
+    const start = offset + RECORD_PREFIX_SIZE;
+    const end = start + buffer.readUInt32LE(offset + 1);
+    if (end > buffer.length) break;
+
+    if (type === RECORD_CHUNK) {
+      const jsonEnd = start + 4 + buffer.readUInt32LE(start);
+      const chunk = JSON.parse(buffer.toString('utf8', start + 4, jsonEnd));
+      // Copy into an aligned buffer; Float32Array views need a byte offset divisible by 4
+      const embedding = new Float32Array(buffer.buffer.slice(buffer.byteOffset + jsonEnd, buffer.byteOffset + end));
+      onChunk(chunk, embedding);
+    } else if (type === RECORD_DELETE) {
+      onDelete(JSON.parse(buffer.toString('utf8', start, end)));
+    } else if (type === RECORD_MODEL) {
+      onModel(JSON.parse(buffer.toString('utf8', start, end)).embeddingModel);
+    }
+    // Unknown record types are skipped
+
+    offset = end;
+  }
+
+  return { generation, length: offset };
+}
+
+module.exports = {
+  newGeneration,
+  encodeHeader,
+  encodeChunk,
+  encodeDelete,
+  encodeModel,
+  readLog
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authService = require('../../src/services/auth');
+
+const AuthService = authService.constructor;
+
+describe('AuthService key storage', () => {
+  let dir;
+  let service;
+
+  const createService = () => {
+    const created = new AuthService();
+    created.storagePath = path.join(dir, 'api_keys.json');
+    return created;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.AUTH_ENABLED = 'true';
+    service = createService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.AUTH_ENABLED;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('saves keys as hashes that still authenticate after a restart', async () => {
+    await service.initialize();
+    const { key, record } = await service.createKey({ name: 'ci', tenant: 'acme', scopes: ['query'] });
+
+    const saved = fs.readFileSync(service.storagePath, 'utf-8');
+    expect(saved).not.toContain(key);
+    expect(fs.statSync(service.storagePath).mode & 0o777).toBe(0o600);
+
+    const restarted = createService();
+    await restarted.initialize();
+    expect(restarted.authenticate({ apiKey: key })).toEqual({ tenant: 'acme', scopes: ['query'], subject: `key:${record.id}` });
+  });
+
+  test('writes every key of concurrent creations', async () => {
+    await service.initialize();
+    await Promise.all(['a', 'b', 'c'].map(name => service.createKey({ name, tenant: 'acme', scopes: ['query'] })));
+
+    const saved = JSON.parse(fs.readFileSync(service.storagePath, 'utf-8'));
+    expect(saved.keys.map(record => record.name).sort()).toEqual(['a', 'b', 'c']);
+    expect(fs.readdirSync(dir)).toEqual(['api_keys.json']);
+  });
+
+  test('refuses to start with a corrupt key file and leaves it untouched', async () => {
+    fs.writeFileSync(service.storagePath, '{"keys": [{"id": "1", "keyHash": "ab');
+
+    await expect(service.initialize()).rejects.toThrow(`Could not read API keys from ${service.storagePath}`);
+    expect(fs.readFileSync(service.storagePath, 'utf-8')).toBe('{"keys": [{"id": "1", "keyHash": "ab');
+  });
+
+  test('refuses to start when the key file cannot be read', async () => {
+    fs.mkdirSync(service.storagePath);
+
+    await expect(service.initialize()).rejects.toThrow('Could not read API keys');
+  });
+
+  test('reports failed saves to the caller', async () => {
+    await service.initialize();
+    service.storagePath = path.join(dir, 'missing', 'api_keys.json');
+
+    await expect(service.createKey({ tenant: 'acme', scopes: ['query'] })).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
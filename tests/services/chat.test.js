@@ -0,0 +1,169 @@
+jest.mock('../../src/services/collections', () => ({
+  defaultName: 'default',
+  getConfig: jest.fn(() => null)
+}));
+jest.mock('../../src/services/llmProviders', () => {
+  const provider = { chat: jest.fn() };
+  return { getProvider: jest.fn(() => provider) };
+});
+
+const collections = require('../../src/services/collections');
+const { getProvider } = require('../../src/services/llmProviders');
+const chatService = require('../../src/services/chat');
+
+const ChatService = chatService.constructor;
+
+const history = [
+  { role: 'user', content: 'What does the Pro plan cost?' },
+  { role: 'assistant', content: 'The Pro plan costs 20 euros a month.' }
+];
+
+describe('ChatService.rewriteQuery', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    service = new ChatService();
+    service.rewriteFollowUps = true;
+    provider = getProvider();
+    provider.chat.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('condenses a follow-up question using the conversation', async () => {
+    provider.chat.mockResolvedValue(' "Does the Pro plan include SSO?"\n');
+
+    const rewritten = await service.rewriteQuery('Does it include SSO?', history);
+
+    expect(rewritten).toBe('Does the Pro plan include SSO?');
+    const [{ content }] = provider.chat.mock.calls[0][0].messages;
+    expect(content).toContain('user: What does the Pro plan cost?');
+    expect(content).toContain('Follow-up question: Does it include SSO?');
+  });
+
+  test('sends only the most recent messages', async () => {
+    provider.chat.mockResolvedValue('query');
+    const long = Array.from({ length: 10 }, (_, i) => ({ role: 'user', content: `message ${i}` }));
+
+    await service.rewriteQuery('And then?', long);
+
+    const [{ content }] = provider.chat.mock.calls[0][0].messages;
+    expect(content).not.toContain('message 3');
+    expect(content).toContain('message 4');
+    expect(content).toContain('message 9');
+  });
+
+  test('does not rewrite without history or when disabled', async () => {
+    await expect(service.rewriteQuery('Does it include SSO?', [])).resolves.toBeNull();
+    await expect(service.rewriteQuery('Does it include SSO?', history, { rewriteQuery: false })).resolves.toBeNull();
+
+    service.rewriteFollowUps = false;
+    await expect(service.rewriteQuery('Does it include SSO?', history)).resolves.toBeNull();
+    expect(provider.chat).not.toHaveBeenCalled();
+  });
+
+  test('can be enabled per request when disabled by default', async () => {
+    service.rewriteFollowUps = false;
+    provider.chat.mockResolvedValue('Does the Pro plan include SSO?');
+
+    await expect(service.rewriteQuery('Does it include SSO?', history, { rewriteQuery: true }))
+      .resolves.toBe('Does the Pro plan include SSO?');
+  });
+
+  test('falls back to the original question when the rewrite fails or is empty', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    provider.chat.mockRejectedValueOnce(new Error('model not found'));
+    await expect(service.rewriteQuery('Does it include SSO?', history)).resolves.toBeNull();
+    expect(console.warn).toHaveBeenCalledWith('Failed to rewrite follow-up question:', 'model not found');
+
+    provider.chat.mockResolvedValueOnce('  ');
+    await expect(service.rewriteQuery('Does it include SSO?', history)).resolves.toBeNull();
+  });
+
+  test("uses the collection's chat model", async () => {
+    collections.getConfig.mockReturnValueOnce({ chatModel: 'collection-model' });
+    provider.chat.mockResolvedValue('query');
+
+    await service.rewriteQuery('Does it include SSO?', history, { collection: 'pricing' });
+
+    expect(collections.getConfig).toHaveBeenCalledWith('pricing');
+    expect(provider.chat.mock.calls[0][0].model).toBe('collection-model');
+  });
+});
+
+describe('ChatService relevance guardrail', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    service = new ChatService();
+    service.minSimilarity = null;
+    service.noContextBehavior = 'refuse';
+    collections.getConfig.mockReturnValue(null);
+    provider = getProvider();
+    provider.chat.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the threshold from the request, then the collection, then the server', () => {
+    service.minSimilarity = 0.3;
+    collections.getConfig.mockReturnValue({ minSimilarity: 0.5, noContextBehavior: 'answer' });
+
+    expect(service.getGuardrailSettings({ minSimilarity: 0.7 })).toEqual({ minSimilarity: 0.7, noContextBehavior: 'answer' });
+    expect(service.getGuardrailSettings()).toEqual({ minSimilarity: 0.5, noContextBehavior: 'answer' });
+
+    collections.getConfig.mockReturnValue({ minSimilarity: null, noContextBehavior: null });
+    expect(service.getGuardrailSettings()).toEqual({ minSimilarity: 0.3, noContextBehavior: 'refuse' });
+  });
+
+  test('keeps keyword-only matches only next to a chunk that clears the threshold', () => {
+    const similar = { id: 'a', distance: 0.2 };
+    const distant = { id: 'b', distance: 0.8 };
+    const keywordOnly = { id: 'c' };
+
+    expect(service.applyRelevanceThreshold([similar, distant, keywordOnly], 0.5)).toEqual([similar, keywordOnly]);
+    expect(service.applyRelevanceThreshold([distant, keywordOnly], 0.5)).toEqual([]);
+    expect(service.applyRelevanceThreshold([distant], null)).toEqual([distant]);
+  });
+
+  test('refuses without calling the model when nothing is relevant', async () => {
+    jest.spyOn(service, 'retrieveDocuments').mockResolvedValue([]);
+
+    const result = await service.answerQuestion('What is the meaning of life?');
+
+    expect(result).toMatchObject({ answer: service.noContextMessage, sources: [], grounded: false });
+    expect(provider.chat).not.toHaveBeenCalled();
+  });
+
+  test('answers without context when the collection allows it', async () => {
+    collections.getConfig.mockReturnValue({ noContextBehavior: 'answer' });
+    jest.spyOn(service, 'retrieveDocuments').mockResolvedValue([]);
+    provider.chat.mockResolvedValue('From general knowledge.');
+
+    const result = await service.answerQuestion('What is the meaning of life?');
+
+    expect(result).toMatchObject({ answer: 'From general knowledge.', grounded: false });
+  });
+});
+
+describe('ChatService conversation history', () => {
+  test('sends earlier turns to the model as chat messages', async () => {
+    const service = new ChatService();
+    const provider = { chat: jest.fn(async () => 'It costs 50 euros.') };
+
+    await service.generateResponse('And the Team plan?', '[1] Team costs 50 euros.', history, { provider, model: 'test-model' });
+
+    const { model, messages } = provider.chat.mock.calls[0][0];
+    expect(model).toBe('test-model');
+    expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[1]).toEqual({ role: 'user', content: 'What does the Pro plan cost?' });
+    expect(messages[3].content).toContain('Question: And the Team plan?');
+    expect(messages[3].content).toContain('[1] Team costs 50 euros.');
+  });
+});
@@ -0,0 +1,76 @@
+const ChromaConnection = require('../../src/services/chromaConnection').constructor;
+
+const connectionError = () => Object.assign(new Error('fetch failed'), { name: 'ChromaConnectionError' });
+
+describe('ChromaConnection', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    connection = new ChromaConnection();
+    connection.client = { heartbeat: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('tells connection errors apart from failed requests', () => {
+    expect(connection.isConnectionError(connectionError())).toBe(true);
+    expect(connection.isConnectionError(connection.unavailableError())).toBe(true);
+    expect(connection.isConnectionError(new Error('Collection not found'))).toBe(false);
+  });
+
+  test('retries with exponential backoff until the server answers, then emits connected', async () => {
+    const connected = jest.fn();
+    connection.on('connected', connected);
+    connection.client.heartbeat.mockRejectedValue(connectionError());
+
+    await connection.connect();
+    expect(connection.getStatus()).toMatchObject({ status: 'unavailable', lastError: 'fetch failed' });
+    expect(connection.nextRetryAt.getTime() - Date.now()).toBe(1000);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(connection.client.heartbeat).toHaveBeenCalledTimes(2);
+    expect(connection.nextRetryAt.getTime() - Date.now()).toBe(2000);
+
+    connection.client.heartbeat.mockResolvedValue(1);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(connection.getStatus()).toMatchObject({ status: 'connected', lastError: null, nextRetryAt: null });
+    expect(connection.failures).toBe(0);
+    expect(connected).toHaveBeenCalledTimes(1);
+  });
+
+  test('caps the delay between attempts', async () => {
+    connection.maxRetryMs = 3000;
+    connection.failures = 10;
+
+    connection.markUnavailable(connectionError());
+
+    expect(connection.nextRetryAt.getTime() - Date.now()).toBe(3000);
+  });
+
+  test('schedules one reconnection however many requests fail', () => {
+    connection.markUnavailable(connectionError());
+    connection.markUnavailable(connectionError());
+
+    expect(connection.failures).toBe(1);
+    expect(jest.getTimerCount()).toBe(1);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not emit connected on the first successful request', async () => {
+    const connected = jest.fn();
+    connection.on('connected', connected);
+    connection.client.heartbeat.mockResolvedValue(1);
+
+    await expect(connection.connect()).resolves.toBe(true);
+
+    expect(connection.status).toBe('connected');
+    expect(connected).not.toHaveBeenCalled();
+  });
+});
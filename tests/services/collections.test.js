@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const collections = require('../../src/services/collections');
+
+const CollectionService = collections.constructor;
+
+describe('CollectionService', () => {
+  let dir;
+  let service;
+
+  const createService = () => {
+    const created = new CollectionService();
+    created.storagePath = path.join(dir, 'collections.json');
+    // Stands in for the vector store, keyword index and registry of a collection
+    created.openCollection = async (config) => ({
+      name: config.name,
+      config,
+      vectorStore: { drop: async () => {} },
+      documentRegistry: { drop: async () => {}, listDocuments: () => [] }
+    });
+    return created;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = createService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('tenant isolation', () => {
+    beforeEach(async () => {
+      await service.initialize();
+      await service.createCollection({ name: 'acme-handbook', tenant: 'acme' });
+      await service.createCollection({ name: 'globex-handbook', tenant: 'globex' });
+    });
+
+    test('lists and returns only the tenant\'s own collections', () => {
+      expect(service.listCollections('acme').map(config => config.name)).toEqual(['acme-handbook']);
+      expect(service.getConfig('acme-handbook', 'acme')).toMatchObject({ name: 'acme-handbook', tenant: 'acme' });
+      expect(service.getConfig('acme-handbook', 'globex')).toBeNull();
+      // Without a tenant (internal callers) every collection is visible
+      expect(service.listCollections().map(config => config.name)).toEqual([service.defaultName, 'acme-handbook', 'globex-handbook']);
+    });
+
+    test('does not open, update or delete another tenant\'s collection', async () => {
+      await expect(service.getCollection('acme-handbook', 'globex')).resolves.toBeNull();
+      await expect(service.updateCollection('acme-handbook', { description: 'Mine now' }, 'globex')).resolves.toBeNull();
+      await expect(service.deleteCollection('acme-handbook', 'globex')).resolves.toBeNull();
+      expect(service.getConfig('acme-handbook').description).toBe('');
+    });
+
+    test('creates a separate default collection per tenant on first use', async () => {
+      const collection = await service.getCollection(null, 'acme');
+
+      expect(collection.name).toBe('acme-default');
+      expect(service.getConfig('acme-default', 'acme')).not.toBeNull();
+      expect(service.getConfig('acme-default', 'globex')).toBeNull();
+      await expect(service.getCollection(null, 'globex')).resolves.toMatchObject({ name: 'globex-default' });
+    });
+
+    test('reserves other tenants\' default collection names', async () => {
+      await expect(service.createCollection({ name: 'acme-default', tenant: 'globex' }))
+        .rejects.toMatchObject({ code: 'INVALID_COLLECTION' });
+      await expect(service.createCollection({ name: 'acme-handbook', tenant: 'globex' }))
+        .rejects.toMatchObject({ code: 'COLLECTION_EXISTS' });
+    });
+
+    test('keeps tenant ownership across restarts', async () => {
+      const restarted = createService();
+      await restarted.initialize();
+
+      expect(restarted.listCollections('acme').map(config => config.name)).toEqual(['acme-handbook']);
+      expect(restarted.getConfig('globex-handbook', 'acme')).toBeNull();
+    });
+  });
+
+  test('writes every change of concurrent saves', async () => {
+    await service.initialize();
+    await Promise.all(['one', 'two', 'three'].map(name => service.createCollection({ name: `docs-${name}` })));
+
+    const saved = JSON.parse(fs.readFileSync(service.storagePath, 'utf-8'));
+    expect(saved.collections.map(config => config.name)).toEqual([service.defaultName, 'docs-one', 'docs-two', 'docs-three']);
+    expect(fs.readdirSync(dir)).toEqual(['collections.json']);
+  });
+
+  test('reports failed saves to the caller', async () => {
+    await service.initialize();
+    service.storagePath = path.join(dir, 'missing', 'collections.json');
+
+    await expect(service.createCollection({ name: 'docs-one' })).rejects.toMatchObject({ code: 'ENOENT' });
+    // The failure does not block later saves
+    service.storagePath = path.join(dir, 'collections.json');
+    await expect(service.createCollection({ name: 'docs-two' })).resolves.toMatchObject({ name: 'docs-two' });
+  });
+
+  test('keeps a corrupt collections file instead of saving over it', async () => {
+    fs.writeFileSync(service.storagePath, '{"collections": [{"name": "acme-hand');
+
+    await service.initialize();
+
+    const corrupt = fs.readdirSync(dir).filter(name => name.startsWith('collections.json.corrupt-'));
+    expect(corrupt).toHaveLength(1);
+    expect(fs.readFileSync(path.join(dir, corrupt[0]), 'utf-8')).toBe('{"collections": [{"name": "acme-hand');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not read collections'));
+  });
+
+  test('refuses to start when the collections file cannot be read', async () => {
+    fs.mkdirSync(service.storagePath);
+
+    await expect(service.initialize()).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+});
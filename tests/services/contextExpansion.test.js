@@ -0,0 +1,97 @@
+const { expandContext, isValidExpansionMode } = require('../../src/services/contextExpansion');
+
+// Chunk `index` of a document; the gaps between chunks make them join with a paragraph break
+const chunk = (documentId, index, metadata = {}) => ({
+  id: `${documentId}-${index}`,
+  content: `${documentId} part ${index}`,
+  metadata: { document_id: documentId, chunk_index: index, start_offset: index * 20, end_offset: index * 20 + 10, ...metadata }
+});
+
+const match = (stored, score) => ({ ...stored, score });
+
+const createVectorStore = (chunksByDocument) => ({
+  getDocumentChunks: jest.fn(async documentId => chunksByDocument[documentId] || [])
+});
+
+describe('expandContext', () => {
+  const doc = Array.from({ length: 6 }, (_, index) => chunk('doc', index));
+
+  test('returns the matches unchanged in "none" mode', async () => {
+    const vectorStore = createVectorStore({ doc });
+    const results = [match(doc[2], 0.9)];
+
+    await expect(expandContext(results, vectorStore, { mode: 'none' })).resolves.toBe(results);
+    expect(vectorStore.getDocumentChunks).not.toHaveBeenCalled();
+  });
+
+  test('adds the neighbouring chunks within the window', async () => {
+    const [passage] = await expandContext([match(doc[2], 0.9)], createVectorStore({ doc }), { mode: 'neighbors', window: 1 });
+
+    expect(passage.content).toBe('doc part 1\n\ndoc part 2\n\ndoc part 3');
+    expect(passage.chunkIds).toEqual(['doc-1', 'doc-2', 'doc-3']);
+    expect(passage.matchedChunkIds).toEqual(['doc-2']);
+    expect(passage.score).toBe(0.9);
+    expect(passage.metadata).toMatchObject({ chunk_index: 2, start_offset: 20, end_offset: 70 });
+  });
+
+  test('merges touching passages of a document, keeping the best match and rank order', async () => {
+    const other = [chunk('other', 0)];
+    const results = [match(doc[4], 0.9), match(other[0], 0.8), match(doc[1], 0.7)];
+
+    const passages = await expandContext(results, createVectorStore({ doc, other }), { mode: 'neighbors', window: 1 });
+
+    expect(passages).toHaveLength(2);
+    expect(passages[0].chunkIds).toEqual(['doc-0', 'doc-1', 'doc-2', 'doc-3', 'doc-4', 'doc-5']);
+    expect(passages[0].matchedChunkIds).toEqual(['doc-1', 'doc-4']);
+    expect(passages[0].score).toBe(0.9);
+    expect(passages[1].id).toBe('other-0');
+  });
+
+  test('drops the text that overlapping chunks repeat', async () => {
+    const overlapping = [
+      { id: 'a', content: 'alpha beta', metadata: { document_id: 'o', chunk_index: 0, start_offset: 0, end_offset: 10 } },
+      { id: 'b', content: 'beta gamma', metadata: { document_id: 'o', chunk_index: 1, start_offset: 6, end_offset: 16 } }
+    ];
+
+    const [passage] = await expandContext([match(overlapping[0], 0.5)], createVectorStore({ o: overlapping }), { mode: 'neighbors' });
+
+    expect(passage.content).toBe('alpha beta gamma');
+  });
+
+  test('widens a match to its section in "parent" mode, up to maxTokens', async () => {
+    const sectioned = doc.map((stored, index) => ({
+      ...stored,
+      metadata: { ...stored.metadata, heading_path: index < 2 ? 'Intro' : 'Pricing' }
+    }));
+    const vectorStore = createVectorStore({ doc: sectioned });
+
+    const [whole] = await expandContext([match(sectioned[3], 0.9)], vectorStore, { mode: 'parent', maxTokens: 800 });
+    expect(whole.chunkIds).toEqual(['doc-2', 'doc-3', 'doc-4', 'doc-5']);
+
+    // Each chunk is 3 tokens: the match and one more chunk fit
+    const [limited] = await expandContext([match(sectioned[3], 0.9)], vectorStore, { mode: 'parent', maxTokens: 6 });
+    expect(limited.chunkIds).toEqual(['doc-3', 'doc-4']);
+  });
+
+  test('falls back to neighbours in "parent" mode for chunks without a heading', async () => {
+    const [passage] = await expandContext([match(doc[2], 0.9)], createVectorStore({ doc }), { mode: 'parent', window: 1 });
+
+    expect(passage.chunkIds).toEqual(['doc-1', 'doc-2', 'doc-3']);
+  });
+
+  test('keeps matches it cannot expand as they are', async () => {
+    const withoutDocument = { id: 'x', content: 'loose chunk', metadata: { chunk_index: 0 }, score: 0.4 };
+    const unknown = match(chunk('missing', 0), 0.3);
+
+    const passages = await expandContext([withoutDocument, unknown], createVectorStore({}), { mode: 'neighbors' });
+
+    expect(passages).toEqual([withoutDocument, unknown]);
+  });
+});
+
+describe('isValidExpansionMode', () => {
+  test('accepts the known modes only', () => {
+    expect(['none', 'neighbors', 'parent'].every(isValidExpansionMode)).toBe(true);
+    expect(isValidExpansionMode('section')).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+const conversationContext = require('../../src/services/conversationContext');
+const { MemoryConversationStore } = require('../../src/services/conversationStore');
+
+const ConversationContextService = conversationContext.constructor;
+
+describe('ConversationContextService tenant namespacing', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new ConversationContextService();
+    service.store = new MemoryConversationStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the same session ID of two tenants apart', async () => {
+    await service.addMessage('shared-id', 'user', 'Acme question', {}, 'acme');
+    await service.addMessage('shared-id', 'user', 'Globex question', {}, 'globex');
+
+    const acme = await service.getContext('shared-id', false, 'acme');
+    const globex = await service.getContext('shared-id', false, 'globex');
+    expect(acme.map(message => message.content)).toEqual(['Acme question']);
+    expect(globex.map(message => message.content)).toEqual(['Globex question']);
+  });
+
+  test('does not reveal whether another tenant uses a session ID', async () => {
+    await service.createSession('acme-session', 'acme');
+
+    expect(await service.hasSession('acme-session', 'acme')).toBe(true);
+    expect(await service.hasSession('acme-session', 'globex')).toBe(false);
+    expect(await service.hasSession('unused-session', 'globex')).toBe(false);
+    await expect(service.getContext('acme-session', false, 'globex')).resolves.toEqual([]);
+    await expect(service.getConversationStats('acme-session', 'globex')).resolves.toBeNull();
+  });
+
+  test('clears and deletes only the tenant\'s own session', async () => {
+    await service.addMessage('shared-id', 'user', 'Acme question', {}, 'acme');
+    await service.addMessage('shared-id', 'user', 'Globex question', {}, 'globex');
+
+    await service.clearConversation('shared-id', 'globex');
+    await service.deleteSession('shared-id', 'globex');
+
+    expect(await service.hasSession('shared-id', 'globex')).toBe(false);
+    expect((await service.getContext('shared-id', false, 'acme')).map(message => message.content)).toEqual(['Acme question']);
+  });
+
+  test('cannot be fooled by session IDs that look like another tenant\'s key', async () => {
+    await service.createSession('secret', 'acme');
+
+    expect(await service.hasSession('acme:secret', 'default')).toBe(false);
+    expect(await service.hasSession('secret')).toBe(false);
+  });
+
+  test('records the owning tenant on created sessions', async () => {
+    await service.createSession('acme-session', 'acme');
+
+    expect(await service.store.getSession('acme:acme-session')).toMatchObject({ tenant: 'acme', messages: [] });
+  });
+});
+
+describe('ConversationContextService history window', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new ConversationContextService();
+    service.store = new MemoryConversationStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the stored turns after the system prompt', async () => {
+    await service.addMessage('s1', 'user', 'Which plans are there?');
+    await service.addMessage('s1', 'assistant', 'Pro and Team.');
+
+    const context = await service.getContext('s1');
+
+    expect(context.map(({ role, content }) => ({ role, content }))).toEqual([
+      { role: 'system', content: service.buildSystemPrompt() },
+      { role: 'user', content: 'Which plans are there?' },
+      { role: 'assistant', content: 'Pro and Team.' }
+    ]);
+  });
+
+  test('keeps only the most recent messages within the message and token limits', async () => {
+    service.maxContextLength = 4;
+    for (let i = 0; i < 6; i++) {
+      await service.addMessage('s1', i % 2 ? 'assistant' : 'user', `message ${i}`);
+    }
+    expect((await service.getContext('s1', false)).map(message => message.content))
+      .toEqual(['message 2', 'message 3', 'message 4', 'message 5']);
+
+    // Each message is 3 tokens; at least the last two are always kept
+    service.maxTokens = 7;
+    expect((await service.getContext('s1', false)).map(message => message.content)).toEqual(['message 4', 'message 5']);
+  });
+});
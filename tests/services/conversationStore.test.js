@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileConversationStore } = require('../../src/services/conversationStore');
+
+describe('FileConversationStore', () => {
+  let dir;
+  let storagePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    storagePath = path.join(dir, 'conversations.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const conversation = () => ({
+    createdAt: new Date('2025-01-01T00:00:00Z'),
+    lastAccessed: new Date('2025-01-02T00:00:00Z'),
+    messages: [{ role: 'user', content: 'Hello', timestamp: new Date('2025-01-02T00:00:00Z') }]
+  });
+
+  test('saves sessions and loads them back with dates restored', async () => {
+    const store = new FileConversationStore(storagePath);
+    await store.initialize();
+    await store.saveSession('s1', conversation());
+
+    expect(fs.readdirSync(dir)).toEqual(['conversations.json']);
+
+    const reloaded = new FileConversationStore(storagePath);
+    await reloaded.initialize();
+    const session = await reloaded.getSession('s1');
+    expect(session.lastAccessed).toEqual(new Date('2025-01-02T00:00:00Z'));
+    expect(session.messages[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  test('moves a corrupt file aside instead of overwriting it', async () => {
+    fs.writeFileSync(storagePath, '{"sessions": [{"id": "s1", "mess');
+
+    const store = new FileConversationStore(storagePath);
+    await store.initialize();
+    expect(await store.countSessions()).toBe(0);
+    expect(console.error).toHaveBeenCalled();
+
+    await store.saveSession('s2', conversation());
+    const corrupt = fs.readdirSync(dir).filter(name => name.startsWith('conversations.json.corrupt-'));
+    expect(corrupt).toHaveLength(1);
+    expect(fs.readFileSync(path.join(dir, corrupt[0]), 'utf-8')).toBe('{"sessions": [{"id": "s1", "mess');
+  });
+});
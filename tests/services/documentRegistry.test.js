@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentRegistry = require('../../src/services/documentRegistry');
+const TextSplitter = require('../../src/utils/textSplitter');
+
+// Records chunk writes instead of embedding them
+const createVectorStore = () => ({
+  added: [],
+  replaced: [],
+  addDocuments: async function (chunks) { this.added.push(...chunks); },
+  replaceDocumentChunks: async function (documentId, chunks) { this.replaced.push({ documentId, chunks }); }
+});
+
+const directoryFile = (directory, relativePath, content) => ({
+  content,
+  source: relativePath,
+  title: relativePath,
+  type: 'markdown',
+  file: { directory, path: relativePath, size: content.length, mtimeMs: 1000 }
+});
+
+describe('DocumentRegistry', () => {
+  let dir;
+  let vectorStore;
+  let registry;
+  const textSplitter = new TextSplitter();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    vectorStore = createVectorStore();
+    registry = new DocumentRegistry('test', { vectorStore });
+    registry.storagePath = path.join(dir, 'test.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('skips an upload whose content hash is unchanged', async () => {
+    const upload = { content: 'Leave is 25 days.', source: 'leave.md', type: 'markdown' };
+    const first = await registry.ingestDocuments([upload], textSplitter);
+    const again = await registry.ingestDocuments([{ ...upload }], textSplitter);
+
+    expect(again).toMatchObject({ added: 0, skipped: 1, replaced: 0, chunks: [] });
+    expect(again.documents[0].id).toBe(first.documents[0].id);
+    expect(vectorStore.added).toHaveLength(first.chunks.length);
+    expect(vectorStore.replaced).toHaveLength(0);
+  });
+
+  test('keeps files with the same relative path in different directories apart', async () => {
+    await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A')], textSplitter);
+    await registry.ingestDocuments([directoryFile('/docs/b', 'README.md', 'Project B')], textSplitter);
+
+    expect(registry.listDocuments()).toHaveLength(2);
+    expect(vectorStore.replaced).toHaveLength(0);
+
+    // Ingesting the first directory again finds its own, unchanged document
+    const summary = await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A')], textSplitter);
+    expect(summary.skipped).toBe(1);
+  });
+
+  test('replaces a changed file of the same directory', async () => {
+    await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A')], textSplitter);
+    const summary = await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A, revised')], textSplitter);
+
+    expect(summary.replaced).toBe(1);
+    expect(registry.listDocuments()).toHaveLength(1);
+  });
+
+  test('does not match uploads against directory files with the same source', async () => {
+    await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A')], textSplitter);
+    await registry.ingestDocuments([{ content: 'Uploaded', source: 'README.md', type: 'markdown' }], textSplitter);
+
+    expect(registry.listDocuments()).toHaveLength(2);
+  });
+
+  test('plans incremental ingests per directory', async () => {
+    await registry.ingestDocuments([directoryFile('/docs/a', 'README.md', 'Project A')], textSplitter);
+    const file = { path: '/docs/b/README.md', relativePath: 'README.md', size: 'Project A'.length, mtimeMs: 1000 };
+
+    const plan = await registry.planDirectoryIngest('/docs/b', [file], { incremental: true, textSplitter });
+
+    expect(plan.changed).toEqual([file]);
+    expect(plan.unchanged).toEqual([]);
+  });
+
+  test('saves concurrent changes in order and reloads them', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await Promise.all([
+      registry.ingestDocuments([{ content: 'One', source: 'one.md', type: 'markdown' }], textSplitter),
+      registry.ingestDocuments([{ content: 'Two', source: 'two.md', type: 'markdown' }], textSplitter)
+    ]);
+    await registry.pendingSave;
+
+    const reloaded = new DocumentRegistry('test', { vectorStore });
+    reloaded.storagePath = registry.storagePath;
+    await reloaded.loadFromStorage();
+
+    expect(reloaded.listDocuments().map(record => record.source).sort()).toEqual(['one.md', 'two.md']);
+    expect(fs.readdirSync(dir)).toEqual(['test.json']);
+  });
+
+  test('keeps an unreadable registry file and starts empty', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeFileSync(registry.storagePath, '{"documents": [');
+
+    await registry.loadFromStorage();
+
+    expect(registry.listDocuments()).toEqual([]);
+    expect(fs.readdirSync(dir).filter(name => name.startsWith('test.json.corrupt-'))).toHaveLength(1);
+  });
+
+  test('refuses to start over a registry file it cannot read', async () => {
+    fs.mkdirSync(registry.storagePath);
+
+    await expect(registry.loadFromStorage()).rejects.toThrow();
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const embeddingCache = require('../../src/services/embeddingCache');
+
+const EmbeddingCache = embeddingCache.constructor;
+
+describe('EmbeddingCache', () => {
+  let dir;
+  let storagePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-'));
+    storagePath = path.join(dir, 'embedding_cache.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createCache = (options = {}) => {
+    const cache = new EmbeddingCache({ storagePath, maxEntries: 10, ...options });
+    // Saves are awaited explicitly instead of on a timer
+    cache.scheduleSave = () => {};
+    return cache;
+  };
+  const readLines = () => fs.readFileSync(storagePath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  test('saves entries and loads them back', async () => {
+    const cache = createCache();
+    await cache.setMany('stub:test', ['alpha', 'beta'], [[0.5, -1], [0.25, 2]]);
+    await cache.saveToStorage();
+
+    const reloaded = createCache();
+    await expect(reloaded.getMany('stub:test', ['alpha', 'beta', 'gamma'])).resolves.toEqual([[0.5, -1], [0.25, 2], null]);
+    expect(reloaded.getStats()).toMatchObject({ entries: 2, hits: 2, misses: 1 });
+  });
+
+  test('appends only the entries that changed since the last save', async () => {
+    const cache = createCache();
+    await cache.setMany('stub:test', ['alpha', 'beta'], [[1], [2]]);
+    await cache.saveToStorage();
+    await cache.setMany('stub:test', ['gamma'], [[3]]);
+    await cache.getMany('stub:test', ['alpha']);
+    await cache.saveToStorage();
+    await cache.saveToStorage();
+
+    const lines = readLines();
+    expect(lines).toHaveLength(4);
+    expect(lines[2]).toEqual([cache.key('stub:test', 'gamma'), expect.any(String)]);
+    // A hit is recorded without the vector, so the reloaded cache keeps the recency order
+    expect(lines[3]).toEqual([cache.key('stub:test', 'alpha')]);
+
+    const reloaded = createCache();
+    await reloaded.ensureLoaded();
+    expect(Array.from(reloaded.entries.keys())).toEqual(['beta', 'gamma', 'alpha'].map(text => cache.key('stub:test', text)));
+  });
+
+  test('rewrites the file once it holds twice as many lines as the cache size', async () => {
+    const cache = createCache({ maxEntries: 2 });
+    for (const text of ['a', 'b', 'c', 'd']) {
+      await cache.setMany('stub:test', [text], [[text.charCodeAt(0)]]);
+      await cache.saveToStorage();
+    }
+    expect(readLines()).toHaveLength(4);
+
+    await cache.setMany('stub:test', ['e'], [[101]]);
+    await cache.saveToStorage();
+    expect(readLines().map(([key]) => key)).toEqual(['d', 'e'].map(text => cache.key('stub:test', text)));
+  });
+
+  test('drops a partial last line left by an interrupted write', async () => {
+    const cache = createCache();
+    await cache.setMany('stub:test', ['alpha'], [[1]]);
+    await cache.saveToStorage();
+    fs.appendFileSync(storagePath, '["stub:test:abc","AAA');
+
+    const reloaded = createCache();
+    await expect(reloaded.getMany('stub:test', ['alpha'])).resolves.toEqual([[1]]);
+    expect(console.error).not.toHaveBeenCalled();
+    expect(readLines()).toHaveLength(1);
+  });
+
+  test('keeps a corrupt file for inspection and rewrites the readable entries', async () => {
+    const cache = createCache();
+    await cache.setMany('stub:test', ['alpha', 'beta'], [[1], [2]]);
+    await cache.saveToStorage();
+    const [first, second] = fs.readFileSync(storagePath, 'utf-8').split('\n');
+    fs.writeFileSync(storagePath, `${first}\nnot json\n{"key": 1}\n${second}\n`);
+
+    const reloaded = createCache();
+    await expect(reloaded.getMany('stub:test', ['alpha', 'beta'])).resolves.toEqual([[1], [2]]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('2 unreadable lines'));
+    expect(fs.readdirSync(dir).filter(name => name.startsWith('embedding_cache.jsonl.corrupt-'))).toHaveLength(1);
+
+    await reloaded.saveToStorage();
+    expect(readLines()).toHaveLength(2);
+  });
+
+  test('clear empties the file', async () => {
+    const cache = createCache();
+    await cache.setMany('stub:test', ['alpha'], [[1]]);
+    await cache.saveToStorage();
+
+    await expect(cache.clear()).resolves.toBe(1);
+    expect(fs.readFileSync(storagePath, 'utf-8')).toBe('');
+  });
+});
@@ -0,0 +1,163 @@
+const ingestionJobs = require('../../src/services/ingestionJobs');
+
+const IngestionJobService = ingestionJobs.constructor;
+
+// Records ingested documents instead of chunking and embedding them
+const createRegistry = () => ({
+  ingested: [],
+  deleted: [],
+  ingestDocuments: jest.fn(async function (documents, textSplitter, { onProgress }) {
+    this.ingested.push(...documents);
+    onProgress(2, 2);
+    return {
+      added: documents.length,
+      skipped: 0,
+      replaced: 0,
+      chunks: [{}, {}],
+      documents: documents.map(document => ({ id: `id-${document.source}`, source: document.source, status: 'added' }))
+    };
+  }),
+  deleteDocument: jest.fn(async function (id) { this.deleted.push(id); })
+});
+
+const file = (name, overrides = {}) => ({
+  name,
+  load: jest.fn(async () => ({ source: name, content: `Content of ${name}` })),
+  cleanup: jest.fn(async () => {}),
+  ...overrides
+});
+
+describe('IngestionJobService', () => {
+  let service;
+  let registry;
+
+  const startJob = (files, options = {}) => service.createJob({
+    source: 'upload',
+    files,
+    collection: { name: 'docs', documentRegistry: registry },
+    textSplitter: null,
+    ...options
+  });
+
+  // Resolves once the job has finished, checking after every pending callback
+  const waitForJob = async (jobId) => {
+    while (!service.jobs.get(jobId).finishedAt) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return service.getJob(jobId);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new IngestionJobService();
+    registry = createRegistry();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs a queued job to completion', async () => {
+    const statuses = [];
+    const files = [file('a.md'), file('b.md')];
+    files[0].load.mockImplementation(async () => {
+      statuses.push(service.jobs.get(queued.id).status);
+      return { source: 'a.md', content: 'A' };
+    });
+
+    const queued = startJob(files);
+    expect(queued).toMatchObject({ status: 'queued', collection: 'docs', progress: { filesTotal: 2, filesProcessed: 0 } });
+
+    const job = await waitForJob(queued.id);
+    expect(statuses).toEqual(['running']);
+    expect(job).toMatchObject({
+      status: 'completed',
+      progress: { filesTotal: 2, filesProcessed: 2, currentFile: null, chunksEmbedded: 4, failures: 0, etaSeconds: null },
+      result: { added: 2, chunksCreated: 4, failures: [] }
+    });
+    expect(job.result.documents.map(document => document.source)).toEqual(['a.md', 'b.md']);
+    files.forEach(item => expect(item.cleanup).toHaveBeenCalled());
+  });
+
+  test('processes files enqueued while loading and deletes removed documents', async () => {
+    const files = [file('index.html', {
+      load: async ({ enqueue }) => {
+        enqueue(file('linked.html'));
+        return { source: 'index.html', content: 'Index' };
+      }
+    })];
+
+    const job = await waitForJob(startJob(files, { removals: [{ id: 'old-id', source: 'old.md' }] }).id);
+
+    expect(job.progress).toMatchObject({ filesTotal: 2, filesProcessed: 2 });
+    expect(registry.ingested.map(document => document.source)).toEqual(['index.html', 'linked.html']);
+    expect(registry.deleted).toEqual(['old-id']);
+    expect(job.result).toMatchObject({ added: 2, deleted: 1 });
+  });
+
+  test('records per-file failures and completes with the other files', async () => {
+    const files = [file('broken.pdf', { load: jest.fn(async () => { throw new Error('Invalid PDF structure'); }) }), file('b.md')];
+
+    const job = await waitForJob(startJob(files).id);
+
+    expect(job.status).toBe('completed');
+    expect(job.failures).toEqual([{ file: 'broken.pdf', error: 'Invalid PDF structure' }]);
+    expect(job.progress).toMatchObject({ filesProcessed: 2, failures: 1 });
+    expect(files[0].cleanup).toHaveBeenCalled();
+  });
+
+  test('fails when every file fails', async () => {
+    const failing = () => file('broken.pdf', { load: jest.fn(async () => { throw new Error('Invalid PDF structure'); }) });
+
+    const job = await waitForJob(startJob([failing(), failing()]).id);
+
+    expect(job.status).toBe('failed');
+    expect(job.failures).toHaveLength(2);
+  });
+
+  test('cancels a queued job without loading any file', async () => {
+    const files = [file('a.md'), file('b.md')];
+    const queued = startJob(files, { removals: [{ id: 'old-id', source: 'old.md' }] });
+
+    expect(service.cancelJob(queued.id)).toMatchObject({ status: 'cancelling' });
+    expect(service.jobs.get(queued.id).status).toBe('cancelling');
+
+    const job = await waitForJob(queued.id);
+    expect(job).toMatchObject({ status: 'cancelled', progress: { filesProcessed: 0 } });
+    files.forEach(item => {
+      expect(item.load).not.toHaveBeenCalled();
+      expect(item.cleanup).toHaveBeenCalled();
+    });
+    expect(registry.ingestDocuments).not.toHaveBeenCalled();
+    expect(registry.deleted).toEqual([]);
+  });
+
+  test('cancels a running job before its next file', async () => {
+    const files = [file('a.md'), file('b.md'), file('c.md')];
+    files[0].load.mockImplementation(async () => {
+      expect(service.cancelJob(queued.id)).toMatchObject({ status: 'cancelling' });
+      return { source: 'a.md', content: 'A' };
+    });
+
+    const queued = startJob(files);
+    const job = await waitForJob(queued.id);
+
+    expect(job.status).toBe('cancelled');
+    expect(files[1].load).not.toHaveBeenCalled();
+    expect(files[2].load).not.toHaveBeenCalled();
+    files.forEach(item => expect(item.cleanup).toHaveBeenCalled());
+    expect(service.cancelJob(queued.id)).toMatchObject({ status: 'cancelled' });
+  });
+
+  test('only shows a job to the tenant that started it', async () => {
+    const queued = startJob([file('a.md')], { tenant: 'acme' });
+
+    expect(service.getJob(queued.id, 'globex')).toBeNull();
+    expect(service.cancelJob(queued.id, 'globex')).toBeNull();
+    expect(service.listJobs('globex')).toEqual([]);
+    expect(service.listJobs('acme').map(job => job.id)).toEqual([queued.id]);
+
+    await waitForJob(queued.id);
+  });
+});
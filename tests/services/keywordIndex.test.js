@@ -0,0 +1,56 @@
+const KeywordIndex = require('../../src/services/keywordIndex');
+
+const chunk = (id, content, metadata = {}) => ({ id, content, metadata: { document_id: id.split('_')[0], ...metadata } });
+
+const CHUNKS = [
+  chunk('doc1_0', 'Error ERR-404 means the page was not found'),
+  chunk('doc1_1', 'Restart the router to clear the error', { type: 'pdf' }),
+  chunk('doc2_0', 'Part number part_no 7781 ships in March', { type: 'markdown' })
+];
+
+describe('KeywordIndex', () => {
+  let index;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    index = new KeywordIndex('test');
+    await index.initialize(async () => CHUNKS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is built from the vector store\'s chunks when opened', () => {
+    expect(index.chunks.size).toBe(3);
+    expect(index.search('router')[0]).toMatchObject({ id: 'doc1_1', content: CHUNKS[1].content });
+  });
+
+  test('matches identifiers whole and by their parts', () => {
+    expect(index.search('ERR-404').map(result => result.id)).toEqual(['doc1_0']);
+    expect(index.search('404').map(result => result.id)).toEqual(['doc1_0']);
+    expect(index.search('part_no').map(result => result.id)).toEqual(['doc2_0']);
+  });
+
+  test('ranks chunks with more matching terms higher and applies the filter', () => {
+    expect(index.search('error router').map(result => result.id)).toEqual(['doc1_1', 'doc1_0']);
+    expect(index.search('error router', 5, { type: 'pdf' }).map(result => result.id)).toEqual(['doc1_1']);
+    expect(index.search('unrelated')).toEqual([]);
+  });
+
+  test('replaces re-added chunks and removes chunks by metadata', () => {
+    index.addChunks([chunk('doc1_1', 'Reboot the modem')]);
+    expect(index.search('router')).toEqual([]);
+    expect(index.search('modem').map(result => result.id)).toEqual(['doc1_1']);
+
+    expect(index.removeChunks(metadata => metadata.document_id === 'doc1')).toBe(2);
+    expect(index.search('error modem')).toEqual([]);
+    expect(index.totalLength).toBe(index.tokenize(CHUNKS[2].content).length);
+  });
+
+  test('drop empties the index', () => {
+    index.drop();
+    expect(index.search('error')).toEqual([]);
+    expect(index.totalLength).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+const http = require('http');
+const { OpenAICompatibleProvider } = require('../../src/services/llmProviders');
+
+// Fake /chat/completions endpoint that streams the SSE lines set by each test
+describe('OpenAICompatibleProvider.streamChat', () => {
+  let server;
+  let lines;
+  let provider;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const line of lines) res.write(`${line}\n`);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = new OpenAICompatibleProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      retries: 0,
+      timeoutMs: 5000
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+
+  const collect = async () => {
+    const tokens = [];
+    for await (const token of provider.streamChat({ model: 'test', messages: [] })) {
+      tokens.push(token);
+    }
+    return tokens;
+  };
+
+  test('yields content deltas until [DONE]', async () => {
+    lines = [delta('Hello'), '', delta(', world'), 'data: [DONE]'];
+    await expect(collect()).resolves.toEqual(['Hello', ', world']);
+  });
+
+  test('skips comments, keep-alives, chunks without choices and lines that are not JSON', async () => {
+    lines = [
+      ': keep-alive',
+      delta('one'),
+      'data: {"choices": [{"delta": {"con',
+      'data: not json',
+      `data: ${JSON.stringify({ choices: [], usage: { total_tokens: 3 } })}`,
+      'event: ping',
+      delta(' two'),
+      'data: [DONE]'
+    ];
+    await expect(collect()).resolves.toEqual(['one', ' two']);
+  });
+
+  test('fails with PROVIDER_STREAM_ERROR when the server streams an error', async () => {
+    lines = [delta('partial'), `data: ${JSON.stringify({ error: { message: 'model overloaded' } })}`];
+    await expect(collect()).rejects.toMatchObject({
+      code: 'PROVIDER_STREAM_ERROR',
+      message: 'Stream failed: model overloaded'
+    });
+  });
+});
@@ -0,0 +1,239 @@
+jest.mock('../../src/services/collections', () => ({
+  getConfig: jest.fn(),
+  buildConfig: jest.fn(config => config),
+  getCollection: jest.fn(),
+  commitReindex: jest.fn()
+}));
+jest.mock('../../src/services/embedding', () => ({
+  providerName: 'stub',
+  model: 'old-model',
+  forModel: jest.fn((model, provider) => ({ model, provider }))
+}));
+jest.mock('../../src/services/vectorstore', () => jest.fn());
+
+const collections = require('../../src/services/collections');
+const VectorStore = require('../../src/services/vectorstore');
+const reindexJobs = require('../../src/services/reindexJobs');
+
+const ReindexJobService = reindexJobs.constructor;
+
+const chunk = (id, content = `content ${id}`) => ({ id, content, metadata: { source: 'doc.md' } });
+
+// In-memory stand-in for a VectorStore
+const createStore = (storeName, chunks = []) => ({
+  storeName,
+  chunks: new Map(chunks.map(item => [item.id, item])),
+  initialize: jest.fn(async () => {}),
+  getAllChunks: jest.fn(async function () { return Array.from(this.chunks.values()); }),
+  importChunks: jest.fn(async function (batch) { batch.forEach(item => this.chunks.set(item.id, item)); }),
+  removeChunksById: jest.fn(async function (ids) { ids.forEach(id => this.chunks.delete(id)); }),
+  pauseWrites: jest.fn(async () => {}),
+  resumeWrites: jest.fn(),
+  swapBackend: jest.fn(),
+  drop: jest.fn(async () => {})
+});
+
+describe('ReindexJobService', () => {
+  let service;
+  let source;
+  let targets;
+
+  const config = { name: 'docs', description: 'Docs', embeddingProvider: 'stub', embeddingModel: 'old-model' };
+
+  // Resolves once the job has finished, checking after every pending callback
+  const waitForJob = async (jobId) => {
+    while (!service.jobs.get(jobId).finishedAt) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return service.formatJob(service.jobs.get(jobId));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    service = new ReindexJobService();
+    source = createStore('docs', [chunk('a'), chunk('b'), chunk('c')]);
+    targets = [];
+
+    collections.getConfig.mockImplementation((name) => (name === 'docs' ? config : null));
+    collections.getCollection.mockImplementation(async () => ({ config, vectorStore: source }));
+    collections.commitReindex.mockImplementation(async (name, settings) => ({ ...config, ...settings }));
+    VectorStore.mockImplementation((name, { storeName }) => {
+      const target = createStore(storeName);
+      targets.push(target);
+      return target;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues a job, copies the chunks and swaps the new store in', async () => {
+    const phases = [];
+    VectorStore.mockImplementation((name, { storeName }) => {
+      const target = createStore(storeName);
+      target.importChunks.mockImplementation(async function (batch) {
+        phases.push(service.findActiveJob('docs').phase);
+        batch.forEach(item => this.chunks.set(item.id, item));
+      });
+      targets.push(target);
+      return target;
+    });
+
+    const queued = service.startJob('docs', { embeddingModel: 'new-model' });
+    expect(queued).toMatchObject({
+      status: 'queued',
+      phase: null,
+      collection: 'docs',
+      from: { embeddingProvider: 'stub', embeddingModel: 'old-model' },
+      to: { embeddingProvider: 'stub', embeddingModel: 'new-model' }
+    });
+
+    const job = await waitForJob(queued.id);
+    expect(job).toMatchObject({
+      status: 'completed',
+      phase: null,
+      error: null,
+      progress: { chunksTotal: 3, chunksEmbedded: 3 }
+    });
+    expect(phases).toEqual(['copying']);
+
+    const [target] = targets;
+    expect(Array.from(target.chunks.keys())).toEqual(['a', 'b', 'c']);
+    expect(collections.commitReindex).toHaveBeenCalledWith('docs', {
+      storeName: target.storeName,
+      embeddingModel: 'new-model',
+      embeddingProvider: 'stub'
+    });
+    expect(source.swapBackend).toHaveBeenCalledWith(target);
+    // After the swap the target object holds the previous store, which is removed
+    expect(target.drop).toHaveBeenCalled();
+  });
+
+  test('copies writes made during the copy before swapping', async () => {
+    source.getAllChunks.mockImplementationOnce(async function () {
+      const snapshot = Array.from(this.chunks.values());
+      // Writes that land after the initial snapshot
+      this.chunks.set('b', chunk('b', 'edited'));
+      this.chunks.delete('c');
+      this.chunks.set('d', chunk('d'));
+      return snapshot;
+    });
+
+    const job = await waitForJob(service.startJob('docs').id);
+
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ chunksTotal: 5, chunksEmbedded: 5 });
+    expect(Array.from(targets[0].chunks.values())).toEqual(Array.from(source.chunks.values()));
+  });
+
+  test('holds writes while swapping and resumes them afterwards', async () => {
+    const order = [];
+    source.pauseWrites.mockImplementation(async () => { order.push('pause'); });
+    collections.commitReindex.mockImplementation(async (name, settings) => {
+      order.push('commit');
+      return { ...config, ...settings };
+    });
+    source.swapBackend.mockImplementation(() => { order.push('swap'); });
+    source.resumeWrites.mockImplementation(() => { order.push('resume'); });
+
+    await waitForJob(service.startJob('docs').id);
+
+    expect(order).toEqual(['pause', 'commit', 'swap', 'resume']);
+  });
+
+  test('fails and removes the new store when copying fails', async () => {
+    VectorStore.mockImplementation((name, { storeName }) => {
+      const target = createStore(storeName);
+      target.importChunks.mockRejectedValue(new Error('embedding server unavailable'));
+      targets.push(target);
+      return target;
+    });
+
+    const job = await waitForJob(service.startJob('docs').id);
+
+    expect(job).toMatchObject({ status: 'failed', phase: null, error: 'embedding server unavailable' });
+    expect(collections.commitReindex).not.toHaveBeenCalled();
+    expect(source.swapBackend).not.toHaveBeenCalled();
+    expect(targets[0].drop).toHaveBeenCalled();
+  });
+
+  test('fails without swapping when the collection is deleted meanwhile', async () => {
+    collections.commitReindex.mockResolvedValue(null);
+
+    const job = await waitForJob(service.startJob('docs').id);
+
+    expect(job).toMatchObject({ status: 'failed', error: 'Collection docs was deleted during the re-index' });
+    expect(source.swapBackend).not.toHaveBeenCalled();
+    expect(source.resumeWrites).toHaveBeenCalled();
+  });
+
+  test('cancels a running job before its next batch and keeps the old store', async () => {
+    source = createStore('docs', Array.from({ length: 300 }, (_, i) => chunk(`chunk-${i}`)));
+    VectorStore.mockImplementation((name, { storeName }) => {
+      const target = createStore(storeName);
+      target.importChunks.mockImplementation(async function (batch) {
+        batch.forEach(item => this.chunks.set(item.id, item));
+        expect(service.cancelJob('docs')).toMatchObject({ status: 'cancelling', phase: 'copying' });
+      });
+      targets.push(target);
+      return target;
+    });
+
+    const job = await waitForJob(service.startJob('docs').id);
+
+    expect(job).toMatchObject({ status: 'cancelled', phase: null, error: null, progress: { chunksTotal: 300, chunksEmbedded: 256 } });
+    expect(collections.commitReindex).not.toHaveBeenCalled();
+    expect(targets[0].drop).toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('cancels a queued job before it creates a store', async () => {
+    const queued = service.startJob('docs');
+    expect(service.cancelJob('docs')).toMatchObject({ status: 'cancelling' });
+
+    const job = await waitForJob(queued.id);
+
+    expect(job).toMatchObject({ status: 'cancelled', error: null });
+    expect(VectorStore).not.toHaveBeenCalled();
+    expect(collections.commitReindex).not.toHaveBeenCalled();
+  });
+
+  test('runs one re-index per collection at a time', async () => {
+    expect(service.startJob('missing')).toBeNull();
+
+    const first = service.startJob('docs');
+    expect(() => service.startJob('docs')).toThrow(expect.objectContaining({ code: 'REINDEX_RUNNING' }));
+
+    await waitForJob(first.id);
+    const second = service.startJob('docs');
+    expect(service.getLatestJob('docs').id).toBe(second.id);
+    await waitForJob(second.id);
+  });
+
+  test('only lets the owning tenant see and cancel a job', async () => {
+    const queued = service.startJob('docs', {}, 'acme');
+
+    expect(service.getLatestJob('docs', 'other')).toBeNull();
+    expect(service.cancelJob('docs', 'other')).toBeNull();
+    expect(service.getLatestJob('docs', 'acme').id).toBe(queued.id);
+    expect(service.getLatestJob('docs').id).toBe(queued.id);
+
+    await waitForJob(queued.id);
+  });
+
+  test('keeps only the most recent finished jobs', async () => {
+    service.maxFinishedJobs = 2;
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const job = service.startJob('docs');
+      ids.push(job.id);
+      await waitForJob(job.id);
+    }
+
+    expect(Array.from(service.jobs.keys())).toEqual(ids.slice(1));
+  });
+});
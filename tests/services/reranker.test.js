@@ -0,0 +1,56 @@
+const { NoopReranker, LlmReranker, createReranker } = require('../../src/services/reranker');
+
+const candidate = (id) => ({ id, content: `passage ${id}`, score: 1 });
+
+describe('LlmReranker', () => {
+  let reranker;
+
+  beforeEach(() => {
+    reranker = new LlmReranker({ provider: 'stub', batchSize: 2 });
+    reranker.provider = { chat: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('orders candidates by score in batches, keeping ties in retrieval order', async () => {
+    reranker.provider.chat
+      .mockResolvedValueOnce('{"scores": [3, 9]}')
+      .mockResolvedValueOnce('{"scores": [3]}');
+
+    const ranked = await reranker.rerank('query', [candidate('a'), candidate('b'), candidate('c')]);
+
+    expect(reranker.provider.chat).toHaveBeenCalledTimes(2);
+    expect(ranked.map(doc => [doc.id, doc.rerankScore, doc.retrievalRank])).toEqual([
+      ['b', 0.9, 2],
+      ['a', 0.3, 1],
+      ['c', 0.3, 3]
+    ]);
+  });
+
+  test('clamps scores to 0-10 and treats non-numbers as 0', async () => {
+    reranker.provider.chat.mockResolvedValueOnce('{"scores": [14, "x"]}');
+
+    const ranked = await reranker.rerank('query', [candidate('a'), candidate('b')]);
+
+    expect(ranked.map(doc => doc.rerankScore)).toEqual([1, 0]);
+  });
+
+  test('keeps the retrieval order when the model replies with the wrong number of scores', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    reranker.provider.chat.mockResolvedValueOnce('{"scores": [5]}');
+    const candidates = [candidate('a'), candidate('b')];
+
+    await expect(reranker.rerank('query', candidates)).resolves.toBe(candidates);
+    expect(console.warn).toHaveBeenCalledWith('Reranking failed, keeping retrieval order:', 'Expected 2 scores from reranker');
+  });
+});
+
+describe('createReranker', () => {
+  test('builds the configured reranker', () => {
+    expect(createReranker('none')).toBeInstanceOf(NoopReranker);
+    expect(createReranker()).toMatchObject({ enabled: false });
+    expect(() => createReranker('cohere')).toThrow('Unknown reranker: cohere');
+  });
+});
@@ -0,0 +1,72 @@
+const { syncStores } = require('../../src/services/vectorStoreSync');
+
+const chunk = (id, content = `content ${id}`) => ({ id, content, metadata: { source: 'doc.md' }, embedding: [1, 0] });
+
+// In-memory stand-in for a VectorStore holding chunks with their embeddings
+const createStore = (chunks, model = 'stub:test') => ({
+  collectionName: 'docs',
+  embeddingService: { modelId: model },
+  chunks: new Map(chunks.map(item => [item.id, item])),
+  getEmbeddingInfo: jest.fn(async function () { return { model: this.chunks.size > 0 ? model : null }; }),
+  getAllChunks: jest.fn(async function () {
+    return Array.from(this.chunks.values(), ({ id, content, metadata }) => ({ id, content, metadata }));
+  }),
+  getStoredChunks: jest.fn(async function (ids) { return ids.map(id => this.chunks.get(id)); }),
+  copyStoredChunks: jest.fn(async function (batch) { batch.forEach(item => this.chunks.set(item.id, item)); }),
+  removeChunksById: jest.fn(async function (ids) { ids.forEach(id => this.chunks.delete(id)); })
+});
+
+describe('syncStores', () => {
+  test('copies missing and changed chunks with their embeddings', async () => {
+    const source = createStore([chunk('a'), chunk('b', 'new text'), chunk('c')]);
+    const target = createStore([chunk('b', 'old text'), chunk('c'), chunk('stale')]);
+
+    const result = await syncStores(source, target);
+
+    expect(result).toEqual({ chunks: 3, copied: 2, unchanged: 1, removed: 0 });
+    expect(source.getStoredChunks).toHaveBeenCalledWith(['a', 'b']);
+    expect(target.chunks.get('b').content).toBe('new text');
+    expect(target.chunks.has('stale')).toBe(true);
+  });
+
+  test('removes chunks the source does not have with prune', async () => {
+    const source = createStore([chunk('a')]);
+    const target = createStore([chunk('a'), chunk('stale')]);
+
+    const result = await syncStores(source, target, { prune: true });
+
+    expect(result).toEqual({ chunks: 1, copied: 0, unchanged: 1, removed: 1 });
+    expect(Array.from(target.chunks.keys())).toEqual(['a']);
+  });
+
+  test('only counts with dryRun', async () => {
+    const source = createStore([chunk('a'), chunk('b')]);
+    const target = createStore([chunk('stale')]);
+
+    const result = await syncStores(source, target, { prune: true, dryRun: true });
+
+    expect(result).toEqual({ chunks: 2, copied: 2, unchanged: 0, removed: 1 });
+    expect(target.copyStoredChunks).not.toHaveBeenCalled();
+    expect(target.removeChunksById).not.toHaveBeenCalled();
+  });
+
+  test('copies in batches and reports progress', async () => {
+    const source = createStore(Array.from({ length: 1200 }, (_, i) => chunk(`c${i}`)));
+    const target = createStore([]);
+    const onProgress = jest.fn();
+
+    await syncStores(source, target, { onProgress });
+
+    expect(target.copyStoredChunks).toHaveBeenCalledTimes(3);
+    expect(onProgress.mock.calls).toEqual([[500, 1200], [1000, 1200], [1200, 1200]]);
+    expect(target.chunks.size).toBe(1200);
+  });
+
+  test('refuses to copy vectors of another embedding model', async () => {
+    const source = createStore([chunk('a')], 'stub:other');
+    const target = createStore([]);
+
+    await expect(syncStores(source, target)).rejects.toMatchObject({ code: 'EMBEDDING_MISMATCH' });
+    expect(target.copyStoredChunks).not.toHaveBeenCalled();
+  });
+});
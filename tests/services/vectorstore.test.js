@@ -0,0 +1,184 @@
+jest.mock('../../src/services/chromaConnection', () => {
+  const EventEmitter = require('events');
+  const connection = new EventEmitter();
+  return Object.assign(connection, {
+    backend: 'auto',
+    client: null,
+    status: 'connected',
+    isConnectionError: error => error.name === 'ChromaConnectionError' || error.code === 'VECTOR_BACKEND_UNAVAILABLE',
+    unavailableError: () => Object.assign(new Error('ChromaDB is unavailable'), { code: 'VECTOR_BACKEND_UNAVAILABLE' }),
+    markUnavailable: jest.fn(() => { connection.status = 'unavailable'; }),
+    markConnected: jest.fn(() => { connection.status = 'connected'; })
+  });
+});
+jest.mock('../../src/services/simpleVectorStore', () => jest.fn());
+
+const chromaConnection = require('../../src/services/chromaConnection');
+const SimpleVectorStore = require('../../src/services/simpleVectorStore');
+const { prepareChunks } = require('../../src/utils/contentHash');
+const VectorStore = require('../../src/services/vectorstore');
+
+const connectionError = () => Object.assign(new Error('fetch failed'), { name: 'ChromaConnectionError' });
+
+const embeddingService = {
+  modelId: 'stub:test',
+  generateEmbeddings: async texts => texts.map(() => [1, 0]),
+  generateEmbedding: async () => [1, 0]
+};
+
+// ChromaDB client with one in-memory collection; every request fails while `down` is set
+const createChromaClient = () => {
+  const chunks = new Map();
+  const client = { down: false, chunks };
+  const reachable = (fn) => async (...args) => {
+    if (client.down) throw connectionError();
+    return fn(...args);
+  };
+  const write = ({ ids, embeddings, documents, metadatas }) => ids.forEach((id, index) => chunks.set(id, {
+    id, content: documents[index], metadata: metadatas[index], embedding: embeddings[index]
+  }));
+
+  const collection = {
+    metadata: { embedding_model: 'stub:test' },
+    get: reachable(({ ids, where, limit } = {}) => {
+      let found = Array.from(chunks.values())
+        .filter(chunk => !ids || ids.includes(chunk.id))
+        .filter(chunk => !where || chunk.metadata.document_id === where.document_id);
+      if (limit) found = found.slice(0, limit);
+      return {
+        ids: found.map(chunk => chunk.id),
+        documents: found.map(chunk => chunk.content),
+        metadatas: found.map(chunk => chunk.metadata),
+        embeddings: found.map(chunk => chunk.embedding)
+      };
+    }),
+    add: reachable(write),
+    upsert: reachable(write),
+    delete: reachable(({ ids }) => ids.forEach(id => chunks.delete(id)))
+  };
+  client.getCollection = reachable(async () => collection);
+  return client;
+};
+
+// Embedded store keeping chunks with their embeddings in memory
+const createSimpleStore = () => {
+  const chunks = new Map();
+  return {
+    chunks,
+    initialize: jest.fn(async () => {}),
+    addDocuments: jest.fn(async (documents) => {
+      prepareChunks(documents).forEach(doc => chunks.set(doc.id, {
+        id: doc.id, content: doc.content, metadata: { document_id: doc.documentId }, embedding: [1, 0]
+      }));
+      return { added: documents.length, skipped: 0 };
+    }),
+    deleteDocumentChunks: jest.fn(async (documentId) => {
+      const ids = Array.from(chunks.values()).filter(chunk => chunk.metadata.document_id === documentId).map(chunk => chunk.id);
+      ids.forEach(id => chunks.delete(id));
+      return ids.length;
+    }),
+    getStoredChunks: jest.fn(ids => ids.filter(id => chunks.has(id)).map(id => chunks.get(id)))
+  };
+};
+
+const doc = (documentId, content) => ({ documentId, content, source: `${documentId}.md` });
+
+describe('VectorStore failover', () => {
+  let client;
+  let simpleStore;
+  let store;
+
+  const createStore = (backend = 'auto') => {
+    store = new VectorStore('docs', { embeddingService, backend });
+    return store;
+  };
+
+  // recover() runs from the 'connected' event; wait until it has finished
+  const reconnect = async () => {
+    chromaConnection.emit('connected');
+    while (store.recovering) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = createChromaClient();
+    chromaConnection.client = client;
+    chromaConnection.status = 'connected';
+    simpleStore = createSimpleStore();
+    SimpleVectorStore.mockImplementation(() => simpleStore);
+  });
+
+  afterEach(() => {
+    chromaConnection.removeAllListeners();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test('starts on the embedded store in auto mode when ChromaDB cannot be reached', async () => {
+    client.down = true;
+    await createStore().initialize();
+
+    expect(store.activeBackend).toBe('embedded');
+    expect(store.fallback).toBe(true);
+    expect(chromaConnection.markUnavailable).toHaveBeenCalled();
+    expect(simpleStore.initialize).toHaveBeenCalled();
+  });
+
+  test('fails with VECTOR_BACKEND_UNAVAILABLE in chroma mode', async () => {
+    client.down = true;
+
+    await expect(createStore('chroma').initialize()).rejects.toMatchObject({ code: 'VECTOR_BACKEND_UNAVAILABLE' });
+    expect(simpleStore.initialize).not.toHaveBeenCalled();
+  });
+
+  test('fails over when ChromaDB goes away between requests', async () => {
+    await createStore().initialize();
+    expect(store.activeBackend).toBe('chroma');
+
+    client.down = true;
+    await store.addDocuments([doc('a', 'Leave is 25 days.')]);
+
+    expect(store.activeBackend).toBe('embedded');
+    expect(simpleStore.chunks.size).toBe(1);
+    expect(client.chunks.size).toBe(0);
+  });
+
+  test('copies the changes made during a failover to ChromaDB once it is back', async () => {
+    await createStore().initialize();
+    await store.addDocuments([doc('old', 'Removed while down.'), doc('kept', 'Still there.')]);
+
+    client.down = true;
+    await store.addDocuments([doc('new', 'Written while down.')]);
+    await store.deleteDocumentChunks('old');
+    expect(store.activeBackend).toBe('embedded');
+
+    client.down = false;
+    chromaConnection.status = 'connected';
+    await reconnect();
+
+    expect(store.activeBackend).toBe('chroma');
+    expect(store.fallback).toBe(false);
+    expect(Array.from(client.chunks.values(), chunk => chunk.content).sort()).toEqual(['Still there.', 'Written while down.']);
+  });
+
+  test('stays on the embedded store when ChromaDB is lost again while recovering', async () => {
+    client.down = true;
+    await createStore().initialize();
+    await store.addDocuments([doc('new', 'Written while down.')]);
+    chromaConnection.markUnavailable.mockClear();
+
+    await reconnect();
+
+    expect(store.activeBackend).toBe('embedded');
+    expect(store.fallback).toBe(true);
+    expect(chromaConnection.markUnavailable).toHaveBeenCalled();
+
+    // The next reconnection copies the same changes
+    client.down = false;
+    await reconnect();
+    expect(store.activeBackend).toBe('chroma');
+    expect(client.chunks.size).toBe(1);
+  });
+});
@@ -0,0 +1,187 @@
+const http = require('http');
+const WebCrawler = require('../../src/services/webCrawler');
+
+const page = (title, body, links = []) =>
+  `<html><head><title>${title}</title></head><body><main><p>${body}</p>${links.map(href => `<a href="${href}">link</a>`).join('')}</main></body></html>`;
+
+// Fixture site: / links to /a, /b, a repeat of /a and a page on another host; /a links one level
+// deeper; robots.txt disallows /private
+const createFixtureServer = () => http.createServer((req, res) => {
+  const { port } = req.socket.address();
+  const html = (body) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  };
+
+  switch (req.url) {
+    case '/':
+      return html(page('Home', 'Welcome home.', ['/a', '/b', '/a#section', `http://localhost:${port}/elsewhere`, '/private/secret']));
+    case '/a':
+      return html(page('Page A', 'Alpha content.', ['/a/deep', '/']));
+    case '/a/deep':
+      return html(page('Deep', 'Deep content.', ['/a/deeper']));
+    case '/a/deeper':
+      return html(page('Deeper', 'Deeper content.'));
+    case '/b':
+      return html(page('Page B', 'Bravo content.'));
+    case '/private/secret':
+      return html(page('Secret', 'Do not index.'));
+    case '/robots.txt':
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('User-agent: *\nDisallow: /private\n');
+    case '/sitemap.xml':
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      return res.end(`<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>http://127.0.0.1:${port}/a</loc></url>
+  <url><loc>http://127.0.0.1:${port}/b</loc></url>
+  <url><loc>http://127.0.0.1:${port}/b</loc></url>
+  <url><loc>http://127.0.0.1:${port}/private/secret</loc></url>
+</urlset>`);
+    case '/redirect':
+      res.writeHead(302, { Location: '/internal' });
+      return res.end();
+    case '/internal':
+      return html(page('Internal', 'Internal content.'));
+    case '/stream': {
+      // Chunked, without Content-Length, and larger than the test's maxBytes
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      let sent = 0;
+      const timer = setInterval(() => {
+        if (sent >= 100 || res.destroyed) {
+          clearInterval(timer);
+          return res.end();
+        }
+        res.write('x'.repeat(1024));
+        sent++;
+      }, 1);
+      return;
+    }
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+});
+
+// Fetch every queued page the way the ingest route does
+async function crawl(crawler, entries) {
+  const queue = [...entries];
+  const documents = [];
+  const failed = [];
+  for (let i = 0; i < queue.length; i++) {
+    try {
+      const { document, discovered } = await crawler.loadPage(queue[i]);
+      documents.push(document);
+      queue.push(...discovered);
+    } catch (error) {
+      failed.push({ url: queue[i].url, error: error.message });
+    }
+  }
+  return { documents, failed };
+}
+
+describe('WebCrawler', () => {
+  let server;
+  let origin;
+
+  beforeAll(async () => {
+    server = createFixtureServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createCrawler = (options = {}) => new WebCrawler({ allowPrivateNetworks: true, ...options });
+  const paths = (documents) => documents.map(doc => new URL(doc.source).pathname).sort();
+
+  test('uses the page URL as the source', async () => {
+    const crawler = createCrawler();
+    const { documents } = await crawl(crawler, await crawler.addStartUrls([`${origin}/a`]));
+
+    expect(documents).toHaveLength(1);
+    expect(documents[0]).toMatchObject({ source: `${origin}/a`, title: 'Page A', type: 'html' });
+    expect(documents[0].content).toContain('Alpha content.');
+  });
+
+  test('fetches only the start page at depth 0', async () => {
+    const crawler = createCrawler();
+    const { documents } = await crawl(crawler, await crawler.addStartUrls([`${origin}/`]));
+
+    expect(paths(documents)).toEqual(['/']);
+  });
+
+  test('follows links up to maxDepth, each URL once', async () => {
+    const crawler = createCrawler({ maxDepth: 1 });
+    const { documents } = await crawl(crawler, await crawler.addStartUrls([`${origin}/`]));
+
+    // /a#section is the same page as /a, and / is linked back from /a
+    expect(paths(documents)).toEqual(['/', '/a', '/b']);
+
+    const deeper = createCrawler({ maxDepth: 2 });
+    const result = await crawl(deeper, await deeper.addStartUrls([`${origin}/`]));
+    expect(paths(result.documents)).toEqual(['/', '/a', '/a/deep', '/b']);
+  });
+
+  test('stays on the start host', async () => {
+    const crawler = createCrawler({ maxDepth: 1 });
+    const { documents, failed } = await crawl(crawler, await crawler.addStartUrls([`${origin}/`]));
+
+    expect(documents.every(doc => new URL(doc.source).hostname === '127.0.0.1')).toBe(true);
+    expect(failed).toEqual([]);
+  });
+
+  test('respects robots.txt Disallow rules', async () => {
+    const crawler = createCrawler({ maxDepth: 1 });
+    const { documents } = await crawl(crawler, await crawler.addStartUrls([`${origin}/`]));
+
+    expect(paths(documents)).not.toContain('/private/secret');
+    expect(crawler.skipped).toEqual([{ url: `${origin}/private/secret`, reason: 'disallowed by robots.txt' }]);
+  });
+
+  test('queues the pages of a sitemap once, without disallowed ones', async () => {
+    const crawler = createCrawler();
+    const entries = await crawler.addSitemap(`${origin}/sitemap.xml`);
+
+    expect(entries).toEqual([{ url: `${origin}/a`, depth: 0 }, { url: `${origin}/b`, depth: 0 }]);
+    expect(crawler.skipped.map(skip => skip.url)).toEqual([`${origin}/private/secret`]);
+  });
+
+  test('stops at maxPages', async () => {
+    const crawler = createCrawler({ maxDepth: 2, maxPages: 2 });
+    const { documents } = await crawl(crawler, await crawler.addStartUrls([`${origin}/`]));
+
+    expect(documents).toHaveLength(2);
+  });
+
+  test('aborts downloads that exceed maxBytes without a Content-Length', async () => {
+    const crawler = createCrawler({ maxBytes: 10 * 1024 });
+    const [entry] = await crawler.addStartUrls([`${origin}/stream`]);
+
+    await expect(crawler.loadPage(entry)).rejects.toThrow('Response larger than 10240 bytes');
+  });
+
+  describe('without allowPrivateNetworks', () => {
+    test('refuses start URLs on loopback addresses', async () => {
+      const crawler = new WebCrawler({ allowPrivateNetworks: false });
+
+      await expect(crawler.addStartUrls([`${origin}/`])).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      await expect(crawler.addSitemap(`${origin}/sitemap.xml`)).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+    });
+
+    test('checks the address of every redirect hop', async () => {
+      const crawler = createCrawler();
+      const [entry] = await crawler.addStartUrls([`${origin}/redirect`]);
+      const checked = [];
+      crawler.checkAddress = async (url) => {
+        checked.push(new URL(url).pathname);
+        if (url.endsWith('/internal')) throw Object.assign(new Error('not a public address'), { code: 'URL_NOT_ALLOWED' });
+      };
+
+      await expect(crawler.loadPage(entry)).rejects.toThrow('not a public address');
+      expect(checked).toEqual(['/redirect', '/internal']);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { resolveCitations } = require('../../src/utils/citations');
+
+describe('resolveCitations', () => {
+  test('collects valid markers and leaves the answer unchanged', () => {
+    const result = resolveCitations('Leave is 25 days [1]. It can be carried over [2, 3].', 3);
+
+    expect(result).toEqual({
+      answer: 'Leave is 25 days [1]. It can be carried over [2, 3].',
+      cited: [1, 2, 3],
+      invalid: []
+    });
+  });
+
+  test('removes markers that point to passages that do not exist', () => {
+    const result = resolveCitations('Leave is 25 days [4]. It can be carried over [1].', 2);
+
+    expect(result.answer).toBe('Leave is 25 days. It can be carried over [1].');
+    expect(result.cited).toEqual([1]);
+    expect(result.invalid).toEqual([4]);
+  });
+
+  test('keeps the valid numbers of a partly invalid marker', () => {
+    const result = resolveCitations('Leave is 25 days [0, 2, 7].', 2);
+
+    expect(result.answer).toBe('Leave is 25 days [2].');
+    expect(result.cited).toEqual([2]);
+    expect(result.invalid).toEqual([0, 7]);
+  });
+
+  test('reports each passage once, in order', () => {
+    const result = resolveCitations('A [2]. B [1]. C [2, 1].', 2);
+
+    expect(result.cited).toEqual([1, 2]);
+  });
+
+  test('ignores indexes directly after a name', () => {
+    const result = resolveCitations('Use items[0] and x[2] as shown [1].', 1);
+
+    expect(result).toEqual({ answer: 'Use items[0] and x[2] as shown [1].', cited: [1], invalid: [] });
+  });
+
+  test('ignores brackets inside inline and fenced code', () => {
+    const answer = 'Call `get([5])` first [1].\n\n```js\nconst first = list [3];\n```\nSee [2].';
+    const result = resolveCitations(answer, 2);
+
+    expect(result).toEqual({ answer, cited: [1, 2], invalid: [] });
+  });
+
+  test('ignores brackets in an unclosed code block', () => {
+    const answer = 'Example [1]:\n```\nrows [4]';
+
+    expect(resolveCitations(answer, 1)).toEqual({ answer, cited: [1], invalid: [] });
+  });
+
+  test('handles answers without markers', () => {
+    expect(resolveCitations('No idea.', 3)).toEqual({ answer: 'No idea.', cited: [], invalid: [] });
+  });
+});
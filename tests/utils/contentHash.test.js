@@ -0,0 +1,39 @@
+const { hashContent, getChunkId, prepareChunks } = require('../../src/utils/contentHash');
+
+describe('prepareChunks', () => {
+  test('gives the same chunk of the same document the same ID', () => {
+    const [first] = prepareChunks([{ documentId: 'doc-1', content: 'Leave is 25 days.' }]);
+    const [again] = prepareChunks([{ documentId: 'doc-1', content: 'Leave is 25 days.' }]);
+
+    expect(first.contentHash).toBe(hashContent('Leave is 25 days.'));
+    expect(first.id).toBe(getChunkId('doc-1', first.contentHash));
+    expect(again.id).toBe(first.id);
+  });
+
+  test('keeps equal chunks of different documents apart', () => {
+    const chunks = prepareChunks([
+      { documentId: 'doc-1', content: 'Contact HR.' },
+      { documentId: 'doc-2', content: 'Contact HR.' }
+    ]);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].id).not.toBe(chunks[1].id);
+  });
+
+  test('drops chunks repeated within a document', () => {
+    const chunks = prepareChunks([
+      { documentId: 'doc-1', content: 'Header' },
+      { documentId: 'doc-1', content: 'Body' },
+      { documentId: 'doc-1', content: 'Header' }
+    ]);
+
+    expect(chunks.map(chunk => chunk.content)).toEqual(['Header', 'Body']);
+  });
+
+  test('uses a content hash passed in by the caller', () => {
+    const [chunk] = prepareChunks([{ documentId: 'doc-1', content: 'Body', contentHash: 'abc' }]);
+
+    expect(chunk.contentHash).toBe('abc');
+    expect(chunk.id).toBe(getChunkId('doc-1', 'abc'));
+  });
+});
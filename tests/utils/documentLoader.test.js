@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const documentLoader = require('../../src/utils/documentLoader');
+
+const NS = {
+  drawing: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  presentation: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+  spreadsheet: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+const relationshipsXml = (relationships) => `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="${NS.packageRelationships}">${relationships
+  .map(({ id, type, target }) => `<Relationship Id="${id}" Type="${NS.relationships}/${type}" Target="${target}"/>`)
+  .join('')}</Relationships>`;
+
+const shapeXml = (paragraphs, placeholder = null) => `<p:sp>
+  <p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>
+  <p:txBody>${paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody>
+</p:sp>`;
+
+const slideXml = (shapes) => `<?xml version="1.0" encoding="UTF-8"?>
+<p:sld xmlns:p="${NS.presentation}" xmlns:a="${NS.drawing}"><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+// Two slides, listed in the opposite order of their part names; the first has speaker notes
+async function buildPptx() {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<p:presentation xmlns:p="${NS.presentation}" xmlns:r="${NS.relationships}">
+  <p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst>
+</p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', relationshipsXml([
+    { id: 'rId1', type: 'slide', target: 'slides/slide1.xml' },
+    { id: 'rId2', type: 'slide', target: 'slides/slide2.xml' }
+  ]));
+  zip.file('ppt/slides/slide2.xml', slideXml([shapeXml(['Pricing'], 'title'), shapeXml(['Pro costs 20', 'Team costs 50'])]));
+  zip.file('ppt/slides/_rels/slide2.xml.rels', relationshipsXml([
+    { id: 'rId1', type: 'notesSlide', target: '../notesSlides/notesSlide1.xml' }
+  ]));
+  zip.file('ppt/notesSlides/notesSlide1.xml', slideXml([shapeXml(['Slide image'], 'sldImg'), shapeXml(['Mention the discount'], 'body')]));
+  zip.file('ppt/slides/slide1.xml', slideXml([shapeXml(['No title here'])]));
+  return await zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function buildXlsx() {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="${NS.spreadsheet}" xmlns:r="${NS.relationships}">
+  <sheets><sheet name="Plans" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', relationshipsXml([{ id: 'rId1', type: 'worksheet', target: 'worksheets/sheet1.xml' }]));
+  zip.file('xl/sharedStrings.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<sst xmlns="${NS.spreadsheet}"><si><t>Plan</t></si><si><t>Price</t></si><si><r><t>Pro</t></r><r><t> plan</t></r></si></sst>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="${NS.spreadsheet}"><sheetData>
+  <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Active</t></is></c></row>
+  <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>20</v></c><c r="C2" t="b"><v>1</v></c></row>
+  <row r="3"><c r="C3" t="b"><v>0</v></c></row>
+</sheetData></worksheet>`);
+  return await zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('DocumentLoader', () => {
+  let dir;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loader-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads HTML as text, titled by the page', async () => {
+    const filePath = writeFile('leave.html', '<title>Leave policy</title><main><h1>Leave</h1><p>25 days.</p></main>');
+
+    await expect(documentLoader.loadDocument(filePath)).resolves.toEqual({
+      content: '# Leave\n\n25 days.',
+      source: 'leave.html',
+      title: 'Leave policy',
+      type: 'html'
+    });
+  });
+
+  test('loads CSV as one table with its header range', async () => {
+    const filePath = writeFile('plans.csv', 'Plan,Price\nPro,20\n');
+
+    const document = await documentLoader.loadDocument(filePath);
+
+    expect(document).toMatchObject({ content: 'Plan | Price\nPro | 20', title: 'plans', type: 'csv' });
+    expect(document.tables).toEqual([{ start: 0, headerEnd: 12, end: 21 }]);
+  });
+
+  test('flattens JSON to one line per value', async () => {
+    const filePath = writeFile('config.json', JSON.stringify({ name: 'Pro', items: [{ price: 12 }, null], active: true }));
+
+    const document = await documentLoader.loadDocument(filePath);
+
+    expect(document.content).toBe('name: Pro\nitems[0].price: 12\nitems[1]: null\nactive: true');
+    expect(document.type).toBe('json');
+  });
+
+  test('loads PowerPoint slides in presentation order with titles and notes', async () => {
+    const filePath = writeFile('deck.pptx', await buildPptx());
+
+    const document = await documentLoader.loadDocument(filePath);
+
+    expect(document.content).toBe('Slide 1: Pricing\nPro costs 20\nTeam costs 50\nNotes: Mention the discount\n\nSlide 2\nNo title here');
+    expect(document).toMatchObject({ title: 'deck', type: 'pptx', pages: 2 });
+    expect(document.pageStarts).toEqual([0, document.content.indexOf('Slide 2')]);
+  });
+
+  test('loads Excel sheets as tables headed by the sheet name', async () => {
+    const filePath = writeFile('plans.xlsx', await buildXlsx());
+
+    const document = await documentLoader.loadDocument(filePath);
+
+    expect(document.content).toBe('Sheet: Plans\nPlan | Price | Active\nPro plan | 20 | TRUE\n |  | FALSE');
+    expect(document.tables).toEqual([{ start: 0, headerEnd: 'Sheet: Plans\nPlan | Price | Active'.length, end: document.content.length }]);
+    expect(document.type).toBe('xlsx');
+  });
+
+  test('picks a loader by MIME type when the extension is unknown', async () => {
+    const filePath = writeFile('upload-1234', '<p>Uploaded page</p>');
+
+    const document = await documentLoader.loadDocument(filePath, { mimeType: 'text/html; charset=utf-8' });
+
+    expect(document.content).toBe('Uploaded page');
+    expect(documentLoader.isSupported('notes.bin')).toBe(false);
+  });
+
+  test('rejects Office files that are not what their extension says', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const filePath = writeFile('fake.xlsx', await buildPptx());
+
+    await expect(documentLoader.loadDocument(filePath)).rejects.toThrow('Not an Excel workbook');
+  });
+});
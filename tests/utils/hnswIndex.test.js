@@ -0,0 +1,130 @@
+const { HnswIndex, dotProduct, normalize } = require('../../src/utils/hnswIndex');
+
+const DIMENSIONS = 24;
+const COUNT = 800;
+
+// Deterministic pseudo-random numbers, so the data and the index levels are the same every run
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomVectors = (count, random) => {
+  const vectors = new Float32Array(count * DIMENSIONS);
+  for (let slot = 0; slot < count; slot++) {
+    const vector = vectors.subarray(slot * DIMENSIONS, (slot + 1) * DIMENSIONS);
+    for (let i = 0; i < DIMENSIONS; i++) vector[i] = random() * 2 - 1;
+    normalize(vector);
+  }
+  return vectors;
+};
+
+const exactNeighbours = (vectors, query, k, slots) => slots
+  .map(slot => ({ slot, similarity: dotProduct(query, 0, vectors, slot * DIMENSIONS, DIMENSIONS) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, k)
+  .map(({ slot }) => slot);
+
+// Share of the exact top k found by the index, over several queries
+const recall = (index, vectors, queries, k, slots) => {
+  let found = 0;
+  for (const query of queries) {
+    const expected = new Set(exactNeighbours(vectors, query, k, slots));
+    found += index.search(query, k, 50).filter(({ slot }) => expected.has(slot)).length;
+  }
+  return found / (queries.length * k);
+};
+
+describe('normalize and dotProduct', () => {
+  test('scale vectors to unit length, leaving zero vectors alone', () => {
+    const vector = normalize(Float32Array.from([3, 0, 4, 0, 0]));
+    expect(Array.from(vector)).toEqual([0.6000000238418579, 0, 0.800000011920929, 0, 0]);
+    expect(dotProduct(vector, 0, vector, 0, vector.length)).toBeCloseTo(1, 6);
+    expect(Array.from(normalize(new Float32Array(3)))).toEqual([0, 0, 0]);
+  });
+});
+
+describe('HnswIndex', () => {
+  let random;
+  let vectors;
+  let queries;
+  let index;
+  const allSlots = Array.from({ length: COUNT }, (_, slot) => slot);
+
+  beforeEach(() => {
+    random = createRandom(42);
+    jest.spyOn(Math, 'random').mockImplementation(random);
+    vectors = randomVectors(COUNT, random);
+    queries = Array.from({ length: 20 }, (_, i) => randomVectors(1, createRandom(1000 + i)));
+    index = new HnswIndex({ dimensions: DIMENSIONS, getVectors: () => vectors, m: 8, efConstruction: 64 });
+    allSlots.forEach(slot => index.add(slot));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns nothing while empty', () => {
+    const empty = new HnswIndex({ dimensions: DIMENSIONS, getVectors: () => vectors });
+    expect(empty.search(queries[0], 5, 50)).toEqual([]);
+  });
+
+  test('finds a stored vector first, best matches first', () => {
+    const results = index.search(vectors.subarray(17 * DIMENSIONS, 18 * DIMENSIONS), 5, 50);
+
+    expect(results[0].slot).toBe(17);
+    expect(results[0].similarity).toBeCloseTo(1, 5);
+    const similarities = results.map(({ similarity }) => similarity);
+    expect(similarities).toEqual([...similarities].sort((a, b) => b - a));
+  });
+
+  test('finds nearly all exact nearest neighbours', () => {
+    expect(recall(index, vectors, queries, 10, allSlots)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('only returns accepted slots', () => {
+    const even = (slot) => slot % 2 === 0;
+    const results = index.search(queries[0], 10, 100, even);
+
+    expect(results).toHaveLength(10);
+    expect(results.every(({ slot }) => even(slot))).toBe(true);
+  });
+
+  test('searches the same after a serialize and deserialize round trip', () => {
+    const data = index.serialize();
+    const restored = HnswIndex.deserialize(data, { dimensions: DIMENSIONS, getVectors: () => vectors });
+
+    expect(restored).toMatchObject({ m: 8, efConstruction: 64, entryPoint: index.entryPoint, maxLevel: index.maxLevel });
+    expect(restored.links).toEqual(index.links);
+    expect(Array.from(restored.serialize())).toEqual(Array.from(data));
+    for (const query of queries) {
+      expect(restored.search(query, 10, 50)).toEqual(index.search(query, 10, 50));
+    }
+  });
+
+  test('keeps slots that are not in the graph when serializing', () => {
+    const sparse = new HnswIndex({ dimensions: DIMENSIONS, getVectors: () => vectors });
+    [0, 3, 4].forEach(slot => sparse.add(slot));
+
+    const restored = HnswIndex.deserialize(sparse.serialize(), { dimensions: DIMENSIONS, getVectors: () => vectors });
+    expect(restored.levels).toEqual(sparse.levels);
+    expect(restored.search(vectors.subarray(3 * DIMENSIONS, 4 * DIMENSIONS), 3, 10).map(({ slot }) => slot).sort()).toEqual([0, 3, 4]);
+  });
+
+  test('still finds the remaining nodes after dropped slots are remapped', () => {
+    // Drop every third slot, as compaction does with deleted chunks
+    const mapping = new Int32Array(COUNT).fill(-1);
+    const kept = allSlots.filter(slot => slot % 3 !== 0);
+    kept.forEach((slot, next) => { mapping[slot] = next; });
+
+    index.remap(mapping);
+    const compacted = new Float32Array(kept.length * DIMENSIONS);
+    kept.forEach((slot, next) => compacted.set(vectors.subarray(slot * DIMENSIONS, (slot + 1) * DIMENSIONS), next * DIMENSIONS));
+    vectors = compacted;
+
+    const keptSlots = kept.map((slot, next) => next);
+    expect(index.levels).toHaveLength(kept.length);
+    expect(index.links.flat(2).every(slot => slot >= 0 && slot < kept.length)).toBe(true);
+    expect(recall(index, vectors, queries, 10, keptSlots)).toBeGreaterThanOrEqual(0.9);
+  });
+});
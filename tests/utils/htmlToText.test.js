@@ -0,0 +1,72 @@
+const { htmlToText, extractLinks } = require('../../src/utils/htmlToText');
+
+describe('htmlToText', () => {
+  test('keeps only the main content and converts its structure to Markdown', () => {
+    const html = `<!DOCTYPE html>
+      <html><head><title> Leave   policy </title><style>p { color: red }</style></head>
+      <body>
+        <nav><a href="/">Home</a></nav>
+        <main>
+          <h1>Leave</h1>
+          <p>Staff get   25 days.<br>Part-time staff pro rata.</p>
+          <h2>Carry-over</h2>
+          <ul><li>Up to 5 days</li><li>Until <b>March</b></li></ul>
+          <ol><li>Ask your manager</li><li>Book it</li></ol>
+          <script>track()</script>
+        </main>
+        <footer>Copyright</footer>
+      </body></html>`;
+
+    expect(htmlToText(html)).toEqual({
+      title: 'Leave policy',
+      text: [
+        '# Leave',
+        '',
+        'Staff get 25 days.',
+        'Part-time staff pro rata.',
+        '',
+        '## Carry-over',
+        '',
+        '- Up to 5 days',
+        '- Until March',
+        '',
+        '1. Ask your manager',
+        '2. Book it'
+      ].join('\n')
+    });
+  });
+
+  test('renders tables as rows and keeps code blocks as written', () => {
+    const html = `<article>
+      <table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>20</td></tr><tr><td></td><td> </td></tr></table>
+      <pre>if (a) {
+    run();
+}</pre>
+    </article>`;
+
+    expect(htmlToText(html).text).toBe('Plan | Price\nPro | 20\n\n```\nif (a) {\n    run();\n}\n```');
+  });
+
+  test('falls back to the first heading for the title, and the whole page without a main element', () => {
+    const { title, text } = htmlToText('<div><h1>Pricing</h1><aside>Ads</aside><p>Pro costs 20.</p></div>');
+
+    expect(title).toBe('Pricing');
+    expect(text).toBe('# Pricing\n\nPro costs 20.');
+  });
+});
+
+describe('extractLinks', () => {
+  test('resolves http(s) links against the page and its base element, without fragments or duplicates', () => {
+    const html = `<head><base href="/docs/"></head>
+      <a href="intro.html#setup">Intro</a>
+      <a href="intro.html">Intro again</a>
+      <a href="https://other.example/page">Other</a>
+      <a href="mailto:hr@example.com">Mail</a>
+      <a href="http://[bad">Broken</a>`;
+
+    expect(extractLinks(html, 'https://example.com/index.html')).toEqual([
+      'https://example.com/docs/intro.html',
+      'https://other.example/page'
+    ]);
+  });
+});
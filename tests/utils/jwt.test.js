@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { isJwt, verifyJwt, signJwt } = require('../../src/utils/jwt');
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('isJwt', () => {
+  test('recognizes three base64url segments', () => {
+    expect(isJwt(signJwt({ sub: 'user-1' }, SECRET))).toBe(true);
+    expect(isJwt('rag_0123456789abcdef')).toBe(false);
+    expect(isJwt('a.b')).toBe(false);
+    expect(isJwt('a.b.c+')).toBe(false);
+  });
+});
+
+describe('verifyJwt', () => {
+  test('returns the claims of a valid token', () => {
+    const claims = { sub: 'user-1', role: 'admin', exp: now() + 3600 };
+    expect(verifyJwt(signJwt(claims, SECRET), SECRET)).toEqual(claims);
+  });
+
+  test('rejects a token signed with another secret', () => {
+    expect(() => verifyJwt(signJwt({ sub: 'user-1' }, 'other-secret'), SECRET)).toThrow('Invalid token signature');
+  });
+
+  test('rejects a token whose payload was changed', () => {
+    const [header, , signature] = signJwt({ sub: 'user-1', role: 'user' }, SECRET).split('.');
+    const forged = `${header}.${encode({ sub: 'user-1', role: 'admin' })}.${signature}`;
+    expect(() => verifyJwt(forged, SECRET)).toThrow('Invalid token signature');
+  });
+
+  test('rejects a truncated signature', () => {
+    const token = signJwt({ sub: 'user-1' }, SECRET);
+    expect(() => verifyJwt(token.slice(0, -4), SECRET)).toThrow('Invalid token signature');
+  });
+
+  test.each([
+    ['none', `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'user-1' })}.AAAA`],
+    ['HS512', (() => {
+      const data = `${encode({ alg: 'HS512', typ: 'JWT' })}.${encode({ sub: 'user-1' })}`;
+      return `${data}.${crypto.createHmac('sha512', SECRET).update(data).digest('base64url')}`;
+    })()]
+  ])('rejects the %s algorithm', (alg, token) => {
+    expect(() => verifyJwt(token, SECRET)).toThrow('Unsupported token algorithm');
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(() => verifyJwt('not-a-token', SECRET)).toThrow('Malformed token');
+    expect(() => verifyJwt('bm90.anNvbg.c2ln', SECRET)).toThrow('Malformed token');
+  });
+
+  test('checks exp and nbf with a minute of clock skew', () => {
+    expect(() => verifyJwt(signJwt({ exp: now() - 120 }, SECRET), SECRET)).toThrow('Token has expired');
+    expect(() => verifyJwt(signJwt({ nbf: now() + 120 }, SECRET), SECRET)).toThrow('Token is not valid yet');
+    expect(() => verifyJwt(signJwt({ exp: now() - 30, nbf: now() + 30 }, SECRET), SECRET)).not.toThrow();
+  });
+
+  test('checks iss and aud only when expected values are given', () => {
+    const token = signJwt({ iss: 'auth.example.com', aud: ['rag-api', 'other'] }, SECRET);
+
+    expect(() => verifyJwt(token, SECRET)).not.toThrow();
+    expect(() => verifyJwt(token, SECRET, { issuer: 'auth.example.com', audience: 'rag-api' })).not.toThrow();
+    expect(() => verifyJwt(token, SECRET, { issuer: 'evil.example.com' })).toThrow('Invalid token issuer');
+    expect(() => verifyJwt(token, SECRET, { audience: 'admin-api' })).toThrow('Invalid token audience');
+    expect(() => verifyJwt(signJwt({ aud: 'rag-api' }, SECRET), SECRET, { audience: 'rag-api' })).not.toThrow();
+  });
+});
@@ -0,0 +1,88 @@
+const { validateFilter, toChromaWhere, matchesFilter } = require('../../src/utils/metadataFilter');
+
+describe('validateFilter', () => {
+  test('accepts equality, operators, tags and logical combinations', () => {
+    expect(() => validateFilter({ type: 'pdf' })).not.toThrow();
+    expect(() => validateFilter({ pages: { $gte: 10, $lt: 50 } })).not.toThrow();
+    expect(() => validateFilter({ tags: { $in: ['hr', 'legal'] } })).not.toThrow();
+    expect(() => validateFilter({ $or: [{ type: 'pdf' }, { type: 'docx' }] })).not.toThrow();
+  });
+
+  test.each([
+    ['a non-object filter', ['pdf'], 'Filter must be an object'],
+    ['an empty $or', { $or: [] }, '$or must be a non-empty array of filters'],
+    ['an unknown top-level operator', { $not: { type: 'pdf' } }, 'Unknown filter operator $not'],
+    ['a range operator without a number', { pages: { $gt: '10' } }, '$gt on "pages" requires a number'],
+    ['an empty $in list', { type: { $in: [] } }, '$in on "type" requires a non-empty array of values'],
+    ['an unsupported field operator', { type: { $regex: 'p.f' } }, 'Unsupported operator $regex on "type"'],
+    ['an unsupported tag operator', { tags: { $nin: ['hr'] } }, 'Unsupported operator $nin on "tags"']
+  ])('rejects %s', (description, filter, message) => {
+    expect(() => validateFilter(filter)).toThrow(message);
+  });
+});
+
+describe('toChromaWhere', () => {
+  test('returns undefined when there is nothing to filter', () => {
+    expect(toChromaWhere(null)).toBeUndefined();
+    expect(toChromaWhere({})).toBeUndefined();
+  });
+
+  test('splits several conditions into an $and clause', () => {
+    expect(toChromaWhere({ type: 'pdf', pages: { $gte: 10, $lte: 20 } })).toEqual({
+      $and: [
+        { type: 'pdf' },
+        { pages: { $gte: 10 } },
+        { pages: { $lte: 20 } }
+      ]
+    });
+  });
+
+  test('turns tags into tag flags', () => {
+    expect(toChromaWhere({ tags: 'HR' })).toEqual({ 'tag:hr': true });
+    expect(toChromaWhere({ tags: { $in: ['hr', 'legal'] } })).toEqual({
+      $or: [{ 'tag:hr': true }, { 'tag:legal': true }]
+    });
+    expect(toChromaWhere({ tags: { $all: ['hr', 'legal'] } })).toEqual({
+      $and: [{ 'tag:hr': true }, { 'tag:legal': true }]
+    });
+  });
+
+  test('keeps logical operators', () => {
+    expect(toChromaWhere({ $or: [{ type: 'pdf' }, { type: 'docx' }] })).toEqual({
+      $or: [{ type: 'pdf' }, { type: 'docx' }]
+    });
+  });
+});
+
+describe('matchesFilter', () => {
+  const metadata = { type: 'pdf', pages: 12, source: 'handbook.pdf', 'tag:hr': true };
+
+  test('matches everything without a filter', () => {
+    expect(matchesFilter(metadata, null)).toBe(true);
+  });
+
+  test('evaluates equality and comparison operators', () => {
+    expect(matchesFilter(metadata, { type: 'pdf' })).toBe(true);
+    expect(matchesFilter(metadata, { type: 'docx' })).toBe(false);
+    expect(matchesFilter(metadata, { pages: { $gte: 10, $lt: 20 } })).toBe(true);
+    expect(matchesFilter(metadata, { pages: { $gt: 12 } })).toBe(false);
+    expect(matchesFilter(metadata, { type: { $in: ['pdf', 'docx'] } })).toBe(true);
+    expect(matchesFilter(metadata, { type: { $nin: ['pdf'] } })).toBe(false);
+  });
+
+  test('range operators never match missing or non-numeric values', () => {
+    expect(matchesFilter(metadata, { chunk_index: { $lt: 5 } })).toBe(false);
+    expect(matchesFilter(metadata, { source: { $gt: 0 } })).toBe(false);
+  });
+
+  test('evaluates tags', () => {
+    expect(matchesFilter(metadata, { tags: 'hr' })).toBe(true);
+    expect(matchesFilter(metadata, { tags: { $in: ['legal', 'hr'] } })).toBe(true);
+    expect(matchesFilter(metadata, { tags: { $all: ['legal', 'hr'] } })).toBe(false);
+  });
+
+  test('evaluates $and and $or', () => {
+    expect(matchesFilter(metadata, { $or: [{ type: 'docx' }, { pages: 12 }] })).toBe(true);
+    expect(matchesFilter(metadata, { $and: [{ type: 'pdf' }, { tags: 'legal' }] })).toBe(false);
+  });
+});
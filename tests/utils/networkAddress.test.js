@@ -0,0 +1,32 @@
+const { isPublicAddress, assertPublicUrl } = require('../../src/utils/networkAddress');
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe'
+  ])('rejects %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  test.each([
+    'http://127.0.0.1:8000/',
+    'http://localhost/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://2130706433/'
+  ])('rejects %s', async (url) => {
+    await expect(assertPublicUrl(url)).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+  });
+
+  test('accepts public IP literals', async () => {
+    await expect(assertPublicUrl('https://93.184.216.34/page')).resolves.toBeUndefined();
+  });
+});
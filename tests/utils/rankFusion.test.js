@@ -0,0 +1,37 @@
+const { reciprocalRankFusion } = require('../../src/utils/rankFusion');
+
+describe('reciprocalRankFusion', () => {
+  test('sums 1 / (k + rank) over the lists a result appears in', () => {
+    const fused = reciprocalRankFusion([
+      [{ id: 'a' }, { id: 'b' }],
+      [{ id: 'b' }, { id: 'c' }]
+    ], 60);
+
+    const scores = Object.fromEntries(fused.map(result => [result.id, result.fusedScore]));
+    expect(scores.a).toBeCloseTo(1 / 61);
+    expect(scores.b).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(scores.c).toBeCloseTo(1 / 62);
+  });
+
+  test('ranks results found by both retrievers first', () => {
+    const fused = reciprocalRankFusion([
+      [{ id: 'vector-only' }, { id: 'both' }],
+      [{ id: 'keyword-only' }, { id: 'both' }]
+    ]);
+
+    expect(fused.map(result => result.id)).toEqual(['both', 'vector-only', 'keyword-only']);
+  });
+
+  test('keeps the fields of every list', () => {
+    const [result] = reciprocalRankFusion([
+      [{ id: 'a', distance: 0.2 }],
+      [{ id: 'a', bm25Score: 3.5 }]
+    ]);
+
+    expect(result).toMatchObject({ id: 'a', distance: 0.2, bm25Score: 3.5 });
+  });
+
+  test('returns nothing for empty lists', () => {
+    expect(reciprocalRankFusion([[], []])).toEqual([]);
+  });
+});
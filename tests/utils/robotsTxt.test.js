@@ -0,0 +1,78 @@
+const { parseRobotsTxt, isPathAllowed } = require('../../src/utils/robotsTxt');
+
+const ROBOTS = `# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+
+User-agent: RAGBot
+User-agent: OtherBot
+Disallow: /drafts # work in progress
+Allow: /drafts/published
+Disallow:
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('parseRobotsTxt', () => {
+  test('uses the group naming our user agent', () => {
+    expect(parseRobotsTxt(ROBOTS, 'RAGBot/1.0')).toEqual([
+      { allow: false, path: '/drafts' },
+      { allow: true, path: '/drafts/published' }
+    ]);
+  });
+
+  test('matches user agents case-insensitively, including the second agent of a group', () => {
+    expect(parseRobotsTxt(ROBOTS, 'otherbot')).toHaveLength(2);
+  });
+
+  test('falls back to the "*" group', () => {
+    expect(parseRobotsTxt(ROBOTS, 'SomeCrawler')).toEqual([
+      { allow: false, path: '/private' },
+      { allow: true, path: '/private/public' },
+      { allow: false, path: '/*.pdf$' }
+    ]);
+  });
+
+  test('returns no rules for an empty file or one without a matching group', () => {
+    expect(parseRobotsTxt('', 'RAGBot')).toEqual([]);
+    expect(parseRobotsTxt('User-agent: OtherBot\nDisallow: /', 'RAGBot')).toEqual([]);
+  });
+
+  test('ignores rules before the first User-agent line', () => {
+    expect(parseRobotsTxt('Disallow: /\r\nUser-agent: *\r\nDisallow: /tmp', 'RAGBot')).toEqual([
+      { allow: false, path: '/tmp' }
+    ]);
+  });
+});
+
+describe('isPathAllowed', () => {
+  const rules = parseRobotsTxt(ROBOTS, 'SomeCrawler');
+
+  test.each([
+    ['/', true],
+    ['/about?page=2', true],
+    ['/private', false],
+    ['/private/notes', false],
+    ['/private/public/page', true],
+    ['/files/report.pdf', false],
+    ['/files/report.pdf?download=1', true]
+  ])('%s -> %s', (urlPath, allowed) => {
+    expect(isPathAllowed(rules, urlPath)).toBe(allowed);
+  });
+
+  test('allows everything without rules', () => {
+    expect(isPathAllowed([], '/anything')).toBe(true);
+  });
+
+  test('prefers Allow when equally long rules match', () => {
+    const tied = [{ allow: false, path: '/page' }, { allow: true, path: '/page' }];
+    expect(isPathAllowed(tied, '/page')).toBe(true);
+  });
+
+  test('treats regular expression characters in paths literally', () => {
+    expect(isPathAllowed([{ allow: false, path: '/a.b' }], '/axb')).toBe(true);
+    expect(isPathAllowed([{ allow: false, path: '/a.b' }], '/a.b/c')).toBe(false);
+  });
+});
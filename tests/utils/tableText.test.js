@@ -0,0 +1,35 @@
+const { parseCsv, renderTables } = require('../../src/utils/tableText');
+
+describe('parseCsv', () => {
+  test('reads quoted fields with delimiters, quotes and line breaks', () => {
+    const csv = '\uFEFFname,notes\r\n"Smith, J","Said ""hi""\nthen left"\r\nDoe,\n';
+
+    expect(parseCsv(csv)).toEqual([
+      ['name', 'notes'],
+      ['Smith, J', 'Said "hi"\nthen left'],
+      ['Doe', '']
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters from the first line', () => {
+    expect(parseCsv('a;b;c\n1,5;2;3')).toEqual([['a', 'b', 'c'], ['1,5', '2', '3']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('renderTables', () => {
+  test('renders rows and reports header and table ranges', () => {
+    const { content, tables } = renderTables([
+      { title: null, rows: [['Plan', 'Price'], ['', ' '], ['Pro', 20]] },
+      { title: 'Sheet: Empty', rows: [['', '']] },
+      { title: 'Sheet: Staff', rows: [['Name'], ['Ann  Lee']] }
+    ]);
+
+    expect(content).toBe('Plan | Price\nPro | 20\n\nSheet: Staff\nName\nAnn Lee');
+    expect(tables).toEqual([
+      { start: 0, headerEnd: 12, end: 21 },
+      { start: 23, headerEnd: 40, end: 48 }
+    ]);
+    expect(content.slice(tables[1].start, tables[1].headerEnd)).toBe('Sheet: Staff\nName');
+  });
+});
@@ -0,0 +1,130 @@
+const TextSplitter = require('../../src/utils/textSplitter');
+const { countTokens } = require('../../src/utils/tokenCounter');
+
+const words = (count, word = 'lorem') => Array.from({ length: count }, (_, i) => `${word}${i}`).join(' ');
+
+describe('TextSplitter', () => {
+  describe('validateSettings', () => {
+    test('accepts valid settings', () => {
+      expect(() => TextSplitter.validateSettings({ strategy: 'markdown', chunkSize: 200, chunkOverlap: 40 })).not.toThrow();
+    });
+
+    test.each([
+      [{ strategy: 'sentences', chunkSize: 200, chunkOverlap: 40 }, 'chunkStrategy must be one of'],
+      [{ strategy: 'auto', chunkSize: 8, chunkOverlap: 0 }, 'chunkSize must be an integer of at least 16 tokens'],
+      [{ strategy: 'auto', chunkSize: 100, chunkOverlap: 100 }, 'chunkOverlap must be a non-negative integer smaller than chunkSize']
+    ])('rejects %j', (settings, message) => {
+      expect(() => TextSplitter.validateSettings(settings)).toThrow(message);
+    });
+  });
+
+  describe('recursive strategy', () => {
+    const splitter = new TextSplitter({ strategy: 'recursive', chunkSize: 40, chunkOverlap: 10 });
+    const text = [words(30, 'alpha'), words(30, 'beta'), words(30, 'gamma')].join('\n\n');
+
+    test('keeps chunks within chunkSize tokens', () => {
+      const chunks = splitter.splitTextWithOffsets(text);
+
+      expect(chunks.length).toBeGreaterThan(2);
+      for (const chunk of chunks) {
+        expect(countTokens(chunk.content)).toBeLessThanOrEqual(40);
+      }
+    });
+
+    test('reports the offsets each chunk covers in the original text', () => {
+      for (const chunk of splitter.splitTextWithOffsets(text)) {
+        expect(text.slice(chunk.startOffset, chunk.endOffset)).toBe(chunk.content);
+      }
+    });
+
+    test('overlaps consecutive chunks', () => {
+      const chunks = splitter.splitTextWithOffsets(text);
+
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i].startOffset).toBeLessThan(chunks[i - 1].endOffset);
+      }
+    });
+
+    test('splits text without separators by characters', () => {
+      const chunks = splitter.splitText('x'.repeat(1000));
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.join('')).toBe('x'.repeat(1000));
+    });
+  });
+
+  describe('markdown strategy', () => {
+    const splitter = new TextSplitter({ strategy: 'markdown', chunkSize: 60, chunkOverlap: 0 });
+
+    test('gives every chunk the path of headings it sits under', () => {
+      const text = [
+        '# Handbook',
+        'Intro text.',
+        '## Leave',
+        'Leave is 25 days.',
+        '### Carry-over',
+        'Five days carry over.',
+        '## Expenses',
+        'Keep receipts.'
+      ].join('\n');
+
+      const chunks = splitter.splitTextWithOffsets(text);
+
+      expect(chunks.map(chunk => [chunk.headingPath, chunk.content.split('\n').pop()])).toEqual([
+        ['Handbook', 'Intro text.'],
+        ['Handbook > Leave', 'Leave is 25 days.'],
+        ['Handbook > Leave > Carry-over', 'Five days carry over.'],
+        ['Handbook > Expenses', 'Keep receipts.']
+      ]);
+    });
+
+    test('keeps fenced code blocks whole and ignores headings inside them', () => {
+      const code = ['```python', 'def main():', '', '# not a heading', '    return 1', '```'].join('\n');
+      const text = ['# Setup', words(20), '', code, '', words(20)].join('\n');
+
+      const chunks = splitter.splitTextWithOffsets(text);
+
+      expect(chunks.every(chunk => chunk.headingPath === 'Setup')).toBe(true);
+      expect(chunks.some(chunk => chunk.content.includes(code))).toBe(true);
+    });
+
+    test('keeps tables whole', () => {
+      const table = ['| Name | Days |', '| --- | --- |', '| Annual | 25 |', '| Sick | 10 |'].join('\n');
+      const text = ['# Leave', words(30), '', table, '', words(30)].join('\n');
+
+      const chunks = splitter.splitTextWithOffsets(text);
+
+      expect(chunks.some(chunk => chunk.content.includes(table))).toBe(true);
+    });
+  });
+
+  describe('auto strategy', () => {
+    const splitter = new TextSplitter({ strategy: 'auto', chunkSize: 60, chunkOverlap: 0 });
+    const text = '# Title\nSome text.\n## Section\nMore text.';
+
+    test('splits Markdown and HTML documents on headings', () => {
+      expect(splitter.splitTextWithOffsets(text, 'markdown').map(chunk => chunk.headingPath)).toEqual(['Title', 'Title > Section']);
+      expect(splitter.splitTextWithOffsets(text, 'html')).toHaveLength(2);
+    });
+
+    test('splits other documents recursively', () => {
+      const chunks = splitter.splitTextWithOffsets(text, 'text');
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].headingPath).toBeUndefined();
+    });
+  });
+
+  test('splitDocuments numbers chunks and adds page numbers', () => {
+    const splitter = new TextSplitter({ strategy: 'recursive', chunkSize: 20, chunkOverlap: 0 });
+    const content = `${words(15, 'one')}\n\n${words(15, 'two')}`;
+    const pageTwo = content.indexOf('two0');
+
+    const chunks = splitter.splitDocuments([{ content, source: 'a.pdf', pageStarts: [0, pageTwo] }]);
+
+    expect(chunks.map(chunk => chunk.chunkIndex)).toEqual(chunks.map((chunk, index) => index));
+    expect(chunks[0]).toMatchObject({ source: 'a.pdf', pageStart: 1, pageEnd: 1 });
+    expect(chunks[chunks.length - 1]).toMatchObject({ pageStart: 2, pageEnd: 2 });
+    expect(chunks[0].pageStarts).toBeUndefined();
+  });
+});
@@ -0,0 +1,71 @@
+const vectorLog = require('../../src/utils/vectorLog');
+
+const chunk = (id, content, metadata = {}) => ({ id, content, metadata });
+
+// Replay a log into a list of records
+const replay = (buffer) => {
+  const records = [];
+  const result = vectorLog.readLog(buffer, {
+    onChunk: (item, embedding) => records.push(['chunk', item, Array.from(embedding)]),
+    onDelete: (ids) => records.push(['delete', ids]),
+    onModel: (embeddingModel) => records.push(['model', embeddingModel])
+  });
+  return { ...result, records };
+};
+
+describe('vectorLog', () => {
+  const generation = vectorLog.newGeneration();
+  const log = Buffer.concat([
+    vectorLog.encodeHeader(generation),
+    vectorLog.encodeModel('nomic-embed-text'),
+    vectorLog.encodeChunk(chunk('a', 'Alpha', { source: 'a.md', tags: ['hr'] }), Float32Array.from([0.5, -0.25, 1])),
+    // An odd-length JSON body leaves the next embedding at an unaligned offset
+    vectorLog.encodeChunk(chunk('b', 'Bravo, café'), Float32Array.from([1, 2, 3])),
+    vectorLog.encodeDelete(['a'])
+  ]);
+
+  test('reads back what was written, in order', () => {
+    expect(replay(log)).toEqual({
+      generation,
+      length: log.length,
+      records: [
+        ['model', 'nomic-embed-text'],
+        ['chunk', chunk('a', 'Alpha', { source: 'a.md', tags: ['hr'] }), [0.5, -0.25, 1]],
+        ['chunk', chunk('b', 'Bravo, café'), [1, 2, 3]],
+        ['delete', ['a']]
+      ]
+    });
+  });
+
+  test('reads embeddings from a buffer at any byte offset', () => {
+    const shifted = Buffer.alloc(log.length + 3);
+    log.copy(shifted, 3);
+
+    expect(replay(shifted.subarray(3)).records).toEqual(replay(log).records);
+  });
+
+  test('stops at a record cut short by an interrupted write', () => {
+    const complete = log.length - vectorLog.encodeDelete(['a']).length;
+
+    for (const cut of [log.length - 1, complete + 3]) {
+      const { length, records } = replay(log.subarray(0, cut));
+      expect(length).toBe(complete);
+      expect(records.map(([type]) => type)).toEqual(['model', 'chunk', 'chunk']);
+    }
+  });
+
+  test('skips unknown record types', () => {
+    const unknown = Buffer.from([99, 2, 0, 0, 0, 1, 2]);
+    const withUnknown = Buffer.concat([vectorLog.encodeHeader(generation), unknown, vectorLog.encodeDelete(['x'])]);
+
+    expect(replay(withUnknown).records).toEqual([['delete', ['x']]]);
+  });
+
+  test('rejects files that are not vector logs or have another version', () => {
+    expect(() => replay(Buffer.from('{"embeddings": []}'))).toThrow('Not a vector storage file');
+
+    const header = vectorLog.encodeHeader(generation);
+    header.writeUInt32LE(2, 4);
+    expect(() => replay(header)).toThrow('Unsupported vector storage format version 2');
+  });
+});